@@ -0,0 +1,161 @@
+/**
+ * AWS AppConfig backend for the deployer (Node only).
+ *
+ * `@aws-sdk/client-appconfig` is loaded on first use, so the server and the
+ * mock backend work without it. Credentials and region come from the usual
+ * AWS SDK sources (environment, shared config, instance role).
+ */
+'use strict';
+
+const { DeploymentError } = require('./appconfig-deployer');
+
+// ListDeployments does not return profile ids, so only this many recent
+// deployments are looked up individually
+const LIST_DEPLOYMENTS_LIMIT = 20;
+
+const ERROR_CODES = {
+    ConflictException: 'CONFLICT',
+    ResourceNotFoundException: 'NOT_FOUND',
+    BadRequestException: 'BAD_REQUEST',
+    PayloadTooLargeException: 'BAD_REQUEST'
+};
+
+function createAwsBackend(options = {}) {
+    let sdk = null;
+    let client = options.client || null;
+
+    function loadSdk() {
+        if (!sdk) {
+            try {
+                sdk = require('@aws-sdk/client-appconfig');
+            } catch (error) {
+                throw new DeploymentError('NOT_CONFIGURED',
+                    'The AWS AppConfig backend needs @aws-sdk/client-appconfig (npm install @aws-sdk/client-appconfig)');
+            }
+            client = client || new sdk.AppConfigClient({ region: options.region });
+        }
+        return sdk;
+    }
+
+    async function send(commandName, input) {
+        const Command = loadSdk()[commandName];
+        try {
+            return await client.send(new Command(input));
+        } catch (error) {
+            throw new DeploymentError(ERROR_CODES[error.name] || 'AWS_ERROR', `AppConfig ${commandName}: ${error.message}`);
+        }
+    }
+
+    async function createHostedConfigurationVersion({ applicationId, configurationProfileId, content, description }) {
+        const response = await send('CreateHostedConfigurationVersionCommand', {
+            ApplicationId: applicationId,
+            ConfigurationProfileId: configurationProfileId,
+            Content: Buffer.from(content, 'utf8'),
+            ContentType: 'application/json',
+            Description: description
+        });
+        return { versionNumber: response.VersionNumber };
+    }
+
+    async function getHostedConfigurationVersion({ applicationId, configurationProfileId, versionNumber }) {
+        try {
+            const response = await send('GetHostedConfigurationVersionCommand', {
+                ApplicationId: applicationId,
+                ConfigurationProfileId: configurationProfileId,
+                VersionNumber: versionNumber
+            });
+            return {
+                versionNumber: response.VersionNumber,
+                content: Buffer.from(response.Content || []).toString('utf8'),
+                description: response.Description
+            };
+        } catch (error) {
+            if (error.code === 'NOT_FOUND') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async function startDeployment(request) {
+        const response = await send('StartDeploymentCommand', {
+            ApplicationId: request.applicationId,
+            EnvironmentId: request.environmentId,
+            ConfigurationProfileId: request.configurationProfileId,
+            ConfigurationVersion: String(request.versionNumber),
+            DeploymentStrategyId: request.strategyId,
+            Description: request.description
+        });
+        return toDeployment(response);
+    }
+
+    async function getDeployment({ applicationId, environmentId, deploymentNumber }) {
+        try {
+            const response = await send('GetDeploymentCommand', {
+                ApplicationId: applicationId,
+                EnvironmentId: environmentId,
+                DeploymentNumber: deploymentNumber
+            });
+            return toDeployment(response);
+        } catch (error) {
+            if (error.code === 'NOT_FOUND') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async function stopDeployment({ applicationId, environmentId, deploymentNumber }) {
+        const response = await send('StopDeploymentCommand', {
+            ApplicationId: applicationId,
+            EnvironmentId: environmentId,
+            DeploymentNumber: deploymentNumber
+        });
+        return toDeployment(response);
+    }
+
+    async function listDeployments({ applicationId, environmentId }) {
+        const response = await send('ListDeploymentsCommand', {
+            ApplicationId: applicationId,
+            EnvironmentId: environmentId,
+            MaxResults: LIST_DEPLOYMENTS_LIMIT
+        });
+
+        const deployments = [];
+        for (const item of response.Items || []) {
+            deployments.push(await getDeployment({ applicationId, environmentId, deploymentNumber: item.DeploymentNumber }));
+        }
+        return deployments.filter(Boolean);
+    }
+
+    return {
+        createHostedConfigurationVersion,
+        getHostedConfigurationVersion,
+        startDeployment,
+        getDeployment,
+        stopDeployment,
+        listDeployments
+    };
+}
+
+function toDeployment(response) {
+    const version = response.ConfigurationVersion;
+    return {
+        deploymentNumber: response.DeploymentNumber,
+        applicationId: response.ApplicationId,
+        environmentId: response.EnvironmentId,
+        configurationProfileId: response.ConfigurationProfileId,
+        // Hosted configuration versions are numbers, sent to AppConfig as strings
+        versionNumber: /^\d+$/.test(version) ? Number(version) : version,
+        strategyId: response.DeploymentStrategyId,
+        description: response.Description,
+        state: response.State,
+        percentageComplete: response.PercentageComplete,
+        startedAt: response.StartedAt ? new Date(response.StartedAt).getTime() : null,
+        completedAt: response.CompletedAt ? new Date(response.CompletedAt).getTime() : null
+    };
+}
+
+module.exports = {
+    createAwsBackend
+};
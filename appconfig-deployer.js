@@ -0,0 +1,171 @@
+/**
+ * AppConfig deployment workflow for organization rule documents (Node only).
+ *
+ * The deployer validates a document, stores it as a new hosted configuration
+ * version of the organization's configuration profile and starts a deployment
+ * with the chosen strategy. The profile also holds the organization's
+ * connection settings (clientName, env, unit_id, ...), so the rules replace
+ * the `unit_mapping_rules` of the deployed version and every other key is
+ * kept. The AppConfig API itself is reached through a
+ * pluggable backend:
+ *
+ *   appconfig-mock.js - in-memory AppConfig for local development and CI
+ *   appconfig-aws.js  - the real service through @aws-sdk/client-appconfig
+ *
+ * A backend implements createHostedConfigurationVersion,
+ * getHostedConfigurationVersion, startDeployment, getDeployment,
+ * stopDeployment and listDeployments, taking and returning the camelCase
+ * objects used here.
+ */
+'use strict';
+
+const RuleValidator = require('./rule-validator');
+const ProfileDocument = require('./profile-document');
+
+// AppConfig's predefined strategies; custom strategy ids are passed through as-is
+const PREDEFINED_STRATEGIES = {
+    'AppConfig.AllAtOnce': { deploymentDurationMinutes: 0, finalBakeTimeMinutes: 10 },
+    'AppConfig.Linear50PercentEvery30Seconds': { deploymentDurationMinutes: 1, finalBakeTimeMinutes: 1 },
+    'AppConfig.Linear20PercentEvery6Minutes': { deploymentDurationMinutes: 30, finalBakeTimeMinutes: 30 },
+    'AppConfig.Canary10Percent20Minutes': { deploymentDurationMinutes: 20, finalBakeTimeMinutes: 10 }
+};
+
+const DEFAULT_STRATEGY_ID = 'AppConfig.AllAtOnce';
+const IN_PROGRESS_STATES = ['BAKING', 'VALIDATING', 'DEPLOYING', 'ROLLING_BACK'];
+
+class DeploymentError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// targets maps organization ids to {applicationId, environmentId, configurationProfileId};
+// organizations without an entry use the defaults and their id as the profile id
+function createDeployer(options) {
+    const backend = options.backend;
+    const targets = options.targets || {};
+    const defaults = options.defaults || {};
+
+    function resolveTarget(orgId) {
+        const target = Object.assign({ configurationProfileId: orgId }, defaults, targets[orgId]);
+        if (!target.applicationId || !target.environmentId) {
+            throw new DeploymentError('NOT_CONFIGURED', `No AppConfig application/environment configured for organization "${orgId}"`);
+        }
+        return target;
+    }
+
+    async function deploy(orgId, document, deployOptions = {}) {
+        const validation = RuleValidator.validateConfiguration(document);
+        if (!validation.valid) {
+            throw new DeploymentError('INVALID_CONFIGURATION', 'Configuration is invalid and was not deployed', {
+                issues: validation.issues.map(issue => ({ severity: issue.severity, path: issue.path, message: issue.message }))
+            });
+        }
+
+        const target = resolveTarget(orgId);
+        await ensureIdle(target);
+
+        const profileText = await deployedProfile(orgId, target);
+        let content;
+        try {
+            content = ProfileDocument.mergeProfile(profileText, document, 'json').text;
+        } catch (error) {
+            throw new DeploymentError('CONFLICT', `The deployed profile cannot be updated: ${error.message}`);
+        }
+
+        const version = await backend.createHostedConfigurationVersion({
+            applicationId: target.applicationId,
+            configurationProfileId: target.configurationProfileId,
+            content: content,
+            description: deployOptions.description
+        });
+
+        return backend.startDeployment(Object.assign({}, target, {
+            versionNumber: version.versionNumber,
+            strategyId: deployOptions.strategyId || DEFAULT_STRATEGY_ID,
+            description: deployOptions.description
+        }));
+    }
+
+    async function getStatus(orgId, deploymentNumber) {
+        const target = resolveTarget(orgId);
+        const deployment = await backend.getDeployment(Object.assign({}, target, { deploymentNumber }));
+        if (!deployment || deployment.configurationProfileId !== target.configurationProfileId) {
+            throw new DeploymentError('NOT_FOUND', `Deployment ${deploymentNumber} not found for organization "${orgId}"`);
+        }
+        return deployment;
+    }
+
+    async function listDeployments(orgId) {
+        const target = resolveTarget(orgId);
+        const deployments = await backend.listDeployments(target);
+        return deployments.filter(deployment => deployment.configurationProfileId === target.configurationProfileId);
+    }
+
+    // An in-progress deployment is stopped, which makes AppConfig roll it back.
+    // Otherwise the version of the previous completed deployment is redeployed.
+    async function rollback(orgId, rollbackOptions = {}) {
+        const target = resolveTarget(orgId);
+        const deployments = await listDeployments(orgId);
+        if (deployments.length === 0) {
+            throw new DeploymentError('NOTHING_TO_ROLL_BACK', `Organization "${orgId}" has no deployments`);
+        }
+
+        const latest = deployments[0];
+        if (IN_PROGRESS_STATES.includes(latest.state)) {
+            const stopped = await backend.stopDeployment(Object.assign({}, target, { deploymentNumber: latest.deploymentNumber }));
+            return { action: 'stopped', deployment: stopped };
+        }
+
+        const previous = deployments.slice(1).find(deployment =>
+            deployment.state === 'COMPLETE' && deployment.versionNumber !== latest.versionNumber);
+        if (!previous) {
+            throw new DeploymentError('NOTHING_TO_ROLL_BACK', `Organization "${orgId}" has no earlier completed version to roll back to`);
+        }
+
+        const deployment = await backend.startDeployment(Object.assign({}, target, {
+            versionNumber: previous.versionNumber,
+            strategyId: rollbackOptions.strategyId || DEFAULT_STRATEGY_ID,
+            description: `Rollback to version ${previous.versionNumber}`
+        }));
+        return { action: 'redeployed', deployment };
+    }
+
+    // The content of the version last deployed to completion, or '' before the first deployment
+    async function deployedProfile(orgId, target) {
+        const deployments = await listDeployments(orgId);
+        const live = deployments.find(deployment => deployment.state === 'COMPLETE');
+        if (!live) {
+            return '';
+        }
+        const version = await backend.getHostedConfigurationVersion(Object.assign({}, target, { versionNumber: live.versionNumber }));
+        return version ? version.content : '';
+    }
+
+    // AppConfig allows one active deployment per environment
+    async function ensureIdle(target) {
+        const deployments = await backend.listDeployments(target);
+        const active = deployments.find(deployment => IN_PROGRESS_STATES.includes(deployment.state));
+        if (active) {
+            throw new DeploymentError('CONFLICT',
+                `Deployment ${active.deploymentNumber} is still ${active.state.toLowerCase()} in this environment`);
+        }
+    }
+
+    return {
+        deploy,
+        getStatus,
+        listDeployments,
+        rollback
+    };
+}
+
+module.exports = {
+    PREDEFINED_STRATEGIES,
+    DEFAULT_STRATEGY_ID,
+    IN_PROGRESS_STATES,
+    DeploymentError,
+    createDeployer
+};
@@ -0,0 +1,144 @@
+/**
+ * In-memory AppConfig backend for local development and CI (Node only).
+ *
+ * Hosted configuration versions and deployments are kept in memory.
+ * Deployments progress with the clock according to their strategy's
+ * duration and bake time; `timeScale` speeds this up (the default 60 turns
+ * every strategy minute into one second), and `now` can be injected to
+ * step through a deployment deterministically.
+ */
+'use strict';
+
+const { PREDEFINED_STRATEGIES, IN_PROGRESS_STATES, DeploymentError } = require('./appconfig-deployer');
+
+function createMockBackend(options = {}) {
+    const now = options.now || (() => Date.now());
+    const timeScale = options.timeScale || 60;
+    const versions = new Map();
+    const deployments = new Map();
+
+    function versionsOf(applicationId, configurationProfileId) {
+        const key = `${applicationId}/${configurationProfileId}`;
+        if (!versions.has(key)) {
+            versions.set(key, []);
+        }
+        return versions.get(key);
+    }
+
+    function deploymentsOf(applicationId, environmentId) {
+        const key = `${applicationId}/${environmentId}`;
+        if (!deployments.has(key)) {
+            deployments.set(key, []);
+        }
+        return deployments.get(key);
+    }
+
+    // Derives state and progress from the elapsed time, scaled to strategy minutes
+    function refresh(deployment) {
+        if (!IN_PROGRESS_STATES.includes(deployment.state)) {
+            return Object.assign({}, deployment);
+        }
+
+        const strategy = PREDEFINED_STRATEGIES[deployment.strategyId];
+        const minuteMs = 60000 / timeScale;
+        const elapsed = (now() - deployment.startedAt) / minuteMs;
+
+        if (elapsed < strategy.deploymentDurationMinutes) {
+            deployment.state = 'DEPLOYING';
+            deployment.percentageComplete = Math.floor((elapsed / strategy.deploymentDurationMinutes) * 100);
+        } else if (elapsed < strategy.deploymentDurationMinutes + strategy.finalBakeTimeMinutes) {
+            deployment.state = 'BAKING';
+            deployment.percentageComplete = 100;
+        } else {
+            deployment.state = 'COMPLETE';
+            deployment.percentageComplete = 100;
+            deployment.completedAt = deployment.startedAt
+                + (strategy.deploymentDurationMinutes + strategy.finalBakeTimeMinutes) * minuteMs;
+        }
+        return Object.assign({}, deployment);
+    }
+
+    async function createHostedConfigurationVersion({ applicationId, configurationProfileId, content, description }) {
+        const profileVersions = versionsOf(applicationId, configurationProfileId);
+        const version = {
+            versionNumber: profileVersions.length + 1,
+            content: content,
+            description: description
+        };
+        profileVersions.push(version);
+        return { versionNumber: version.versionNumber };
+    }
+
+    async function startDeployment(request) {
+        if (!PREDEFINED_STRATEGIES[request.strategyId]) {
+            throw new DeploymentError('NOT_FOUND', `Unknown deployment strategy "${request.strategyId}"`);
+        }
+        if (!versionsOf(request.applicationId, request.configurationProfileId).some(version => version.versionNumber === request.versionNumber)) {
+            throw new DeploymentError('NOT_FOUND', `Configuration version ${request.versionNumber} does not exist`);
+        }
+
+        const environmentDeployments = deploymentsOf(request.applicationId, request.environmentId);
+        const deployment = {
+            deploymentNumber: environmentDeployments.length + 1,
+            applicationId: request.applicationId,
+            environmentId: request.environmentId,
+            configurationProfileId: request.configurationProfileId,
+            versionNumber: request.versionNumber,
+            strategyId: request.strategyId,
+            description: request.description,
+            state: 'DEPLOYING',
+            percentageComplete: 0,
+            startedAt: now(),
+            completedAt: null
+        };
+        environmentDeployments.push(deployment);
+        return refresh(deployment);
+    }
+
+    async function getDeployment({ applicationId, environmentId, deploymentNumber }) {
+        const deployment = deploymentsOf(applicationId, environmentId)
+            .find(candidate => candidate.deploymentNumber === deploymentNumber);
+        return deployment ? refresh(deployment) : null;
+    }
+
+    async function stopDeployment({ applicationId, environmentId, deploymentNumber }) {
+        const deployment = deploymentsOf(applicationId, environmentId)
+            .find(candidate => candidate.deploymentNumber === deploymentNumber);
+        if (!deployment) {
+            throw new DeploymentError('NOT_FOUND', `Deployment ${deploymentNumber} not found`);
+        }
+
+        refresh(deployment);
+        if (!IN_PROGRESS_STATES.includes(deployment.state)) {
+            throw new DeploymentError('CONFLICT', `Deployment ${deploymentNumber} is already ${deployment.state.toLowerCase()}`);
+        }
+
+        deployment.state = 'ROLLED_BACK';
+        deployment.completedAt = now();
+        return Object.assign({}, deployment);
+    }
+
+    async function getHostedConfigurationVersion({ applicationId, configurationProfileId, versionNumber }) {
+        const version = versionsOf(applicationId, configurationProfileId)
+            .find(candidate => candidate.versionNumber === versionNumber);
+        return version ? Object.assign({}, version) : null;
+    }
+
+    // Newest first, like AppConfig's ListDeployments
+    async function listDeployments({ applicationId, environmentId }) {
+        return deploymentsOf(applicationId, environmentId).map(refresh).reverse();
+    }
+
+    return {
+        createHostedConfigurationVersion,
+        getHostedConfigurationVersion,
+        startDeployment,
+        getDeployment,
+        stopDeployment,
+        listDeployments
+    };
+}
+
+module.exports = {
+    createMockBackend
+};
@@ -0,0 +1,331 @@
+/**
+ * Benchmark of the compiled evaluator (rule-compiler.js) against the
+ * interpreter (`evaluateRules`) on a replay of call records.
+ *
+ *   node benchmark.js [--config rules.json] [--records calls.ndjson] [--count 100000] [--rules 100] [--seed 1]
+ *
+ * --config takes a unit_mapping_rules document or a full profile, in JSON or
+ * YAML; without it a rule set of --rules rules over department, sub-role,
+ * language, queue, wait time and phone fields is generated. --records takes
+ * exported call metadata (JSON, NDJSON or CSV); without it --count records
+ * are generated from the values the rules compare, so most records match a
+ * rule. Generation uses a seeded PRNG, so runs with the same --seed replay
+ * the same records.
+ *
+ * Every record is evaluated by both evaluators at the same `now` and their
+ * unit ids, matched rules, attributes and derived fields must agree; the
+ * process exits with status 1 when any record differs.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const RuleEvaluator = require('./rule-evaluator');
+const RuleCompiler = require('./rule-compiler');
+const RecordParsers = require('./record-parsers');
+const ProfileDocument = require('./profile-document');
+
+const DEFAULT_RECORD_COUNT = 100000;
+const DEFAULT_RULE_COUNT = 100;
+const DEFAULT_SEED = 1;
+// Share of generated field values taken from the values the rules compare
+const KNOWN_VALUE_RATE = 0.8;
+const MAX_LISTED_MISMATCHES = 5;
+
+const NUMERIC_OPERATORS = ['GREATER_THAN', 'GREATER_OR_EQUAL', 'LESS_THAN', 'LESS_OR_EQUAL', 'BETWEEN'];
+
+// mulberry32: a small seeded PRNG returning floats in [0, 1)
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function pick(random, items) {
+    return items[Math.floor(random() * items.length)];
+}
+
+function pickSome(random, items, count) {
+    const picked = new Set();
+    while (picked.size < Math.min(count, items.length)) {
+        picked.add(pick(random, items));
+    }
+    return Array.from(picked);
+}
+
+function names(prefix, count) {
+    return Array.from({ length: count }, (item, index) => `${prefix}-${index}`);
+}
+
+// A rule set mixing indexable EQUALS/IN rules with ones that need a full
+// scan (OR groups, substring and regex matches, numeric limits)
+function generateRuleSet(ruleCount, random) {
+    const departments = names('dept', 30);
+    const subRoles = names('role', 40);
+    const languages = ['en', 'es', 'fr', 'de', 'he', 'pt', 'it', 'ru'];
+    const queues = names('queue', 50);
+    const areaCodes = ['212', '310', '415', '512', '617', '702', '808', '917'];
+
+    const rules = Array.from({ length: ruleCount }, (item, index) => {
+        const department = pick(random, departments);
+        let conditions;
+        switch (index % 6) {
+            case 0:
+                conditions = { field: 'agent_department', operator: 'EQUALS', value: department };
+                break;
+            case 1:
+                conditions = { operator: 'AND', clauses: [
+                    { field: 'agent_department', operator: 'EQUALS', value: department },
+                    { field: 'agent_sub_role', operator: 'IN', values: pickSome(random, subRoles, 4) }
+                ] };
+                break;
+            case 2:
+                conditions = { operator: 'AND', clauses: [
+                    { field: 'language', operator: 'IN', values: pickSome(random, languages, 2) },
+                    { field: 'wait_seconds', operator: 'GREATER_THAN', value: Math.floor(random() * 600) }
+                ] };
+                break;
+            case 3:
+                conditions = { operator: 'OR', clauses: [
+                    { field: 'queue.name', operator: 'CONTAINS_IGNORE_CASE', value: `${pick(random, queues)}`.toUpperCase() },
+                    { field: 'phone', operator: 'REGEX_MATCH', value: `^\\+1${pick(random, areaCodes)}` }
+                ] };
+                break;
+            case 4:
+                conditions = { operator: 'AND', clauses: [
+                    { field: 'agent_department', operator: 'EQUALS', value: department },
+                    { field: 'skill_groups', operator: 'NOT_IN', values: pickSome(random, languages, 1) }
+                ] };
+                break;
+            default:
+                conditions = { operator: 'AND', clauses: [
+                    { field: 'queue.name', operator: 'IN', list_ref: 'vip_queues' },
+                    { field: 'area_code', operator: 'EQUALS_IGNORE_CASE', value: pick(random, areaCodes) }
+                ] };
+        }
+
+        const result = index % 10 === 9
+            ? { unit_id: `{agent_department}-{language}`, fallback_unit_id: `unit-${index}` }
+            : { unit_id: `unit-${index}` };
+        if (index % 7 === 0) {
+            result.attributes = { queue_priority: 'high', skills: ['{language}'] };
+        }
+
+        // Every fifth rule shares its priority with the previous one
+        return { id: `rule-${index}`, name: `Rule ${index}`, priority: ruleCount - index + (index % 5 === 0 ? 1 : 0), conditions, result };
+    });
+
+    return {
+        unit_mapping_rules: {
+            version: '1.0',
+            default_unit_id: 'default-unit',
+            reference_lists: { vip_queues: pickSome(random, queues, 10) },
+            derived_fields: [
+                { name: 'area_code', source: 'phone', transforms: [{ type: 'regex_capture', pattern: '^\\+1(\\d{3})' }] }
+            ],
+            rules
+        }
+    };
+}
+
+// Values each field is compared with, as {field: {values: Set, numbers: []}}
+function collectFieldValues(ruleSet) {
+    const fields = {};
+    const referenceLists = ruleSet.reference_lists || {};
+    const fieldValues = field => {
+        if (!fields[field]) {
+            fields[field] = { values: new Set(), numbers: [] };
+        }
+        return fields[field];
+    };
+
+    const visit = node => {
+        if (!node || typeof node !== 'object') {
+            return;
+        }
+        if (RuleEvaluator.isGroup(node)) {
+            node.clauses.forEach(visit);
+            return;
+        }
+        if (!node.field || node.field === RuleEvaluator.NOW_FIELD) {
+            return;
+        }
+        const listed = RuleEvaluator.resolveListRef(node, referenceLists) || node;
+        const operands = [].concat(listed.value === undefined ? [] : [listed.value], Array.isArray(listed.values) ? listed.values : []);
+        const entry = fieldValues(node.field);
+        if (NUMERIC_OPERATORS.includes(node.operator)) {
+            operands.map(RuleEvaluator.parseNumber).filter(number => !Number.isNaN(number)).forEach(number => entry.numbers.push(number));
+        } else if (node.operator !== 'REGEX_MATCH') {
+            operands.forEach(value => entry.values.add(String(value)));
+        }
+    };
+    ruleSet.rules.forEach(rule => visit(rule.conditions));
+
+    (ruleSet.derived_fields || []).forEach(definition => {
+        if (definition && definition.source) {
+            fieldValues(definition.source);
+        }
+    });
+    ruleSet.rules.forEach(rule => {
+        RuleEvaluator.templateFields(rule.result && rule.result.unit_id).forEach(fieldValues);
+    });
+
+    return fields;
+}
+
+// Flat records keyed by field path (literal keys resolve like nested ones)
+function generateRecords(ruleSet, count, random) {
+    // Derived fields are computed from their sources, so they are not generated
+    const derivedNames = new Set((ruleSet.derived_fields || []).map(definition => definition && definition.name));
+    const fields = Object.entries(collectFieldValues(ruleSet)).filter(([field]) => !derivedNames.has(field)).map(([field, entry]) => ({
+        field,
+        values: Array.from(entry.values),
+        numbers: entry.numbers
+    }));
+
+    return Array.from({ length: count }, () => {
+        const record = {};
+        fields.forEach(({ field, values, numbers }) => {
+            if (numbers.length > 0) {
+                record[field] = Math.round(random() * 2 * Math.max(...numbers.map(Math.abs), 1));
+            } else if (values.length > 0 && random() < KNOWN_VALUE_RATE) {
+                record[field] = pick(random, values);
+            } else {
+                // Phone-shaped so regex and derived field rules see realistic input
+                record[field] = `+1${String(Math.floor(random() * 1e10)).padStart(10, '0')}`;
+            }
+        });
+        return record;
+    });
+}
+
+function time(run) {
+    const start = process.hrtime.bigint();
+    const value = run();
+    return { value, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+function describe(result) {
+    return JSON.stringify({
+        unitId: result.unitId,
+        matchedRuleId: result.matchedRuleId,
+        matchedRule: result.matchedRule,
+        attributes: result.attributes,
+        derivedFields: result.derivedFields
+    });
+}
+
+function runBenchmark(config, records, options = {}) {
+    const now = options.now === undefined ? Date.now() : options.now;
+    const compile = time(() => RuleCompiler.compileRules(config));
+    const compiled = compile.value;
+
+    const fast = time(() => records.map(record => compiled.evaluate(record, { now })));
+    const interpreted = time(() => records.map(record => RuleEvaluator.evaluateRules(config, record, { now })));
+
+    const mismatches = [];
+    records.forEach((record, index) => {
+        const expected = describe(interpreted.value[index]);
+        const actual = describe(fast.value[index]);
+        if (expected !== actual) {
+            mismatches.push({ index, record, expected, actual });
+        }
+    });
+
+    const fallbacks = fast.value.filter(result => result.matchedRuleIndex === null).length;
+    return {
+        records: records.length,
+        stats: compiled.stats,
+        compileMs: compile.ms,
+        interpreterMs: interpreted.ms,
+        compiledMs: fast.ms,
+        fallbacks,
+        mismatches
+    };
+}
+
+function formatReport(report) {
+    const perRecord = ms => report.records > 0 ? `${(ms * 1000 / report.records).toFixed(1)} µs/record` : '-';
+    const indexes = report.stats.indexes.length > 0
+        ? report.stats.indexes.map(index => `${index.field} (${index.rules} rules, ${index.values} values)`).join(', ')
+        : 'none';
+    const lines = [
+        `Rules: ${report.stats.rules} (${report.stats.compiledRules} with conditions), records: ${report.records}`,
+        `Indexes: ${indexes}; ${report.stats.unindexedRules} rule(s) checked for every record`,
+        `Interpreter: ${report.interpreterMs.toFixed(1)} ms (${perRecord(report.interpreterMs)})`,
+        `Compiled:    ${report.compiledMs.toFixed(1)} ms (${perRecord(report.compiledMs)}), compiled in ${report.compileMs.toFixed(1)} ms`,
+        `Speedup: ${report.compiledMs > 0 ? (report.interpreterMs / report.compiledMs).toFixed(1) : '-'}x`,
+        `Default unit: ${report.fallbacks} record(s) matched no rule`,
+        `Agreement: ${report.records - report.mismatches.length} of ${report.records} records`
+    ];
+    report.mismatches.slice(0, MAX_LISTED_MISMATCHES).forEach(mismatch => {
+        lines.push(`  Record ${mismatch.index}: ${JSON.stringify(mismatch.record)}`);
+        lines.push(`    interpreter: ${mismatch.expected}`);
+        lines.push(`    compiled:    ${mismatch.actual}`);
+    });
+    return lines.join('\n');
+}
+
+function parseArguments(args) {
+    const options = {
+        count: DEFAULT_RECORD_COUNT,
+        rules: DEFAULT_RULE_COUNT,
+        seed: DEFAULT_SEED
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--config') {
+            options.config = path.resolve(args[++i]);
+        } else if (args[i] === '--records') {
+            options.records = path.resolve(args[++i]);
+        } else if (args[i] === '--count') {
+            options.count = Number(args[++i]);
+        } else if (args[i] === '--rules') {
+            options.rules = Number(args[++i]);
+        } else if (args[i] === '--seed') {
+            options.seed = Number(args[++i]);
+        } else {
+            throw new Error(`Unknown argument "${args[i]}"`);
+        }
+    }
+
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArguments(process.argv.slice(2));
+    const random = createRandom(options.seed);
+
+    const config = options.config
+        ? ProfileDocument.parseDocument(fs.readFileSync(options.config, 'utf8')).value
+        : generateRuleSet(options.rules, random);
+    const ruleSet = RuleEvaluator.getRuleSet(config);
+
+    let records;
+    if (options.records) {
+        const parsed = RecordParsers.parseRecords(fs.readFileSync(options.records, 'utf8'));
+        if (parsed.errors.length > 0) {
+            console.log(`Skipped ${parsed.errors.length} record(s) that could not be parsed`);
+        }
+        records = parsed.records;
+    } else {
+        records = generateRecords(ruleSet, options.count, random);
+    }
+
+    const report = runBenchmark(ruleSet, records);
+    console.log(formatReport(report));
+    process.exitCode = report.mismatches.length > 0 ? 1 : 0;
+}
+
+module.exports = {
+    createRandom,
+    generateRuleSet,
+    generateRecords,
+    runBenchmark
+};
@@ -0,0 +1,228 @@
+/**
+ * Derived fields computed from call metadata before rules are evaluated.
+ *
+ * A rule set's `derived_fields` defines new fields from a source field and a
+ * list of transforms applied in order:
+ *
+ *   {"name": "area_code_state", "source": "phone", "transforms": [
+ *       {"type": "regex_capture", "pattern": "^\\+?1?(\\d{3})"},
+ *       {"type": "lookup", "table": {"212": "NY", "415": "CA"}, "default": "UNKNOWN"}
+ *   ]}
+ *
+ * Transforms are plain data (no code), so configs stay safe to deploy. A
+ * value that a transform cannot handle becomes null, and null passes through
+ * the remaining transforms. Array sources are transformed element by element.
+ * Fields are computed in order, so a source may name an earlier derived
+ * field; derived values take precedence over metadata fields of the same name.
+ *
+ * Exposed as `window.DerivedFields` in the browser and via require() in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./metadata-fields'));
+    } else {
+        root.DerivedFields = factory(root.MetadataFields);
+    }
+}(typeof self !== 'undefined' ? self : this, function (MetadataFields) {
+    'use strict';
+
+    // Parameters each transform takes. `kind` tells the builder how to edit
+    // them: integer, text, table (value -> result), numbers or list.
+    const TRANSFORMS = {
+        lowercase: { label: 'Lowercase', params: [] },
+        substring: {
+            label: 'Substring',
+            params: [
+                { name: 'start', kind: 'integer', hint: 'Start (negative counts from the end)' },
+                { name: 'length', kind: 'integer', hint: 'Length (default: to the end)' }
+            ]
+        },
+        regex_capture: {
+            label: 'Regex Capture',
+            params: [
+                { name: 'pattern', kind: 'text', hint: 'Pattern, e.g. ^\\+?1?(\\d{3})' },
+                { name: 'group', kind: 'integer', hint: 'Group (default 1)' }
+            ]
+        },
+        lookup: {
+            label: 'Lookup Table',
+            params: [
+                { name: 'table', kind: 'table', hint: 'One "value = result" per line' },
+                { name: 'default', kind: 'text', hint: 'Result for other values (default: null)' }
+            ]
+        },
+        bucket: {
+            label: 'Numeric Bucket',
+            params: [
+                { name: 'boundaries', kind: 'numbers', hint: 'Boundaries, e.g. 60, 300' },
+                { name: 'labels', kind: 'list', hint: 'Labels, e.g. short, medium, long' }
+            ]
+        }
+    };
+
+    // Returns {metadata, values}: a copy of the metadata with the derived
+    // fields added, and [{name, source, value, error?}] for traces
+    function computeDerivedFields(definitions, metadata) {
+        const augmented = Object.assign({}, metadata);
+        const values = [];
+
+        (Array.isArray(definitions) ? definitions : []).forEach(definition => {
+            if (!definition || !definition.name) {
+                return;
+            }
+
+            const entry = { name: definition.name, source: definition.source, value: null };
+            if (!definition.source) {
+                // An empty path would resolve to the metadata object itself
+                augmented[definition.name] = null;
+                values.push(entry);
+                return;
+            }
+            try {
+                const resolved = MetadataFields.resolveField(augmented, definition.source);
+                entry.value = resolved.multiple
+                    ? resolved.values.map(value => applyTransforms(value, definition.transforms))
+                    : applyTransforms(resolved.value, definition.transforms);
+            } catch (error) {
+                // e.g. an invalid pattern; the field is left null
+                entry.error = error.message;
+            }
+
+            augmented[definition.name] = entry.value;
+            values.push(entry);
+        });
+
+        return { metadata: augmented, values };
+    }
+
+    function applyTransforms(value, transforms) {
+        return (Array.isArray(transforms) ? transforms : [])
+            .reduce((current, transform) => applyTransform(current, transform), value === undefined ? null : value);
+    }
+
+    function applyTransform(value, transform) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        const text = typeof value === 'string' || typeof value === 'number' ? String(value) : null;
+
+        switch (transform && transform.type) {
+            case 'lowercase':
+                return text === null ? null : text.toLowerCase();
+
+            case 'substring': {
+                if (text === null) {
+                    return null;
+                }
+                // A negative start counts from the end ("last 4 digits" is start -4)
+                const start = Number.isInteger(transform.start) ? transform.start : 0;
+                const end = Number.isInteger(transform.length)
+                    ? (start < 0 && start + transform.length >= 0 ? undefined : start + transform.length)
+                    : undefined;
+                return text.slice(start, end);
+            }
+
+            case 'regex_capture': {
+                if (text === null) {
+                    return null;
+                }
+                const match = new RegExp(transform.pattern).exec(text);
+                const group = Number.isInteger(transform.group) ? transform.group : 1;
+                return match && match[group] !== undefined ? match[group] : null;
+            }
+
+            case 'lookup': {
+                const table = transform.table || {};
+                const key = typeof value === 'boolean' ? String(value) : text;
+                if (key !== null && Object.prototype.hasOwnProperty.call(table, key)) {
+                    return table[key];
+                }
+                return transform.default === undefined ? null : transform.default;
+            }
+
+            case 'bucket': {
+                // Buckets include their lower boundary: [60, 300] splits into <60, 60-299, >=300
+                const number = parseNumber(value);
+                if (Number.isNaN(number) || !Array.isArray(transform.boundaries) || !Array.isArray(transform.labels)) {
+                    return null;
+                }
+                const index = transform.boundaries.filter(boundary => number >= boundary).length;
+                return transform.labels[index] === undefined ? null : transform.labels[index];
+            }
+
+            default:
+                throw new Error(`Unknown transform "${transform && transform.type}"`);
+        }
+    }
+
+    // Same numeric parsing as RuleEvaluator.parseNumber
+    function parseNumber(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? value : NaN;
+        }
+        if (typeof value === 'string' && /^\s*-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?\s*$/.test(value)) {
+            return Number(value);
+        }
+        return NaN;
+    }
+
+    // Problems with one transform's parameters, as messages
+    function checkTransform(transform) {
+        if (!transform || !TRANSFORMS[transform.type]) {
+            return [`Unknown transform "${transform && transform.type}" - use one of ${Object.keys(TRANSFORMS).join(', ')}`];
+        }
+
+        const problems = [];
+        switch (transform.type) {
+            case 'substring':
+                if (transform.start !== undefined && !Number.isInteger(transform.start)) {
+                    problems.push('substring start must be an integer');
+                }
+                if (transform.length !== undefined && !(Number.isInteger(transform.length) && transform.length >= 0)) {
+                    problems.push('substring length must be a non-negative integer');
+                }
+                break;
+
+            case 'regex_capture':
+                try {
+                    new RegExp(transform.pattern);
+                } catch (error) {
+                    problems.push(error.message);
+                }
+                if (typeof transform.pattern !== 'string' || transform.pattern === '') {
+                    problems.push('regex_capture needs a pattern');
+                }
+                if (transform.group !== undefined && !(Number.isInteger(transform.group) && transform.group >= 0)) {
+                    problems.push('regex_capture group must be a non-negative integer');
+                }
+                break;
+
+            case 'lookup':
+                if (!transform.table || typeof transform.table !== 'object' || Array.isArray(transform.table)) {
+                    problems.push('lookup needs a table object mapping values to results');
+                }
+                break;
+
+            case 'bucket': {
+                const boundaries = Array.isArray(transform.boundaries) ? transform.boundaries : [];
+                if (boundaries.length === 0 || boundaries.some(boundary => typeof boundary !== 'number')) {
+                    problems.push('bucket needs numeric boundaries');
+                } else if (boundaries.some((boundary, index) => index > 0 && boundary <= boundaries[index - 1])) {
+                    problems.push('bucket boundaries must be in increasing order');
+                }
+                if (!Array.isArray(transform.labels) || transform.labels.length !== boundaries.length + 1) {
+                    problems.push(`bucket needs ${boundaries.length + 1} labels (one more than the boundaries)`);
+                }
+                break;
+            }
+        }
+        return problems;
+    }
+
+    return {
+        TRANSFORMS,
+        computeDerivedFields,
+        applyTransform,
+        checkTransform
+    };
+}));
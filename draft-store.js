@@ -0,0 +1,149 @@
+/**
+ * Per-organization draft persistence and version history.
+ *
+ * Works on any Storage-like object (`getItem`/`setItem`/`removeItem`, plus
+ * `length`/`key` to list organizations), which is `window.localStorage` in the
+ * browser. For every organization it keeps:
+ *
+ *   unit-mapping-rules:<org>:draft    - {saved_at, config}, the working copy
+ *   unit-mapping-rules:<org>:history  - [{id, saved_at, note, config}], oldest first
+ *   unit-mapping-rules:<org>:field-catalog - the field catalog (see field-catalog.js)
+ *   unit-mapping-rules:<org>:templates - rule templates saved by users (see rule-templates.js)
+ *
+ * and for the workspace as a whole:
+ *
+ *   unit-mapping-rules:workspace      - {inherits_base: [org]}, the organizations
+ *                                       inheriting the shared base (see rule-inheritance.js)
+ *
+ * Only the newest MAX_SNAPSHOTS snapshots are kept per organization.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DraftStore = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const KEY_PREFIX = 'unit-mapping-rules';
+    const MAX_SNAPSHOTS = 50;
+
+    function storageKey(orgId, kind) {
+        return `${KEY_PREFIX}:${orgId}:${kind}`;
+    }
+
+    function loadDraft(storage, orgId) {
+        return readJson(storage, storageKey(orgId, 'draft'), null);
+    }
+
+    function saveDraft(storage, orgId, config, now = new Date()) {
+        const draft = { saved_at: now.toISOString(), config };
+        writeJson(storage, storageKey(orgId, 'draft'), draft);
+        return draft;
+    }
+
+    function listSnapshots(storage, orgId) {
+        const history = readJson(storage, storageKey(orgId, 'history'), []);
+        return Array.isArray(history) ? history : [];
+    }
+
+    function getSnapshot(storage, orgId, snapshotId) {
+        return listSnapshots(storage, orgId).find(snapshot => snapshot.id === snapshotId) || null;
+    }
+
+    function saveSnapshot(storage, orgId, config, note = '', now = new Date()) {
+        const history = listSnapshots(storage, orgId);
+        const snapshot = {
+            id: history.length > 0 ? history[history.length - 1].id + 1 : 1,
+            saved_at: now.toISOString(),
+            note: note,
+            config: config
+        };
+
+        writeJson(storage, storageKey(orgId, 'history'), history.concat(snapshot).slice(-MAX_SNAPSHOTS));
+        saveDraft(storage, orgId, config, now);
+        return snapshot;
+    }
+
+    function loadFieldCatalog(storage, orgId) {
+        return readJson(storage, storageKey(orgId, 'field-catalog'), null);
+    }
+
+    function saveFieldCatalog(storage, orgId, catalog) {
+        writeJson(storage, storageKey(orgId, 'field-catalog'), catalog);
+        return catalog;
+    }
+
+    // Organizations with a saved draft, sorted by id
+    function listOrganizations(storage) {
+        const organizations = [];
+        const pattern = new RegExp(`^${KEY_PREFIX}:(.+):draft$`);
+        for (let index = 0; index < storage.length; index++) {
+            const match = pattern.exec(storage.key(index) || '');
+            if (match) {
+                organizations.push(match[1]);
+            }
+        }
+        return organizations.sort();
+    }
+
+    function loadWorkspace(storage) {
+        const workspace = readJson(storage, `${KEY_PREFIX}:workspace`, null);
+        return {
+            inherits_base: workspace && Array.isArray(workspace.inherits_base) ? workspace.inherits_base.filter(org => typeof org === 'string') : []
+        };
+    }
+
+    function saveWorkspace(storage, workspace) {
+        writeJson(storage, `${KEY_PREFIX}:workspace`, workspace);
+        return workspace;
+    }
+
+    function loadTemplates(storage, orgId) {
+        const templates = readJson(storage, storageKey(orgId, 'templates'), []);
+        return Array.isArray(templates) ? templates : [];
+    }
+
+    function saveTemplates(storage, orgId, templates) {
+        writeJson(storage, storageKey(orgId, 'templates'), templates);
+        return templates;
+    }
+
+    // Corrupt entries are treated as missing rather than breaking the page
+    function readJson(storage, key, fallback) {
+        const text = storage.getItem(key);
+        if (text === null || text === undefined) {
+            return fallback;
+        }
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            return fallback;
+        }
+    }
+
+    function writeJson(storage, key, value) {
+        try {
+            storage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            throw new Error(`Could not save to browser storage: ${error.message}`);
+        }
+    }
+
+    return {
+        MAX_SNAPSHOTS,
+        loadDraft,
+        saveDraft,
+        listSnapshots,
+        getSnapshot,
+        saveSnapshot,
+        loadFieldCatalog,
+        saveFieldCatalog,
+        loadTemplates,
+        saveTemplates,
+        listOrganizations,
+        loadWorkspace,
+        saveWorkspace
+    };
+}));
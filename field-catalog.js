@@ -0,0 +1,199 @@
+/**
+ * Per-organization field catalog merged from many metadata samples.
+ *
+ * The builder's field lists used to come from the one JSON payload in the
+ * sandbox, so fields disappeared whenever it changed. A catalog accumulates
+ * every sample that is added to it:
+ *
+ *   {"samples": 2, "fields": {
+ *       "agent_department": {"type": "string", "required": true, "seen": 2,
+ *                            "examples": ["Sales"], "values": ["Sales", "Support"]},
+ *       ...
+ *   }}
+ *
+ * `seen` counts the samples containing the field; a field is required when
+ * every sample has it. `values` is the set of scalar values observed (array
+ * fields contribute their elements), capped at MAX_VALUES (`truncated` is set
+ * once it is full). Entries changed by hand are marked `edited`, and merging
+ * more samples then keeps their type and required flag.
+ *
+ * Exposed as `window.FieldCatalog` in the browser and via require() in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./metadata-fields'));
+    } else {
+        root.FieldCatalog = factory(root.MetadataFields);
+    }
+}(typeof self !== 'undefined' ? self : this, function (MetadataFields) {
+    'use strict';
+
+    const MAX_VALUES = 50;
+    const MAX_EXAMPLES = 3;
+
+    // MetadataFields.getFieldType() results a catalog field can have
+    const FIELD_TYPES = ['string', 'numeric-string', 'datetime', 'integer', 'number', 'boolean', 'array', 'object', 'unknown'];
+
+    // Types that still describe a field seen with both; anything else is 'unknown'
+    const WIDER_TYPES = {
+        'integer|number': 'number',
+        'numeric-string|string': 'string',
+        'datetime|string': 'string',
+        'datetime|numeric-string': 'string'
+    };
+
+    // Field paths come from sample keys, so `fields` has no prototype for
+    // paths like "__proto__" or "constructor" to collide with
+    function createCatalog() {
+        return { samples: 0, fields: Object.create(null) };
+    }
+
+    // A well-formed copy of a stored or imported catalog; unusable parts are dropped
+    function normalizeCatalog(raw) {
+        const catalog = createCatalog();
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            return catalog;
+        }
+        catalog.samples = Number.isInteger(raw.samples) && raw.samples > 0 ? raw.samples : 0;
+
+        const fields = raw.fields && typeof raw.fields === 'object' ? raw.fields : {};
+        Object.keys(fields).forEach(path => {
+            const field = fields[path];
+            if (!path || !field || typeof field !== 'object') {
+                return;
+            }
+            catalog.fields[path] = {
+                type: FIELD_TYPES.includes(field.type) ? field.type : 'unknown',
+                required: field.required === true,
+                seen: Number.isInteger(field.seen) && field.seen > 0 ? field.seen : 0,
+                examples: Array.isArray(field.examples) ? field.examples.map(String).slice(0, MAX_EXAMPLES) : [],
+                values: Array.isArray(field.values) ? unique(field.values.map(String)).slice(0, MAX_VALUES) : []
+            };
+            if (field.truncated === true) {
+                catalog.fields[path].truncated = true;
+            }
+            if (field.edited === true) {
+                catalog.fields[path].edited = true;
+            }
+        });
+        return catalog;
+    }
+
+    // Returns a new catalog with the samples' fields and values merged in
+    function mergeSamples(catalog, samples) {
+        if (samples.some(metadata => !metadata || typeof metadata !== 'object' || Array.isArray(metadata))) {
+            throw new Error('A metadata sample must be a JSON object');
+        }
+
+        const merged = normalizeCatalog(catalog);
+        samples.forEach(metadata => addSample(merged, metadata));
+
+        Object.keys(merged.fields).forEach(path => {
+            const field = merged.fields[path];
+            if (!field.edited) {
+                field.required = field.seen === merged.samples;
+            }
+        });
+        return merged;
+    }
+
+    function mergeSample(catalog, metadata) {
+        return mergeSamples(catalog, [metadata]);
+    }
+
+    function addSample(merged, metadata) {
+        merged.samples++;
+
+        MetadataFields.discoverFields(metadata).forEach(discovered => {
+            let field = merged.fields[discovered.path];
+            if (!field) {
+                field = { type: discovered.type, required: false, seen: 0, examples: [], values: [] };
+                merged.fields[discovered.path] = field;
+            } else if (!field.edited) {
+                field.type = mergeTypes(field.type, discovered.type);
+            }
+            field.seen++;
+
+            const resolved = MetadataFields.resolveField(metadata, discovered.path);
+            if (resolved.value !== null && resolved.value !== undefined && field.examples.length < MAX_EXAMPLES) {
+                const example = MetadataFields.getFieldExample(resolved.value);
+                if (!field.examples.includes(example)) {
+                    field.examples.push(example);
+                }
+            }
+            resolved.values.forEach(value => addValue(field, value));
+        });
+    }
+
+    function addValue(field, value) {
+        const isScalar = typeof value === 'string' || typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value));
+        if (!isScalar || value === '' || field.values.includes(String(value))) {
+            return;
+        }
+        if (field.values.length >= MAX_VALUES) {
+            field.truncated = true;
+            return;
+        }
+        field.values.push(String(value));
+    }
+
+    function mergeTypes(a, b) {
+        if (a === b || b === 'unknown') {
+            return a;
+        }
+        if (a === 'unknown') {
+            return b;
+        }
+        return WIDER_TYPES[[a, b].sort().join('|')] || 'unknown';
+    }
+
+    // Fields as {path, name, type, example} for the builder's field lists
+    function toFieldOptions(catalog) {
+        return Object.keys(catalog.fields).map(path => {
+            const field = catalog.fields[path];
+            return {
+                path: path,
+                name: MetadataFields.formatFieldName(path),
+                type: field.type,
+                example: field.examples.length > 0 ? field.examples.join(', ') : '(none)'
+            };
+        }).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // Whether a condition's field path is covered by the catalog. Specific
+    // array elements (`skill_groups[0]`, `transfers[1].queue`) are covered by
+    // the array field or its `[*]` path.
+    function isKnownField(catalog, path) {
+        if (Object.prototype.hasOwnProperty.call(catalog.fields, path)) {
+            return true;
+        }
+        const wildcard = path.replace(/\[\d+\]/g, '[*]');
+        if (Object.prototype.hasOwnProperty.call(catalog.fields, wildcard)) {
+            return true;
+        }
+        const element = /^(.*)\[(\d+|\*)\]$/.exec(path);
+        return Boolean(element) && isKnownField(catalog, element[1]);
+    }
+
+    function fieldValues(catalog, path) {
+        const field = catalog.fields[path] || catalog.fields[path.replace(/\[\d+\]/g, '[*]')];
+        return field ? field.values : [];
+    }
+
+    function unique(values) {
+        return values.filter((value, index) => value !== '' && values.indexOf(value) === index);
+    }
+
+    return {
+        FIELD_TYPES,
+        MAX_VALUES,
+        createCatalog,
+        normalizeCatalog,
+        mergeSamples,
+        mergeSample,
+        mergeTypes,
+        toFieldOptions,
+        isKnownField,
+        fieldValues
+    };
+}));
@@ -0,0 +1,185 @@
+/**
+ * Metadata field paths and discovery.
+ *
+ * Field paths use dots for nested objects and brackets for arrays:
+ * `agent.department`, `skill_groups[0]`, `transfers[*].queue`. Discovery and
+ * evaluation both go through `parseFieldPath` so every path offered in the
+ * builder dropdowns resolves to the same value when rules are evaluated.
+ *
+ * Exposed as `window.MetadataFields` in the browser and via require() in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MetadataFields = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Nested objects deeper than this are not offered in the dropdowns
+    const MAX_DISCOVERY_DEPTH = 4;
+
+    const SEGMENT_PATTERN = /([^.[\]]+)|\[(\d+|\*)\]/g;
+
+    function parseFieldPath(path) {
+        const segments = [];
+        let match;
+
+        SEGMENT_PATTERN.lastIndex = 0;
+        while ((match = SEGMENT_PATTERN.exec(path)) !== null) {
+            if (match[1] !== undefined) {
+                segments.push({ type: 'key', key: match[1] });
+            } else if (match[2] === '*') {
+                segments.push({ type: 'wildcard' });
+            } else {
+                segments.push({ type: 'index', index: Number(match[2]) });
+            }
+        }
+
+        return segments;
+    }
+
+    // Resolves a path against metadata. Paths that go through a `[*]`
+    // wildcard or end on an array are "multiple": `values` holds every
+    // element and conditions are applied element-wise.
+    function resolveField(metadata, path) {
+        return createFieldResolver(path)(metadata);
+    }
+
+    // resolveField for a fixed path, with the path parsed once; used when the
+    // same path is resolved against many records
+    function createFieldResolver(path) {
+        const segments = parseFieldPath(path);
+
+        return function (metadata) {
+            // Literal keys win so flat payloads with dotted names keep working
+            if (metadata && Object.prototype.hasOwnProperty.call(metadata, path)) {
+                return toResolved(metadata[path]);
+            }
+
+            let current = [metadata];
+            let wildcard = false;
+
+            for (const segment of segments) {
+                const next = [];
+
+                current.forEach(value => {
+                    if (value === null || value === undefined) {
+                        return;
+                    }
+                    if (segment.type === 'key' && typeof value === 'object' && !Array.isArray(value)) {
+                        next.push(value[segment.key]);
+                    } else if (segment.type === 'index' && Array.isArray(value)) {
+                        next.push(value[segment.index]);
+                    } else if (segment.type === 'wildcard' && Array.isArray(value)) {
+                        next.push(...value);
+                    }
+                });
+
+                wildcard = wildcard || segment.type === 'wildcard';
+                current = next;
+            }
+
+            if (wildcard) {
+                // Arrays reached through a wildcard are flattened one more level
+                const values = [].concat(...current.map(value => Array.isArray(value) ? value : [value]));
+                return { value: values, values: values, multiple: true };
+            }
+
+            return toResolved(current[0]);
+        };
+    }
+
+    function toResolved(value) {
+        if (Array.isArray(value)) {
+            return { value: value, values: value, multiple: true };
+        }
+        return { value: value, values: [value], multiple: false };
+    }
+
+    function discoverFields(metadata, prefix = '', depth = 1) {
+        const fields = [];
+
+        for (const [key, value] of Object.entries(metadata)) {
+            const fieldPath = prefix ? `${prefix}.${key}` : key;
+            const fieldType = getFieldType(value);
+
+            fields.push({
+                path: fieldPath,
+                name: formatFieldName(fieldPath),
+                type: fieldType,
+                example: getFieldExample(value)
+            });
+
+            // For nested objects, recurse (but limit depth to avoid infinite recursion)
+            if (depth >= MAX_DISCOVERY_DEPTH) {
+                continue;
+            }
+            if (fieldType === 'object') {
+                fields.push(...discoverFields(value, fieldPath, depth + 1));
+            } else if (fieldType === 'array') {
+                // Arrays of objects expose their element fields through a wildcard
+                const elementFields = {};
+                value.filter(item => getFieldType(item) === 'object').forEach(item => Object.assign(elementFields, item));
+                if (Object.keys(elementFields).length > 0) {
+                    fields.push(...discoverFields(elementFields, `${fieldPath}[*]`, depth + 1));
+                }
+            }
+        }
+
+        return fields.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    function getFieldType(value) {
+        if (value === null || value === undefined) return 'unknown';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'object') return 'object';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        if (typeof value === 'boolean') return 'boolean';
+        if (typeof value === 'string') {
+            // Try to detect special string types
+            if (value.match(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/)) return 'datetime';
+            if (value.match(/^\d+$/)) return 'numeric-string';
+            return 'string';
+        }
+        return 'unknown';
+    }
+
+    function formatFieldName(fieldPath) {
+        // For nested paths, just use the last part to keep it concise
+        const parts = fieldPath.split('.');
+        const lastPart = parts[parts.length - 1];
+
+        // Convert camelCase to readable format
+        const readable = lastPart.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
+
+        // If nested, show parent context briefly
+        if (parts.length > 1) {
+            const parent = parts[parts.length - 2];
+            return `${readable} (${parent})`;
+        }
+
+        return readable;
+    }
+
+    function getFieldExample(value) {
+        if (Array.isArray(value)) {
+            return value.length > 0 ? `[${value[0]}${value.length > 1 ? ', ...' : ''}]` : '[]';
+        }
+        if (typeof value === 'object' && value !== null) {
+            return '{...}';
+        }
+        return String(value);
+    }
+
+    return {
+        parseFieldPath,
+        resolveField,
+        createFieldResolver,
+        discoverFields,
+        getFieldType,
+        formatFieldName,
+        getFieldExample
+    };
+}));
@@ -0,0 +1,132 @@
+/**
+ * Rule documents in JSON or YAML, and assembly of full AppConfig profiles.
+ *
+ * An organization's AppConfig profile holds its connection settings next to
+ * the rules (see IMPLEMENTATION_STRATEGY.md):
+ *
+ *   clientName: ACME_CORP
+ *   env: na6
+ *   unit_mapping_rules:
+ *     version: "1.0"
+ *     ...
+ *   unit_id: "acme-corp-legacy-unit"  # Still supported
+ *
+ * `mergeProfile(profileText, config, format)` puts the generated rules in the
+ * profile's `unit_mapping_rules` and leaves every other key as it is. When
+ * the profile and the output are both YAML, only the `unit_mapping_rules`
+ * block of the text is replaced, so comments and formatting elsewhere are
+ * kept; otherwise the profile is re-serialized in the output format.
+ *
+ * Exposed as `window.ProfileDocument` in the browser and via require() in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./yaml-lite'));
+    } else {
+        root.ProfileDocument = factory(root.YamlLite);
+    }
+}(typeof self !== 'undefined' ? self : this, function (YamlLite) {
+    'use strict';
+
+    const FORMATS = ['json', 'yaml'];
+    const RULES_KEY = 'unit_mapping_rules';
+    // The top-level `unit_mapping_rules:` line of a YAML profile
+    const RULES_KEY_PATTERN = /^(unit_mapping_rules|"unit_mapping_rules"|'unit_mapping_rules')\s*:(\s|$)/;
+
+    // JSON documents start with "{"; anything else is read as YAML
+    function detectFormat(text) {
+        return /^\s*\{/.test(text) ? 'json' : 'yaml';
+    }
+
+    // Returns {format, value}; throws with the format's error message
+    function parseDocument(text) {
+        const format = detectFormat(text);
+        try {
+            return { format, value: format === 'json' ? JSON.parse(text) : YamlLite.parse(text) };
+        } catch (error) {
+            throw new Error(`Invalid ${format === 'json' ? 'JSON' : 'YAML'}: ${error.message}`);
+        }
+    }
+
+    function formatDocument(value, format) {
+        return format === 'yaml' ? YamlLite.stringify(value) : JSON.stringify(value, null, 2);
+    }
+
+    // Returns {text, warnings}: the profile with `config`'s rules in it.
+    // An empty profile gives the rules document on its own.
+    function mergeProfile(profileText, config, format) {
+        const ruleSet = config && config[RULES_KEY] ? config[RULES_KEY] : config;
+        if (!profileText.trim()) {
+            return { text: formatDocument({ [RULES_KEY]: ruleSet }, format), warnings: [] };
+        }
+
+        const parsed = parseDocument(profileText);
+        const profile = parsed.value;
+        if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+            throw new Error('The profile must be a mapping of settings (e.g. clientName, env, unit_id)');
+        }
+
+        let text;
+        if (parsed.format === 'yaml' && format === 'yaml') {
+            text = replaceYamlBlock(profileText, ruleSet);
+        } else {
+            // Assigning an existing key keeps its position, so the key order is kept
+            const merged = Object.assign({}, profile, { [RULES_KEY]: ruleSet });
+            text = formatDocument(merged, format);
+        }
+        return { text, warnings: checkLegacyUnit(profile, ruleSet) };
+    }
+
+    // The YAML text with its top-level unit_mapping_rules block replaced (or appended)
+    function replaceYamlBlock(text, ruleSet) {
+        const lines = text.replace(/\r\n?/g, '\n').split('\n');
+        const block = [`${RULES_KEY}:`].concat(YamlLite.stringify(ruleSet).replace(/\n$/, '').split('\n').map(line => `  ${line}`));
+
+        const start = lines.findIndex(line => RULES_KEY_PATTERN.test(line));
+        if (start === -1) {
+            while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+                lines.pop();
+            }
+            return lines.concat('', block).join('\n') + '\n';
+        }
+
+        // The block runs to its last indented line; blank lines and comments
+        // after it belong to the next key
+        let end = start;
+        for (let index = start + 1; index < lines.length; index++) {
+            if (lines[index].trim() === '') {
+                continue;
+            }
+            if (!/^\s/.test(lines[index])) {
+                break;
+            }
+            end = index;
+        }
+        return lines.slice(0, start).concat(block, lines.slice(end + 1)).join('\n');
+    }
+
+    // Warnings about a legacy static unit_id that the rules' default unit disagrees with
+    function checkLegacyUnit(profile, ruleSet) {
+        const legacyUnitId = profile.unit_id;
+        if (legacyUnitId === undefined || legacyUnitId === null || legacyUnitId === '') {
+            return [];
+        }
+        const defaultUnitId = ruleSet && ruleSet.default_unit_id;
+        if (String(legacyUnitId) === defaultUnitId) {
+            return [];
+        }
+        return [
+            `The legacy unit_id "${legacyUnitId}" differs from the rules' default_unit_id "${defaultUnitId || ''}". ` +
+            `With unit_mapping_rules in the profile, calls that match no rule go to "${defaultUnitId || ''}" instead of "${legacyUnitId}".`
+        ];
+    }
+
+    return {
+        FORMATS,
+        detectFormat,
+        parseDocument,
+        formatDocument,
+        mergeProfile,
+        checkLegacyUnit
+    };
+}));
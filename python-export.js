@@ -0,0 +1,955 @@
+/**
+ * Python export of a rule set, and conformance vectors to check it against.
+ *
+ * The production pipeline sketched in IMPLEMENTATION_STRATEGY.md is Python
+ * (`RuleEngine.evaluate_rules`, `OrganizationService.get_unit_id_for_context`).
+ * `generateModule(config, options)` returns the source of a self-contained
+ * Python module (standard library only, Python 3.9+) with the rule set, a
+ * port of rule-evaluator.js and derived-fields.js, the `RuleEngine` and
+ * `OrganizationService` glue from the strategy, and a conformance runner:
+ *
+ *   python3 unit_mapping_rules_acme.py conformance-vectors.json
+ *
+ * `generateVectors(config, samples, options)` evaluates sample calls with the
+ * JavaScript evaluator at a fixed `now` and returns the vector document the
+ * runner checks: the rule set, and every sample's metadata with the expected
+ * unit id, matched rule, attributes and derived field values.
+ *
+ * Exposed as `window.PythonExport` in the browser and via require() in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rule-evaluator'));
+    } else {
+        root.PythonExport = factory(root.RuleEvaluator);
+    }
+}(typeof self !== 'undefined' ? self : this, function (RuleEvaluator) {
+    'use strict';
+
+    const INDENT = '    ';
+
+    // Port of rule-evaluator.js and derived-fields.js. JavaScript's String()
+    // and Date.parse() semantics are reproduced where they decide a match.
+    const ENGINE_SOURCE = String.raw`
+# A field the metadata does not have (undefined in JavaScript)
+_MISSING = object()
+
+_PLACEHOLDER_PATTERN = re.compile(r"\{([^{}]*)\}")
+_SEGMENT_PATTERN = re.compile(r"([^.\[\]]+)|\[([0-9]+|\*)\]")
+_NUMBER_PATTERN = re.compile(r"\s*-?([0-9]+\.?[0-9]*|\.[0-9]+)([eE][+-]?[0-9]+)?\s*\Z")
+_DATETIME_PATTERN = re.compile(
+    r"([0-9]{4})-([0-9]{2})-([0-9]{2})"
+    r"(?:[T ]([0-9]{2}):([0-9]{2})(?::([0-9]{2})(?:\.([0-9]+))?)?(Z|[+-][0-9]{2}:?[0-9]{2})?)?\Z"
+)
+_DATE_PATTERN = re.compile(r"[0-9]{4}-[0-9]{2}-[0-9]{2}\Z")
+_OFFSET_SUFFIX_PATTERN = re.compile(r"(Z|[+-][0-9]{2}:?[0-9]{2})\Z")
+_WALL_TIME_PATTERN = re.compile(r"[T ]([0-9]{2}):([0-9]{2})")
+_TIME_OF_DAY_PATTERN = re.compile(r"\s*([01][0-9]|2[0-3]):([0-5][0-9])\s*\Z")
+_QUANTIFIER_PATTERN = re.compile(r"\{[0-9]+(,[0-9]*)?\}")
+_GROUP_REFERENCE_PATTERN = re.compile(r"<([^<>]+)>")
+_HEX_PATTERN = re.compile(r"[0-9A-Fa-f]+")
+# What JavaScript's \s and "." (without flags) match
+_JS_SPACE = r"\t\n\v\f\r \u00a0\u1680\u2000-\u200a\u2028\u2029\u202f\u205f\u3000\ufeff"
+_JS_ANY = r"[^\n\r\u2028\u2029]"
+_WEEKDAYS_FROM_MONDAY = ["MON", "TUE", "WED", "THU", "FRI", "SAT", "SUN"]
+_EPOCH = datetime(1970, 1, 1)
+
+
+def get_rule_set(config):
+    """The unit_mapping_rules object of a full document or of the bare object."""
+    rule_set = config.get("unit_mapping_rules") if isinstance(config, dict) and config.get("unit_mapping_rules") else config
+    if not isinstance(rule_set, dict) or not isinstance(rule_set.get("rules"), list):
+        raise ValueError("Configuration has no unit_mapping_rules.rules array")
+    return rule_set
+
+
+def evaluate_rules(config, metadata, now=None, timezone_name=None):
+    """Resolves the unit for call metadata.
+
+    Returns {"unit_id", "attributes", "matched_rule", "matched_rule_id",
+    "derived_fields"}. now (epoch milliseconds, ISO 8601 text or a datetime)
+    fixes the $now field and defaults to the current time.
+    """
+    rule_set = get_rule_set(config)
+    context = {
+        "now": _now_millis(now),
+        "timezone": timezone_name or rule_set.get("timezone") or DEFAULT_TIMEZONE,
+        "reference_lists": rule_set.get("reference_lists") or {},
+    }
+    derived_metadata, derived_values = compute_derived_fields(rule_set.get("derived_fields"), metadata)
+    default_unit_id = rule_set.get("default_unit_id")
+
+    # Higher priority first; ties keep document order
+    for rule in sorted(rule_set["rules"], key=lambda rule: -(rule.get("priority") or 0)):
+        conditions = rule.get("conditions")
+        if not conditions:
+            continue
+        if _evaluate_node(conditions, derived_metadata, context):
+            result = resolve_result(rule.get("result"), derived_metadata, default_unit_id)
+            return {
+                "unit_id": result["unit_id"],
+                "attributes": result["attributes"],
+                "matched_rule": rule.get("name") or rule.get("id"),
+                "matched_rule_id": rule.get("id"),
+                "derived_fields": derived_values,
+            }
+
+    return {
+        "unit_id": default_unit_id,
+        "attributes": {},
+        "matched_rule": None,
+        "matched_rule_id": None,
+        "derived_fields": derived_values,
+    }
+
+
+def resolve_result(result, metadata, default_unit_id):
+    """The matched rule's unit id and attributes with their templates rendered."""
+    resolved = {"unit_id": default_unit_id, "attributes": {}, "errors": []}
+    if not isinstance(result, dict):
+        return resolved
+    value_maps = result.get("value_maps") or {}
+
+    if result.get("unit_id"):
+        text, missing = render_template(result["unit_id"], metadata, value_maps)
+        if not missing:
+            resolved["unit_id"] = text
+        else:
+            resolved["unit_id"] = result.get("fallback_unit_id") or default_unit_id
+            resolved["errors"].append("No value for %s in unit id %r" % (", ".join(missing), result["unit_id"]))
+
+    attributes = result.get("attributes")
+    for name, value in (attributes.items() if isinstance(attributes, dict) else []):
+        if isinstance(value, str):
+            text, missing = render_template(value, metadata, value_maps)
+            resolved["attributes"][name] = None if missing else text
+            if missing:
+                resolved["errors"].append("No value for %s in attribute %r" % (", ".join(missing), name))
+        elif isinstance(value, list):
+            resolved["attributes"][name] = []
+            for item in value:
+                text, missing = render_template(item, metadata, value_maps)
+                if missing:
+                    resolved["errors"].append("No value for %s in attribute %r" % (", ".join(missing), name))
+                else:
+                    resolved["attributes"][name].append(text)
+        else:
+            resolved["attributes"][name] = value
+
+    return resolved
+
+
+def render_template(template, metadata, value_maps=None):
+    """Replaces each {field} with the field's value; returns (text, missing placeholders)."""
+    value_maps = value_maps or {}
+    missing = []
+
+    def replace(match):
+        field = match.group(1).strip()
+        value = _MISSING
+        if field:
+            resolved, _, multiple = resolve_field(metadata, field)
+            if not multiple:
+                value = resolved
+        if not _is_scalar(value) or value == "":
+            missing.append(match.group(0))
+            return ""
+        mapping = value_maps.get(field) if isinstance(value_maps, dict) else None
+        key = _js_string(value)
+        if isinstance(mapping, dict) and key in mapping:
+            return _js_string(mapping[key])
+        return key
+
+    text = _PLACEHOLDER_PATTERN.sub(replace, _js_string(template))
+    return text, missing
+
+
+def resolve_field(metadata, path):
+    """Returns (value, values, multiple) like MetadataFields.resolveField."""
+    # Literal keys win so flat payloads with dotted names keep working
+    if isinstance(metadata, dict) and path in metadata:
+        return _to_resolved(metadata[path])
+
+    current = [metadata]
+    wildcard = False
+    for match in _SEGMENT_PATTERN.finditer(path):
+        key, index = match.group(1), match.group(2)
+        following = []
+        for value in current:
+            if value is None or value is _MISSING:
+                continue
+            if key is not None and isinstance(value, dict):
+                following.append(value.get(key, _MISSING))
+            elif index == "*" and isinstance(value, list):
+                following.extend(value)
+            elif index is not None and index != "*" and isinstance(value, list):
+                position = int(index)
+                following.append(value[position] if position < len(value) else _MISSING)
+        wildcard = wildcard or index == "*"
+        current = following
+
+    if wildcard:
+        # Arrays reached through a wildcard are flattened one more level
+        values = []
+        for value in current:
+            values.extend(value if isinstance(value, list) else [value])
+        return values, values, True
+
+    return _to_resolved(current[0] if current else _MISSING)
+
+
+def _to_resolved(value):
+    if isinstance(value, list):
+        return value, value, True
+    return value, [value], False
+
+
+def compute_derived_fields(definitions, metadata):
+    """Returns (metadata with the derived fields added, [{"name", "source", "value"}])."""
+    augmented = dict(metadata) if isinstance(metadata, dict) else {}
+    values = []
+
+    for definition in definitions if isinstance(definitions, list) else []:
+        if not isinstance(definition, dict) or not definition.get("name"):
+            continue
+        name = definition["name"]
+        entry = {"name": name, "source": definition.get("source"), "value": None}
+        if definition.get("source"):
+            try:
+                value, elements, multiple = resolve_field(augmented, definition["source"])
+                transforms = definition.get("transforms")
+                entry["value"] = (
+                    [_apply_transforms(element, transforms) for element in elements]
+                    if multiple
+                    else _apply_transforms(value, transforms)
+                )
+            except Exception as error:  # e.g. an invalid pattern; the field is left null
+                entry["error"] = str(error)
+        augmented[name] = entry["value"]
+        values.append(entry)
+
+    return augmented, values
+
+
+def _apply_transforms(value, transforms):
+    current = None if value is _MISSING else value
+    for transform in transforms if isinstance(transforms, list) else []:
+        current = _apply_transform(current, transform)
+    return current
+
+
+def _apply_transform(value, transform):
+    if value is None or value is _MISSING:
+        return None
+    text = _js_string(value) if isinstance(value, str) or _is_number(value) else None
+    kind = transform.get("type") if isinstance(transform, dict) else None
+
+    if kind == "lowercase":
+        return None if text is None else text.lower()
+
+    if kind == "substring":
+        if text is None:
+            return None
+        # A negative start counts from the end ("last 4 digits" is start -4)
+        start = int(transform["start"]) if _is_integer(transform.get("start")) else 0
+        end = None
+        if _is_integer(transform.get("length")):
+            length = int(transform["length"])
+            end = None if start < 0 and start + length >= 0 else start + length
+        return text[start:end]
+
+    if kind == "regex_capture":
+        if text is None:
+            return None
+        match = _js_regex(_regex_source(transform.get("pattern", _MISSING))).search(text)
+        group = int(transform["group"]) if _is_integer(transform.get("group")) else 1
+        if not match or group < 0 or group > len(match.groups()):
+            return None
+        return match.group(group)
+
+    if kind == "lookup":
+        table = transform.get("table") or {}
+        key = ("true" if value else "false") if isinstance(value, bool) else text
+        if key is not None and isinstance(table, dict) and key in table:
+            return table[key]
+        return transform.get("default")
+
+    if kind == "bucket":
+        # Buckets include their lower boundary: [60, 300] splits into <60, 60-299, >=300
+        number = _parse_number(value)
+        boundaries = transform.get("boundaries")
+        labels = transform.get("labels")
+        if math.isnan(number) or not isinstance(boundaries, list) or not isinstance(labels, list):
+            return None
+        index = len([boundary for boundary in boundaries if number >= _to_number(boundary)])
+        return labels[index] if index < len(labels) else None
+
+    raise ValueError('Unknown transform "%s"' % _js_string(kind if kind is not None else _MISSING))
+
+
+def _evaluate_node(node, metadata, context):
+    if isinstance(node, dict) and isinstance(node.get("clauses"), list):
+        operator = node.get("operator")
+        clauses = node["clauses"]
+        if operator == "OR":
+            return any(_evaluate_node(clause, metadata, context) for clause in clauses)
+        if operator == "NOT":
+            return len(clauses) > 0 and not any(_evaluate_node(clause, metadata, context) for clause in clauses)
+        if operator == "AND":
+            return len(clauses) > 0 and all(_evaluate_node(clause, metadata, context) for clause in clauses)
+        return False
+    return isinstance(node, dict) and _evaluate_condition(node, metadata, context)
+
+
+def _evaluate_condition(condition, metadata, context):
+    if not condition.get("field") or not condition.get("operator"):
+        return False
+    listed = _resolve_list_ref(condition, context["reference_lists"])
+    if listed is None:
+        return False
+
+    if listed["field"] == NOW_FIELD:
+        value, values, multiple = _now_text(context["now"]), None, False
+    else:
+        value, values, multiple = resolve_field(metadata, listed["field"])
+    timezone_name = listed.get("timezone") or context["timezone"]
+    if not multiple:
+        return _compare_value(listed, value, timezone_name)
+    if listed.get("operator") in _MATCH_ALL:
+        return all(_compare_value(listed, item, timezone_name) for item in values)
+    return any(_compare_value(listed, item, timezone_name) for item in values)
+
+
+def _resolve_list_ref(condition, reference_lists):
+    """The condition with its list_ref replaced by the list's values, or None when the list is not defined."""
+    if "list_ref" not in condition:
+        return condition
+    name = _js_string(condition["list_ref"])
+    values = reference_lists.get(name) if isinstance(reference_lists, dict) else None
+    if not isinstance(values, list):
+        return None
+    resolved = dict(condition, values=values)
+    del resolved["list_ref"]
+    return resolved
+
+
+def _compare_value(condition, value, timezone_name):
+    operator = condition.get("operator")
+    if operator in _NEGATES:
+        return not _compare_value(dict(condition, operator=_NEGATES[operator]), value, timezone_name)
+
+    values = [_js_string(item) for item in condition["values"]] if isinstance(condition.get("values"), list) else []
+    expected = condition.get("value", _MISSING)
+    text = _js_string(value) if _is_text(value) else None
+
+    if operator == "EQUALS":
+        return _is_scalar(value) and _js_string(value) == _js_string(expected)
+    if operator == "EQUALS_IGNORE_CASE":
+        return _is_scalar(value) and _js_string(value).lower() == _js_string(expected).lower()
+    if operator == "IN":
+        return _is_scalar(value) and _js_string(value) in values
+    if operator == "IN_IGNORE_CASE":
+        return _is_scalar(value) and _js_string(value).lower() in [item.lower() for item in values]
+    if operator == "CONTAINS":
+        return text is not None and _js_string(expected) in text
+    if operator == "CONTAINS_IGNORE_CASE":
+        return text is not None and _js_string(expected).lower() in text.lower()
+    if operator == "STARTS_WITH":
+        return text is not None and text.startswith(_js_string(expected))
+    if operator == "ENDS_WITH":
+        return text is not None and text.endswith(_js_string(expected))
+    if operator == "IS_NULL_OR_EMPTY":
+        return value is None or value is _MISSING or value == ""
+    if operator == "GREATER_THAN":
+        return _parse_number(value) > _parse_number(expected)
+    if operator == "GREATER_OR_EQUAL":
+        return _parse_number(value) >= _parse_number(expected)
+    if operator == "LESS_THAN":
+        return _parse_number(value) < _parse_number(expected)
+    if operator == "LESS_OR_EQUAL":
+        return _parse_number(value) <= _parse_number(expected)
+    if operator == "BETWEEN":
+        number = _parse_number(value)
+        return len(values) == 2 and number >= _parse_number(values[0]) and number <= _parse_number(values[1])
+    if operator == "BEFORE":
+        return _parse_datetime(value) < _parse_datetime(expected)
+    if operator == "AFTER":
+        return _parse_datetime(value) > _parse_datetime(expected)
+    if operator == "TIME_BETWEEN":
+        local = _to_wall_clock(value, timezone_name)
+        start = _parse_time_of_day(values[0] if len(values) > 0 else "")
+        end = _parse_time_of_day(values[1] if len(values) > 1 else "")
+        if local is None or start is None or end is None:
+            return False
+        if start <= end:
+            return start <= local["minutes"] < end
+        return local["minutes"] >= start or local["minutes"] < end
+    if operator == "DAY_OF_WEEK_IN":
+        local = _to_wall_clock(value, timezone_name)
+        return local is not None and local["weekday"] in [day.strip().upper() for day in values]
+    if operator == "DATE_RANGE":
+        local = _to_wall_clock(value, timezone_name)
+        return (
+            local is not None
+            and len(values) == 2
+            and _is_date(values[0])
+            and _is_date(values[1])
+            and values[0].strip() <= local["date"] <= values[1].strip()
+        )
+    if operator == "IS_TRUE":
+        return _parse_boolean(value) is True
+    if operator == "IS_FALSE":
+        return _parse_boolean(value) is False
+    if operator == "REGEX_MATCH":
+        if text is None:
+            return False
+        try:
+            return _js_regex(_regex_source(expected)).search(text) is not None
+        except re.error:
+            return False
+    return False
+
+
+def _is_number(value):
+    return isinstance(value, (int, float)) and not isinstance(value, bool)
+
+
+def _is_scalar(value):
+    return isinstance(value, (str, bool)) or (_is_number(value) and math.isfinite(value))
+
+
+def _is_text(value):
+    return isinstance(value, str) or (_is_number(value) and math.isfinite(value))
+
+
+def _is_integer(value):
+    return (isinstance(value, int) and not isinstance(value, bool)) or (isinstance(value, float) and value.is_integer())
+
+
+def _js_string(value):
+    """JavaScript's String(value)."""
+    if value is _MISSING:
+        return "undefined"
+    if value is None:
+        return "null"
+    if value is True:
+        return "true"
+    if value is False:
+        return "false"
+    if isinstance(value, str):
+        return value
+    if _is_number(value):
+        return _js_number(value)
+    if isinstance(value, list):
+        return ",".join("" if item is None or item is _MISSING else _js_string(item) for item in value)
+    return "[object Object]"
+
+
+def _js_number(value):
+    """JavaScript's number to string conversion (1e-7, 0.00001, 1e+21)."""
+    if isinstance(value, int):
+        return str(value)
+    if math.isnan(value):
+        return "NaN"
+    if math.isinf(value):
+        return "Infinity" if value > 0 else "-Infinity"
+    if value == 0:
+        return "0"
+    sign = "-" if value < 0 else ""
+    _, digit_tuple, exponent = Decimal(repr(abs(value))).as_tuple()
+    point = len(digit_tuple) + exponent
+    digits = "".join(str(digit) for digit in digit_tuple).rstrip("0") or "0"
+    count = len(digits)
+    if count <= point <= 21:
+        text = digits + "0" * (point - count)
+    elif 0 < point <= 21:
+        text = digits[:point] + "." + digits[point:]
+    elif -6 < point <= 0:
+        text = "0." + "0" * -point + digits
+    else:
+        power = point - 1
+        text = digits[0] + ("." + digits[1:] if count > 1 else "") + "e" + ("+" if power >= 0 else "-") + str(abs(power))
+    return sign + text
+
+
+def _regex_source(value):
+    # new RegExp(undefined) is the empty pattern
+    return "" if value is _MISSING else _js_string(value)
+
+
+def _js_regex(source):
+    r"""Compiles a JavaScript pattern (no flags) with Python's re.
+
+    JavaScript-only syntax is rewritten: (?<name>...) and \k<name>, "$" (end
+    of input only), "." (no line terminators), \s, [^] and [], and escapes
+    like \e that JavaScript reads as the letter. re.ASCII keeps \d, \w and \b
+    ASCII-only as in JavaScript. Constructs without a Python equivalent
+    raise ValueError; invalid patterns raise re.error.
+    """
+    output = []
+    in_class = False
+    index = 0
+    while index < len(source):
+        char = source[index]
+        if char == "\\" and index + 1 < len(source):
+            escape, index = _translate_escape(source, index + 1, in_class)
+            output.append(escape)
+            continue
+        index += 1
+        if in_class:
+            if char == "]":
+                in_class = False
+            elif char in "[&~|":
+                # Python warns about (future) nested sets and set operations
+                char = "\\" + char
+            output.append(char)
+        elif char == "[":
+            if source.startswith("^]", index):
+                output.append("(?s:.)")
+                index += 2
+            elif source.startswith("]", index):
+                output.append("(?!)")
+                index += 1
+            else:
+                output.append(char)
+                in_class = True
+                if source.startswith("^", index):
+                    output.append("^")
+                    index += 1
+        elif char == "$":
+            output.append(r"\Z")
+        elif char == ".":
+            output.append(_JS_ANY)
+        elif char == "(" and source.startswith("?<", index) and not source.startswith(("?<=", "?<!"), index):
+            end = source.find(">", index)
+            name = source[index + 2:end] if end != -1 else ""
+            if not name.isidentifier():
+                raise ValueError("Regular expression group name %s is not a Python identifier" % json.dumps(name))
+            output.append("(?P<%s>" % name)
+            index = end + 1
+        elif char == "{" and not _QUANTIFIER_PATTERN.match(source, index - 1):
+            output.append(r"\{")
+        else:
+            output.append(char)
+
+    try:
+        return re.compile("".join(output), re.ASCII)
+    except re.error as error:
+        if "look-behind" in str(error):
+            raise ValueError("Regular expression %s has a variable-width look-behind, which Python does not support" % json.dumps(source)) from error
+        raise
+
+
+# Returns (translation, index after the escape) for the escape at source[index]
+def _translate_escape(source, index, in_class):
+    char = source[index]
+    if char == "s":
+        return (_JS_SPACE if in_class else "[" + _JS_SPACE + "]"), index + 1
+    if char == "S":
+        if in_class:
+            raise ValueError(r"\S inside a character class has no Python equivalent")
+        return "[^" + _JS_SPACE + "]", index + 1
+    if char == "k":
+        match = _GROUP_REFERENCE_PATTERN.match(source, index + 1)
+        if match:
+            return "(?P=%s)" % match.group(1), match.end()
+    if char == "c" and index + 1 < len(source) and source[index + 1].isascii() and source[index + 1].isalpha():
+        return "\\x%02x" % (ord(source[index + 1]) % 32), index + 2
+    for letter, length in (("u", 4), ("x", 2)):
+        digits = source[index + 1:index + 1 + length]
+        if char == letter and len(digits) == length and _HEX_PATTERN.fullmatch(digits):
+            return "\\" + char + digits, index + 1 + length
+    if char == "0" and not source[index + 1:index + 2].isdigit():
+        return r"\x00", index + 1
+    if char in "dDwWnrtfv0123456789" or (char in "bB" and not in_class) or (char == "b" and in_class):
+        return "\\" + char, index + 1
+    if char.isascii() and char.isalnum():
+        # JavaScript reads unknown escapes (\e, \A, \k) as the character itself
+        return char, index + 1
+    return "\\" + char, index + 1
+
+
+def _parse_number(value):
+    """Numbers and numeric strings ("42", "-1.5"); anything else is NaN."""
+    if _is_number(value):
+        return float(value) if math.isfinite(value) else math.nan
+    if isinstance(value, str) and _NUMBER_PATTERN.match(value):
+        return float(value)
+    return math.nan
+
+
+def _to_number(value):
+    # JavaScript's comparison coercion, for bucket boundaries
+    if isinstance(value, bool):
+        return float(value)
+    if value is None:
+        return 0.0
+    return _parse_number(value)
+
+
+def _parse_datetime(value):
+    """ISO 8601 date or datetime text as epoch milliseconds, like Date.parse(); anything else is NaN.
+
+    Datetimes without an offset are read in the local time zone, dates in UTC.
+    """
+    if not isinstance(value, str):
+        return math.nan
+    match = _DATETIME_PATTERN.match(value.strip())
+    if not match:
+        return math.nan
+    year, month, day = int(match.group(1)), int(match.group(2)), int(match.group(3))
+    hour = int(match.group(4) or 0)
+    minute = int(match.group(5) or 0)
+    second = int(match.group(6) or 0)
+    millisecond = int((match.group(7) or "0")[:3].ljust(3, "0"))
+    if not (1 <= month <= 12 and 1 <= day <= 31) or hour > 24 or minute > 59 or second > 59:
+        return math.nan
+    if hour == 24 and (minute or second or millisecond):
+        return math.nan
+    try:
+        # Days past the end of the month roll over, as in Date.parse()
+        moment = datetime(year, month, 1) + timedelta(
+            days=day - 1, hours=hour, minutes=minute, seconds=second, milliseconds=millisecond
+        )
+    except (ValueError, OverflowError):
+        return math.nan
+
+    offset = match.group(8)
+    if match.group(4) is None:
+        return (moment - _EPOCH) // timedelta(milliseconds=1)
+    if offset is None:
+        return round(moment.timestamp() * 1000)
+    offset_minutes = 0
+    if offset != "Z":
+        digits = offset[1:].replace(":", "")
+        hours, minutes = int(digits[:2]), int(digits[2:])
+        if hours > 23 or minutes > 59:
+            return math.nan
+        offset_minutes = (hours * 60 + minutes) * (-1 if offset[0] == "-" else 1)
+    return (moment - _EPOCH) // timedelta(milliseconds=1) - offset_minutes * 60000
+
+
+def _parse_boolean(value):
+    if isinstance(value, bool):
+        return value
+    if isinstance(value, str) and value.strip().lower() in ("true", "false"):
+        return value.strip().lower() == "true"
+    return None
+
+
+def _parse_time_of_day(value):
+    """Minutes since midnight of "HH:MM" (24-hour) text, or None."""
+    match = _TIME_OF_DAY_PATTERN.match(value)
+    return int(match.group(1)) * 60 + int(match.group(2)) if match else None
+
+
+def _is_date(value):
+    text = value.strip()
+    return bool(_DATE_PATTERN.match(text)) and not math.isnan(_parse_datetime(text))
+
+
+_zones = {}
+
+
+def _zone(name):
+    if name not in _zones:
+        try:
+            _zones[name] = ZoneInfo(name)
+        except Exception:
+            # Unknown time zones never match
+            _zones[name] = None
+    return _zones[name]
+
+
+def _to_wall_clock(value, timezone_name):
+    """Local date, minutes since midnight and weekday code of a datetime, or None.
+
+    Datetimes with an offset (and $now) are converted into the time zone;
+    those without one already are wall-clock time and are used as written.
+    """
+    timestamp = _parse_datetime(value)
+    if math.isnan(timestamp):
+        return None
+    text = value.strip()
+    if not _OFFSET_SUFFIX_PATTERN.search(text):
+        day = date(int(text[0:4]), int(text[5:7]), 1) + timedelta(days=int(text[8:10]) - 1)
+        time = _WALL_TIME_PATTERN.search(text)
+        return {
+            "date": text[:10],
+            "minutes": int(time.group(1)) * 60 + int(time.group(2)) if time else 0,
+            "weekday": _WEEKDAYS_FROM_MONDAY[day.weekday()],
+        }
+    zone = _zone(timezone_name)
+    if zone is None:
+        return None
+    local = datetime.fromtimestamp(timestamp / 1000, zone)
+    return {
+        "date": "%04d-%02d-%02d" % (local.year, local.month, local.day),
+        "minutes": local.hour * 60 + local.minute,
+        "weekday": _WEEKDAYS_FROM_MONDAY[local.weekday()],
+    }
+
+
+def _now_millis(now):
+    if now is None:
+        return int(datetime.now(timezone.utc).timestamp() * 1000)
+    if isinstance(now, datetime):
+        return int(now.timestamp() * 1000)
+    if isinstance(now, str):
+        return _parse_datetime(now)
+    return now
+
+
+def _now_text(now):
+    seconds, millisecond = divmod(int(now), 1000)
+    moment = _EPOCH + timedelta(seconds=seconds)
+    return moment.strftime("%Y-%m-%dT%H:%M:%S") + ".%03dZ" % millisecond
+
+
+class RuleEngine:
+    """Rule evaluation as sketched in IMPLEMENTATION_STRATEGY.md."""
+
+    def evaluate_rules(self, rules, context, now=None):
+        return self.evaluate(rules, context, now)["unit_id"]
+
+    def evaluate(self, rules, context, now=None):
+        return evaluate_rules(rules, context, now=now)
+
+
+class OrganizationService:
+    """Unit id lookup per organization: the rules first, then the legacy static unit_id."""
+
+    def __init__(self, configs=None, rule_engine=None):
+        self.configs = ORGANIZATION_CONFIGS if configs is None else configs
+        self.rule_engine = rule_engine or RuleEngine()
+
+    def get_organization_config(self, organization_id):
+        return self.configs.get(organization_id, {})
+
+    def get_unit_id_for_context(self, organization_id, context, now=None):
+        org_config = self.get_organization_config(organization_id)
+
+        # Phase 1: rule-based approach
+        if org_config.get("unit_mapping_rules"):
+            return self.rule_engine.evaluate_rules(org_config["unit_mapping_rules"], context, now)
+
+        # Phase 2: existing static approach (backward compatibility)
+        if org_config.get("unit_id"):
+            return org_config["unit_id"]
+
+        # Phase 3: fallback
+        return "%s-default" % organization_id
+
+
+def run_conformance(document, rules=None):
+    """Checks conformance vectors; returns [(vector name, what differs, expected, actual)].
+
+    The vectors are evaluated with the given rules, or with the rule set
+    stored in the vector document.
+    """
+    vectors = document.get("conformance_vectors", document)
+    rules = vectors.get("unit_mapping_rules") if rules is None else rules
+    failures = []
+    for vector in vectors.get("vectors", []):
+        name = vector.get("name")
+        try:
+            result = evaluate_rules(rules, vector.get("metadata"), now=vectors.get("now"))
+        except Exception as error:
+            failures.append((name, "error", None, str(error)))
+            continue
+        actual = {
+            "unit_id": result["unit_id"],
+            "matched_rule_id": result["matched_rule_id"],
+            "attributes": result["attributes"],
+            "derived_fields": dict((entry["name"], entry["value"]) for entry in result["derived_fields"]),
+        }
+        for key, expected in vector.get("expected", {}).items():
+            if actual.get(key) != expected:
+                failures.append((name, key, expected, actual.get(key)))
+    return failures
+
+
+def main(arguments):
+    if len(arguments) != 1:
+        print("Usage: python3 %s conformance-vectors.json" % sys.argv[0], file=sys.stderr)
+        return 2
+    with open(arguments[0], encoding="utf-8") as handle:
+        document = json.load(handle)
+
+    vectors = document.get("conformance_vectors", document)
+    rules = vectors.get("unit_mapping_rules")
+    if rules is None:
+        rules = UNIT_MAPPING_RULES
+    elif get_rule_set(rules) != UNIT_MAPPING_RULES:
+        print("Note: the vectors were generated from a different rule set than this module; checking the vectors' rule set")
+
+    failures = run_conformance(document, rules)
+    for name, key, expected, actual in failures:
+        print("FAIL %s: %s expected %s, got %s" % (name, key, json.dumps(expected), json.dumps(actual)))
+    total = len(vectors.get("vectors", []))
+    failed = len(set(failure[0] for failure in failures))
+    print("%d of %d vectors match the JavaScript evaluator" % (total - failed, total))
+    return 1 if failures else 0
+
+
+if __name__ == "__main__":
+    sys.exit(main(sys.argv[1:]))
+`;
+
+    // Module file name for an organization: unit_mapping_rules_<org>.py
+    function moduleFileName(organizationId) {
+        const slug = String(organizationId || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+        return `unit_mapping_rules${slug ? `_${slug}` : ''}.py`;
+    }
+
+    // options: {organizationId, legacyUnitId, generatedAt}
+    function generateModule(config, options = {}) {
+        const ruleSet = RuleEvaluator.getRuleSet(config);
+        const organizationId = options.organizationId || '';
+        const fileName = moduleFileName(organizationId);
+        const generatedAt = options.generatedAt || new Date().toISOString();
+
+        const negates = {};
+        const matchAll = [];
+        Object.keys(RuleEvaluator.OPERATORS).forEach(operator => {
+            const spec = RuleEvaluator.OPERATORS[operator];
+            if (spec.negates) {
+                negates[operator] = spec.negates;
+            }
+            if (spec.match === 'all') {
+                matchAll.push(operator);
+            }
+        });
+
+        const header = [
+            '"""Unit mapping rules for organization ' + JSON.stringify(organizationId) + '.',
+            '',
+            `Generated by the Dynamic Unit Mapping Rule Builder at ${generatedAt}; regenerate`,
+            'it from the builder instead of editing it. It only needs the standard library',
+            '(Python 3.9+) and resolves unit ids like the builder\'s sandbox:',
+            '',
+            `    from ${fileName.replace(/\.py$/, '')} import OrganizationService`,
+            `    unit_id = OrganizationService().get_unit_id_for_context(${JSON.stringify(organizationId)}, context)`,
+            '',
+            'Check it against conformance vectors exported from the builder:',
+            '',
+            `    python3 ${fileName} conformance-vectors.json`,
+            '"""',
+            '',
+            'import json',
+            'import math',
+            'import re',
+            'import sys',
+            'from datetime import date, datetime, timedelta, timezone',
+            'from decimal import Decimal',
+            'from zoneinfo import ZoneInfo',
+            '',
+            `ORGANIZATION_ID = ${toPythonLiteral(organizationId)}`,
+            '',
+            '# Static unit of the organization\'s profile, used when it has no rules',
+            `LEGACY_UNIT_ID = ${toPythonLiteral(options.legacyUnitId === undefined ? null : options.legacyUnitId)}`,
+            '',
+            `UNIT_MAPPING_RULES = ${toPythonLiteral(ruleSet)}`,
+            '',
+            'ORGANIZATION_CONFIGS = {',
+            `${INDENT}ORGANIZATION_ID: {"unit_mapping_rules": UNIT_MAPPING_RULES, "unit_id": LEGACY_UNIT_ID},`,
+            '}',
+            '',
+            `NOW_FIELD = ${toPythonLiteral(RuleEvaluator.NOW_FIELD)}`,
+            `DEFAULT_TIMEZONE = ${toPythonLiteral(RuleEvaluator.DEFAULT_TIMEZONE)}`,
+            '',
+            '# Operators that are the exact negation of another, and those that must',
+            '# hold for every element of an array field',
+            `_NEGATES = ${toPythonLiteral(negates)}`,
+            `_MATCH_ALL = frozenset(${toPythonLiteral(matchAll)})`,
+            ''
+        ];
+
+        return header.join('\n') + ENGINE_SOURCE;
+    }
+
+    // samples: [{label, metadata}]. Returns {document, errors}: the vector
+    // document, and [{label, message}] for samples that could not be evaluated.
+    // options: {organizationId, now, generatedAt}
+    function generateVectors(config, samples, options = {}) {
+        const ruleSet = RuleEvaluator.getRuleSet(config);
+        const now = new Date(options.now === undefined ? Date.now() : options.now).toISOString();
+        const vectors = [];
+        const errors = [];
+
+        samples.forEach(sample => {
+            let result;
+            try {
+                result = RuleEvaluator.evaluateRules(ruleSet, sample.metadata, { now });
+            } catch (error) {
+                errors.push({ label: sample.label, message: error.message });
+                return;
+            }
+            const derivedFields = {};
+            result.derivedFields.forEach(entry => {
+                derivedFields[entry.name] = entry.value;
+            });
+            vectors.push({
+                name: sample.label,
+                metadata: sample.metadata,
+                expected: {
+                    unit_id: result.unitId,
+                    matched_rule_id: result.matchedRuleId,
+                    attributes: result.attributes,
+                    derived_fields: derivedFields
+                }
+            });
+        });
+
+        return {
+            document: {
+                conformance_vectors: {
+                    organization_id: options.organizationId || '',
+                    generated_at: options.generatedAt || new Date().toISOString(),
+                    now,
+                    unit_mapping_rules: ruleSet,
+                    vectors
+                }
+            },
+            errors
+        };
+    }
+
+    // JSON data as a Python literal; strings use JSON escapes, which Python reads the same way
+    function toPythonLiteral(value, indent = '') {
+        if (value === null || value === undefined || (typeof value === 'number' && !Number.isFinite(value))) {
+            return 'None';
+        }
+        if (typeof value === 'boolean') {
+            return value ? 'True' : 'False';
+        }
+        if (typeof value === 'number' || typeof value === 'string') {
+            return JSON.stringify(value);
+        }
+
+        const inner = indent + INDENT;
+        if (Array.isArray(value)) {
+            if (value.length === 0) {
+                return '[]';
+            }
+            // Lists of scalars stay on one line
+            if (value.every(item => item === null || typeof item !== 'object')) {
+                return `[${value.map(item => toPythonLiteral(item)).join(', ')}]`;
+            }
+            return `[\n${value.map(item => inner + toPythonLiteral(item, inner)).join(',\n')},\n${indent}]`;
+        }
+
+        const keys = Object.keys(value).filter(key => value[key] !== undefined);
+        if (keys.length === 0) {
+            return '{}';
+        }
+        return `{\n${keys.map(key => `${inner}${JSON.stringify(key)}: ${toPythonLiteral(value[key], inner)}`).join(',\n')},\n${indent}}`;
+    }
+
+    return {
+        moduleFileName,
+        generateModule,
+        generateVectors,
+        toPythonLiteral
+    };
+}));
@@ -0,0 +1,208 @@
+/**
+ * Parsers for exported call metadata records.
+ *
+ * `parseRecords(text, format)` accepts a JSON array (or a single JSON object,
+ * or `{"records": [...]}`), NDJSON with one object per line, or CSV with a
+ * header row. With format 'auto' the format is detected from the content.
+ * Lines that cannot be parsed are reported in `errors` rather than aborting
+ * the whole file.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RecordParsers = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const FORMATS = ['auto', 'json', 'ndjson', 'csv'];
+
+    function parseRecords(text, format = 'auto') {
+        const trimmed = text.trim();
+        const resolvedFormat = format === 'auto' ? detectFormat(trimmed) : format;
+
+        switch (resolvedFormat) {
+            case 'json':
+                return Object.assign({ format: 'json' }, parseJson(trimmed));
+            case 'ndjson':
+                return Object.assign({ format: 'ndjson' }, parseNdjson(trimmed));
+            case 'csv':
+                return Object.assign({ format: 'csv' }, parseCsv(trimmed));
+            default:
+                throw new Error(`Unsupported record format "${format}"`);
+        }
+    }
+
+    function detectFormat(text) {
+        if (text.startsWith('[')) {
+            return 'json';
+        }
+        if (text.startsWith('{')) {
+            // A single object spanning the whole text is JSON, otherwise one object per line
+            try {
+                JSON.parse(text);
+                return 'json';
+            } catch (e) {
+                return 'ndjson';
+            }
+        }
+        return 'csv';
+    }
+
+    function parseJson(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            return { records: [], errors: [{ line: null, message: `Invalid JSON: ${error.message}` }] };
+        }
+
+        const items = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.records) ? parsed.records : [parsed]);
+        const records = [];
+        const errors = [];
+
+        items.forEach((item, index) => {
+            if (isRecord(item)) {
+                records.push(item);
+            } else {
+                errors.push({ line: null, message: `Item ${index + 1} is not an object` });
+            }
+        });
+
+        return { records, errors };
+    }
+
+    function parseNdjson(text) {
+        const records = [];
+        const errors = [];
+
+        text.split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim()) {
+                return;
+            }
+            try {
+                const item = JSON.parse(line);
+                if (isRecord(item)) {
+                    records.push(item);
+                } else {
+                    errors.push({ line: index + 1, message: 'Line is not a JSON object' });
+                }
+            } catch (error) {
+                errors.push({ line: index + 1, message: error.message });
+            }
+        });
+
+        return { records, errors };
+    }
+
+    function parseCsv(text) {
+        const rows = splitCsvRows(text);
+        const records = [];
+        const errors = [];
+
+        if (rows.length === 0) {
+            return { records, errors };
+        }
+
+        const header = rows[0].cells.map(cell => cell.trim());
+
+        rows.slice(1).forEach(row => {
+            if (row.cells.length === 1 && row.cells[0] === '') {
+                return;
+            }
+            if (row.cells.length !== header.length) {
+                errors.push({ line: row.line, message: `Expected ${header.length} columns, found ${row.cells.length}` });
+                return;
+            }
+
+            const record = {};
+            header.forEach((column, index) => {
+                record[column] = convertCell(row.cells[index]);
+            });
+            records.push(record);
+        });
+
+        return { records, errors };
+    }
+
+    // RFC 4180 style: quoted cells may contain commas, quotes ("") and newlines
+    function splitCsvRows(text) {
+        const rows = [];
+        let cells = [];
+        let cell = '';
+        let quoted = false;
+        let line = 1;
+        let rowLine = 1;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') {
+                        line++;
+                    }
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                cells.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                cells.push(cell);
+                rows.push({ line: rowLine, cells });
+                cells = [];
+                cell = '';
+                line++;
+                rowLine = line;
+            } else {
+                cell += char;
+            }
+        }
+
+        cells.push(cell);
+        rows.push({ line: rowLine, cells });
+        return rows;
+    }
+
+    // CSV has no types: numbers and embedded JSON arrays/objects are restored.
+    // Numbers with leading zeros (zip codes) stay strings, and so do numbers a
+    // double would change (ids beyond 2^53, "1.50")
+    function convertCell(value) {
+        if (/^-?(0|[1-9]\d*)(\.\d+)?$/.test(value)) {
+            const number = Number(value);
+            if (Number.isSafeInteger(number) || String(number) === value) {
+                return number;
+            }
+            return value;
+        }
+        if (/^\[.*\]$|^\{.*\}$/.test(value)) {
+            try {
+                return JSON.parse(value);
+            } catch (e) {
+                return value;
+            }
+        }
+        return value;
+    }
+
+    function isRecord(item) {
+        return item !== null && typeof item === 'object' && !Array.isArray(item);
+    }
+
+    return {
+        FORMATS,
+        parseRecords,
+        detectFormat
+    };
+}));
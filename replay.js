@@ -0,0 +1,88 @@
+/**
+ * Bulk replay of historical call metadata through the rule evaluator.
+ *
+ * `replayRecords(config, records)` resolves every record and reports how many
+ * calls land in each unit, how many fell back to `default_unit_id` because no
+ * rule matched, hit counts for every rule (including rules that never fire)
+ * and a few sample records per unit. The rule set is compiled once
+ * (rule-compiler.js) rather than interpreted for every record. Every record
+ * is evaluated at `options.now` (ISO 8601, default the current time).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rule-evaluator'), require('./rule-compiler'));
+    } else {
+        root.Replay = factory(root.RuleEvaluator, root.RuleCompiler);
+    }
+}(typeof self !== 'undefined' ? self : this, function (RuleEvaluator, RuleCompiler) {
+    'use strict';
+
+    const DEFAULT_SAMPLE_SIZE = 5;
+
+    function replayRecords(config, records, options = {}) {
+        const sampleSize = options.sampleSize || DEFAULT_SAMPLE_SIZE;
+        const ruleSet = RuleEvaluator.getRuleSet(config);
+        const compiled = RuleCompiler.compileRules(ruleSet);
+
+        // Hits are counted by position, so rules without (or with duplicate) ids count too
+        const rulesByPosition = ruleSet.rules.map(rule => ({
+            id: rule.id,
+            name: rule.name || rule.id,
+            priority: rule.priority,
+            unitId: rule.result && rule.result.unit_id ? rule.result.unit_id : ruleSet.default_unit_id,
+            hits: 0
+        }));
+        // Rules are listed in evaluation order so never-firing rules stand out in context
+        const rules = [...rulesByPosition].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+        const units = new Map();
+        const errors = [];
+        let fallbackCount = 0;
+
+        records.forEach((record, index) => {
+            let result;
+            try {
+                result = compiled.evaluate(record, { now: options.now });
+            } catch (error) {
+                errors.push({ index, message: error.message });
+                return;
+            }
+
+            if (!units.has(result.unitId)) {
+                units.set(result.unitId, { unitId: result.unitId, count: 0, fallbackCount: 0, samples: [] });
+            }
+            const bucket = units.get(result.unitId);
+            bucket.count++;
+            if (bucket.samples.length < sampleSize) {
+                bucket.samples.push(record);
+            }
+
+            if (result.matchedRuleIndex !== null) {
+                rulesByPosition[result.matchedRuleIndex].hits++;
+            } else {
+                bucket.fallbackCount++;
+                fallbackCount++;
+            }
+        });
+
+        const evaluated = records.length - errors.length;
+        const percent = count => evaluated > 0 ? Math.round((count / evaluated) * 1000) / 10 : 0;
+
+        return {
+            total: records.length,
+            evaluated,
+            defaultUnitId: ruleSet.default_unit_id,
+            fallbackCount,
+            fallbackPercent: percent(fallbackCount),
+            units: Array.from(units.values())
+                .sort((a, b) => b.count - a.count)
+                .map(bucket => Object.assign(bucket, { percent: percent(bucket.count) })),
+            rules: rules.map(rule => Object.assign(rule, { percent: percent(rule.hits) })),
+            errors
+        };
+    }
+
+    return {
+        replayRecords
+    };
+}));
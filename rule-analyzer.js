@@ -0,0 +1,452 @@
+/**
+ * Static analysis of a `unit_mapping_rules` document.
+ *
+ * Evaluation is first-match by priority, so a broad rule can hide a narrower
+ * one below it. `analyzeRules` reports:
+ *
+ * - shadowed: every call the rule matches is already matched by higher-priority rules
+ * - overlap: some calls match both this rule and a higher-priority rule with another unit
+ * - contradiction: conditions combined with AND can never be true together
+ * - tautology: the rule matches every call, so nothing below it is reachable
+ *
+ * Each rule's conditions are expanded into OR-of-AND form. Conditions on the
+ * same field are then compared by testing them against the finite value sets
+ * that EQUALS/IN imply, using the evaluator itself, plus numeric and datetime
+ * bounds (GREATER_THAN ... BETWEEN, BEFORE/AFTER). EQUALS/IN compare text, so
+ * "true" and "42" are also tried as the boolean and the number, which other
+ * operators (CONTAINS, IS_TRUE, ...) treat differently. The
+ * analysis is conservative: it may miss a problem but does not report one that
+ * cannot happen. The only exception is fields that hold arrays, which should be
+ * passed as `multiValuedFields`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rule-evaluator'));
+    } else {
+        root.RuleAnalyzer = factory(root.RuleEvaluator);
+    }
+}(typeof self !== 'undefined' ? self : this, function (RuleEvaluator) {
+    'use strict';
+
+    // Rules whose conditions expand to more AND-branches than this are skipped
+    const MAX_CONJUNCTIONS = 256;
+
+    // Negated operators are analysed as the negation of their positive form
+    const NEGATED_FORMS = {
+        NOT_EQUALS: 'EQUALS',
+        NOT_IN: 'IN',
+        NOT_CONTAINS: 'CONTAINS',
+        IS_NULL_OR_EMPTY: 'IS_NOT_NULL_OR_EMPTY'
+    };
+
+    const EMPTY_CANDIDATES = [undefined, null, ''];
+
+    // Operators that bound a numeric or datetime field from one side; BETWEEN bounds both
+    const RANGE_OPERATORS = {
+        GREATER_THAN: { kind: 'number', side: 'lower', inclusive: false },
+        GREATER_OR_EQUAL: { kind: 'number', side: 'lower', inclusive: true },
+        LESS_THAN: { kind: 'number', side: 'upper', inclusive: false },
+        LESS_OR_EQUAL: { kind: 'number', side: 'upper', inclusive: true },
+        AFTER: { kind: 'datetime', side: 'lower', inclusive: false },
+        BEFORE: { kind: 'datetime', side: 'upper', inclusive: false }
+    };
+
+    class TooComplexError extends Error {}
+
+    function analyzeRules(config, options = {}) {
+        const ruleSet = RuleEvaluator.getRuleSet(config);
+        const context = {
+            multiValuedFields: new Set(options.multiValuedFields || []),
+            // Time-window operators read candidate values in the rule set's time zone
+            timezone: ruleSet.timezone || RuleEvaluator.DEFAULT_TIMEZONE
+        };
+        const findings = [];
+
+        // Same order as evaluation: priority descending, ties keep document order
+        const entries = ruleSet.rules
+            .map((rule, index) => prepareEntry(rule, index, ruleSet, context))
+            .sort((a, b) => (b.rule.priority || 0) - (a.rule.priority || 0));
+
+        entries.forEach((entry, position) => {
+            const report = (type, severity, message, related = []) => findings.push({
+                type,
+                severity,
+                message,
+                ruleId: entry.rule.id,
+                ruleIndex: entry.index,
+                rule: entry.rule,
+                relatedRuleIds: related.map(other => other.rule.id)
+            });
+
+            if (entry.tooComplex) {
+                report('complex', 'info', 'Conditions are too complex to analyse');
+                return;
+            }
+            if (!entry.dnf) {
+                return;
+            }
+
+            if (entry.satisfiable.length === 0) {
+                const detail = entry.dnf.length > 0 ? `: ${describeConjunction(entry.dnf[0])}` : '';
+                report('contradiction', 'warning', `Rule can never match - conditions contradict each other${detail}`);
+                return;
+            }
+            if (entry.satisfiable.length < entry.dnf.length) {
+                const dead = entry.dnf.find(conjunction => !entry.satisfiable.includes(conjunction));
+                report('contradiction', 'info', `Part of this rule can never match: ${describeConjunction(dead)}`);
+            }
+
+            // Rules that can never fire cannot catch calls either
+            const higher = entries.slice(0, position).filter(other => other.dnf && other.satisfiable.length > 0 && !other.unreachable);
+            const lowerCount = entries.length - position - 1;
+
+            if (entry.tautology && lowerCount > 0) {
+                report('tautology', 'warning', `Rule matches every call - the ${lowerCount} rule(s) below it are unreachable`);
+            } else if (entry.tautology) {
+                report('tautology', 'info', 'Rule matches every call - it acts as a catch-all before the default unit');
+            }
+
+            const shadowers = findShadowers(entry, higher, context);
+            if (shadowers) {
+                entry.unreachable = true;
+                const names = shadowers.map(describeRule).join(', ');
+                report('shadowed', 'warning', `Unreachable - every matching call is caught first by ${names}`, shadowers);
+                return;
+            }
+
+            higher.filter(other => other.unitId !== entry.unitId).forEach(other => {
+                if (overlaps(entry, other, context)) {
+                    report('overlap', 'info',
+                        `Overlaps with ${describeRule(other)} - calls matching both go to ${other.unitId} instead of ${entry.unitId}`, [other]);
+                }
+            });
+        });
+
+        return { findings };
+    }
+
+    function prepareEntry(rule, index, ruleSet, context) {
+        const entry = {
+            rule,
+            index,
+            unitId: rule.result && rule.result.unit_id ? rule.result.unit_id : ruleSet.default_unit_id,
+            dnf: null
+        };
+
+        if (!rule.conditions || Object.keys(rule.conditions).length === 0) {
+            return entry;
+        }
+
+        // Reference lists are compared by their values, like inline lists
+        const conditions = RuleEvaluator.resolveReferences(rule.conditions, ruleSet.reference_lists);
+
+        try {
+            entry.dnf = toDnf(conditions, false);
+            entry.satisfiable = entry.dnf.filter(conjunction => isSatisfiable(conjunction, context));
+            entry.tautology = toDnf(conditions, true).every(conjunction => !isSatisfiable(conjunction, context));
+        } catch (error) {
+            if (!(error instanceof TooComplexError)) {
+                throw error;
+            }
+            entry.dnf = null;
+            entry.tooComplex = true;
+        }
+
+        return entry;
+    }
+
+    // Expands conditions into an array of conjunctions (arrays of literals).
+    // [] is "never true" and [[]] is "always true".
+    function toDnf(node, negated) {
+        if (!RuleEvaluator.isGroup(node)) {
+            const literal = toLiteral(node, negated);
+            if (literal === true) {
+                return [[]];
+            }
+            return literal === false ? [] : [[literal]];
+        }
+
+        const operator = node.operator;
+        const clauses = node.clauses;
+
+        // Empty or unknown groups never match, so their negation always does
+        if (clauses.length === 0 || !RuleEvaluator.LOGIC_OPERATORS.includes(operator)) {
+            return negated ? [[]] : [];
+        }
+
+        // De Morgan: NOT is AND of negated clauses; negating AND/OR swaps them
+        let combinesWithAnd;
+        let negateClauses;
+        if (operator === 'NOT') {
+            combinesWithAnd = !negated;
+            negateClauses = !negated;
+        } else {
+            combinesWithAnd = (operator === 'AND') !== negated;
+            negateClauses = negated;
+        }
+
+        const expanded = clauses.map(clause => toDnf(clause, negateClauses));
+
+        if (!combinesWithAnd) {
+            const union = [].concat(...expanded);
+            if (union.length > MAX_CONJUNCTIONS) {
+                throw new TooComplexError();
+            }
+            return union;
+        }
+
+        return expanded.reduce((product, next) => {
+            const combined = [];
+            product.forEach(left => next.forEach(right => combined.push(left.concat(right))));
+            if (combined.length > MAX_CONJUNCTIONS) {
+                throw new TooComplexError();
+            }
+            return combined;
+        }, [[]]);
+    }
+
+    // Returns a literal, or true/false for conditions the evaluator treats as constant
+    function toLiteral(condition, negated) {
+        // A list_ref left after resolving names an undefined list, which never matches
+        if (!condition.field || !RuleEvaluator.OPERATORS[condition.operator] || condition.list_ref !== undefined) {
+            return negated;
+        }
+
+        const base = NEGATED_FORMS[condition.operator] || condition.operator;
+        const operand = RuleEvaluator.OPERATORS[condition.operator].operand === 'values'
+            ? (condition.values || []).map(String).sort()
+            : condition.value;
+
+        return {
+            field: condition.field,
+            condition,
+            negated,
+            base,
+            // Whether the literal asserts the positive form of its base operator
+            positive: (base === condition.operator) !== negated,
+            key: `${base}|${JSON.stringify(operand)}`
+        };
+    }
+
+    function test(literal, value, context) {
+        const probe = Object.assign({}, literal.condition, { field: 'value' });
+        return RuleEvaluator.evaluateCondition(probe, { value }, { timezone: context.timezone }) !== literal.negated;
+    }
+
+    function isMultiValued(field, context) {
+        return field.includes('[*]') || context.multiValuedFields.has(field);
+    }
+
+    function groupByField(conjunction) {
+        const fields = new Map();
+        conjunction.forEach(literal => {
+            fields.set(literal.field, (fields.get(literal.field) || []).concat(literal));
+        });
+        return fields;
+    }
+
+    function isSatisfiable(conjunction, context) {
+        for (const [field, literals] of groupByField(conjunction)) {
+            if (!isFieldSatisfiable(field, literals, context)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    function isFieldSatisfiable(field, literals, context) {
+        const conflicting = literals.some(literal => literals.some(other => other.key === literal.key && other.positive !== literal.positive));
+        if (conflicting) {
+            return false;
+        }
+        if (isMultiValued(field, context)) {
+            return true;
+        }
+
+        const candidates = candidateValues(literals);
+        if (candidates) {
+            return candidates.some(value => literals.every(literal => test(literal, value, context)));
+        }
+
+        // A field cannot be both true and false, and booleans and "true"/"false"
+        // are neither numbers nor datetimes
+        const booleanBases = ['IS_TRUE', 'IS_FALSE'].filter(base => literals.some(literal => literal.positive && literal.base === base));
+        if (booleanBases.length === 2) {
+            return false;
+        }
+        if (booleanBases.length > 0 && literals.some(literal => literal.positive && (RANGE_OPERATORS[literal.base] || literal.base === 'BETWEEN'))) {
+            return false;
+        }
+
+        return ['number', 'datetime'].every(kind => {
+            const bounds = rangeBounds(literals, kind);
+            return !bounds.lower || !bounds.upper || bounds.lower.value < bounds.upper.value
+                || (bounds.lower.value === bounds.upper.value && bounds.lower.inclusive && bounds.upper.inclusive);
+        });
+    }
+
+    // The finite set of values a field can take under these literals, if any
+    function candidateValues(literals) {
+        const allowedSets = literals
+            .filter(literal => literal.positive && ['EQUALS', 'IN'].includes(literal.base))
+            .map(literal => literal.base === 'EQUALS' ? [String(literal.condition.value)] : literal.condition.values.map(String));
+
+        if (allowedSets.length > 0) {
+            return withTypedForms(allowedSets.reduce((allowed, values) => allowed.filter(value => values.includes(value))));
+        }
+
+        if (literals.some(literal => literal.base === 'IS_NOT_NULL_OR_EMPTY' && !literal.positive)) {
+            return EMPTY_CANDIDATES;
+        }
+
+        return null;
+    }
+
+    // Adds the boolean or number whose text form is one of the values
+    function withTypedForms(values) {
+        const candidates = [];
+        values.forEach(value => {
+            candidates.push(value);
+            if (value === 'true' || value === 'false') {
+                candidates.push(value === 'true');
+            }
+            const number = RuleEvaluator.parseNumber(value);
+            if (!Number.isNaN(number) && String(number) === value) {
+                candidates.push(number);
+            }
+        });
+        return candidates;
+    }
+
+    // The bounds a positive range literal puts on its field
+    function rangeLimits(literal) {
+        if (!literal.positive) {
+            return [];
+        }
+        if (literal.base === 'BETWEEN') {
+            const values = (literal.condition.values || []).map(RuleEvaluator.parseNumber);
+            return values.length === 2 && !values.some(Number.isNaN)
+                ? [
+                    { kind: 'number', side: 'lower', inclusive: true, value: values[0] },
+                    { kind: 'number', side: 'upper', inclusive: true, value: values[1] }
+                ]
+                : [];
+        }
+
+        const range = RANGE_OPERATORS[literal.base];
+        if (!range) {
+            return [];
+        }
+        const parse = range.kind === 'number' ? RuleEvaluator.parseNumber : RuleEvaluator.parseDatetime;
+        const value = parse(literal.condition.value);
+        return Number.isNaN(value) ? [] : [Object.assign({ value }, range)];
+    }
+
+    // Tightest lower and upper bound of one kind; on equal values the exclusive bound is tighter
+    function rangeBounds(literals, kind) {
+        const bounds = {};
+        literals.forEach(literal => rangeLimits(literal).filter(limit => limit.kind === kind).forEach(limit => {
+            const current = bounds[limit.side];
+            const tighter = !current
+                || (limit.side === 'lower' ? limit.value > current.value : limit.value < current.value)
+                || (limit.value === current.value && !limit.inclusive);
+            if (tighter) {
+                bounds[limit.side] = limit;
+            }
+        }));
+        return bounds;
+    }
+
+    function isWithinBound(bound, limit) {
+        if (!bound) {
+            return false;
+        }
+        const stricter = limit.side === 'lower' ? bound.value > limit.value : bound.value < limit.value;
+        return stricter || (bound.value === limit.value && (limit.inclusive || !bound.inclusive));
+    }
+
+    // True if every call matching `conjunction` also matches `other`
+    function implies(conjunction, other, context) {
+        const fields = groupByField(conjunction);
+        return other.every(literal => isImpliedBy(literal, fields.get(literal.field) || [], context));
+    }
+
+    function isImpliedBy(target, literals, context) {
+        if (literals.some(literal => literal.key === target.key && literal.positive === target.positive)) {
+            return true;
+        }
+        if (literals.length === 0 || isMultiValued(target.field, context)) {
+            return false;
+        }
+
+        const candidates = candidateValues(literals);
+        if (candidates) {
+            return candidates
+                .filter(value => literals.every(literal => test(literal, value, context)))
+                .every(value => test(target, value, context));
+        }
+
+        const targetLimits = rangeLimits(target);
+        if (targetLimits.length > 0) {
+            return targetLimits.every(limit => isWithinBound(rangeBounds(literals, limit.kind)[limit.side], limit));
+        }
+
+        if (!target.positive && ['EQUALS', 'IN'].includes(target.base)) {
+            const excluded = new Set();
+            literals
+                .filter(literal => !literal.positive && ['EQUALS', 'IN'].includes(literal.base))
+                .forEach(literal => (literal.base === 'EQUALS' ? [literal.condition.value] : literal.condition.values)
+                    .forEach(value => excluded.add(String(value))));
+            const targetValues = target.base === 'EQUALS' ? [target.condition.value] : target.condition.values;
+            return targetValues.every(value => excluded.has(String(value)));
+        }
+
+        if (target.positive && target.base === 'IS_NOT_NULL_OR_EMPTY') {
+            // Any literal that fails on every empty value requires a non-empty field
+            return literals.some(literal => EMPTY_CANDIDATES.every(value => !test(literal, value, context)));
+        }
+
+        return false;
+    }
+
+    // Returns the higher-priority rules that together cover every branch of entry
+    function findShadowers(entry, higher, context) {
+        const tautology = higher.find(other => other.tautology);
+        if (tautology) {
+            return [tautology];
+        }
+
+        const shadowers = [];
+        for (const conjunction of entry.satisfiable) {
+            const cover = higher.find(other => other.satisfiable.some(candidate => implies(conjunction, candidate, context)));
+            if (!cover) {
+                return null;
+            }
+            if (!shadowers.includes(cover)) {
+                shadowers.push(cover);
+            }
+        }
+        return shadowers;
+    }
+
+    function overlaps(entry, other, context) {
+        return entry.satisfiable.some(conjunction => other.satisfiable.some(candidate => isSatisfiable(conjunction.concat(candidate), context)));
+    }
+
+    function describeRule(entry) {
+        return `"${entry.rule.name || entry.rule.id}" (priority ${entry.rule.priority})`;
+    }
+
+    function describeConjunction(conjunction) {
+        return conjunction.map(literal => {
+            const condition = literal.condition;
+            const operand = condition.values ? `[${condition.values.join(', ')}]` : (condition.value !== undefined ? condition.value : '');
+            const text = `${condition.field} ${condition.operator} ${operand}`.trim();
+            return literal.negated ? `NOT ${text}` : text;
+        }).join(' AND ');
+    }
+
+    return {
+        analyzeRules
+    };
+}));
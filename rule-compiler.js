@@ -0,0 +1,379 @@
+/**
+ * Compiled rule sets for high-volume evaluation.
+ *
+ * `evaluateRules` interprets the document on every call: it sorts the rules,
+ * resolves reference lists and rebuilds list lookups and regular expressions
+ * for every condition. `compileRules(config)` does that work once and returns
+ * an evaluator that gives the same answers:
+ *
+ *   const compiled = RuleCompiler.compileRules(config);
+ *   const { unitId, matchedRuleId } = compiled.evaluate(metadata);
+ *
+ * - rules are sorted by priority once; rules without conditions are dropped,
+ *   as they never match
+ * - field paths are parsed once, lists become Sets, and regular expressions,
+ *   numeric limits and lowercased operands are built at compile time
+ * - an EQUALS or IN condition that a rule requires (its only condition, or a
+ *   clause of its top-level AND) on a field shared by several rules goes into
+ *   a hash index on that field; a record is only checked against the rules
+ *   indexed under its value and the rules without an index entry
+ *
+ * `evaluate(metadata, {now})` returns {unitId, attributes, matchedRule,
+ * matchedRuleId, derivedFields} like evaluateRules, without the trace (use
+ * evaluateRules to explain a single result), plus `matchedRuleIndex`, the
+ * position of the matched rule in `rules` (null when none matched), which
+ * identifies rules without an id. `stats` describes the indexes.
+ * A compiled rule set does not see later changes to its configuration.
+ *
+ * benchmark.js compares both evaluators on generated or exported records.
+ *
+ * Exposed as `window.RuleCompiler` in the browser and via require() in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rule-evaluator'), require('./metadata-fields'), require('./derived-fields'));
+    } else {
+        root.RuleCompiler = factory(root.RuleEvaluator, root.MetadataFields, root.DerivedFields);
+    }
+}(typeof self !== 'undefined' ? self : this, function (RuleEvaluator, MetadataFields, DerivedFields) {
+    'use strict';
+
+    // A field is indexed once at least this many rules can be looked up by it
+    const DEFAULT_MIN_INDEXED_RULES = 3;
+
+    const NEVER = () => false;
+
+    // options: {timezone, minIndexedRules}
+    function compileRules(config, options = {}) {
+        const ruleSet = RuleEvaluator.getRuleSet(config);
+        const scope = {
+            timezone: options.timezone || ruleSet.timezone || RuleEvaluator.DEFAULT_TIMEZONE,
+            referenceLists: ruleSet.reference_lists || {},
+            resolvers: new Map()
+        };
+
+        const rules = ruleSet.rules
+            .map((rule, position) => ({ rule, position }))
+            .sort((a, b) => (b.rule.priority || 0) - (a.rule.priority || 0))
+            .filter(({ rule }) => rule.conditions && Object.keys(rule.conditions).length > 0)
+            .map(({ rule, position }) => ({
+                rule,
+                position,
+                name: rule.name || rule.id,
+                test: compileNode(rule.conditions, scope),
+                keys: indexKeys(rule.conditions, scope.referenceLists)
+            }));
+
+        const { indexes, unindexed } = buildIndexes(rules, options.minIndexedRules || DEFAULT_MIN_INDEXED_RULES, scope);
+        const hasDerivedFields = Array.isArray(ruleSet.derived_fields) && ruleSet.derived_fields.length > 0;
+
+        // Positions of the rules a record can match, in evaluation order
+        function candidates(metadata) {
+            const hits = [];
+            indexes.forEach(index => {
+                recordKeys(index.resolve(metadata)).forEach(key => {
+                    const bucket = index.buckets.get(key);
+                    if (bucket) {
+                        hits.push(...bucket);
+                    }
+                });
+            });
+            return hits.length === 0 ? unindexed : unindexed.concat(hits).sort((a, b) => a - b);
+        }
+
+        function evaluate(metadata, evaluateOptions = {}) {
+            const derived = hasDerivedFields
+                ? DerivedFields.computeDerivedFields(ruleSet.derived_fields, metadata)
+                : { metadata: metadata, values: [] };
+            const context = {
+                now: evaluateOptions.now === undefined ? Date.now() : new Date(evaluateOptions.now).getTime()
+            };
+
+            const positions = candidates(derived.metadata);
+            for (let i = 0; i < positions.length; i++) {
+                // A record with several values of an indexed field can list a rule twice
+                if (i > 0 && positions[i] === positions[i - 1]) {
+                    continue;
+                }
+                const compiled = rules[positions[i]];
+                if (compiled.test(derived.metadata, context)) {
+                    const result = RuleEvaluator.resolveResult(compiled.rule.result, derived.metadata, ruleSet.default_unit_id);
+                    return {
+                        unitId: result.unitId,
+                        attributes: result.attributes,
+                        matchedRule: compiled.name,
+                        matchedRuleId: compiled.rule.id,
+                        matchedRuleIndex: compiled.position,
+                        derivedFields: derived.values
+                    };
+                }
+            }
+
+            return {
+                unitId: ruleSet.default_unit_id,
+                attributes: {},
+                matchedRule: null,
+                matchedRuleId: null,
+                matchedRuleIndex: null,
+                derivedFields: derived.values
+            };
+        }
+
+        return {
+            evaluate,
+            stats: {
+                rules: ruleSet.rules.length,
+                compiledRules: rules.length,
+                unindexedRules: unindexed.length,
+                indexes: indexes.map(index => ({ field: index.field, rules: index.rules, values: index.buckets.size }))
+            }
+        };
+    }
+
+    // Every rule goes into the index of its busiest key field, when that
+    // field is shared by enough rules; the others are always candidates
+    function buildIndexes(rules, minIndexedRules, scope) {
+        const ruleCounts = new Map();
+        rules.forEach(compiled => {
+            new Set(compiled.keys.map(key => key.field)).forEach(field => {
+                ruleCounts.set(field, (ruleCounts.get(field) || 0) + 1);
+            });
+        });
+
+        const indexesByField = new Map();
+        const unindexed = [];
+        rules.forEach((compiled, position) => {
+            const key = compiled.keys.reduce((best, candidate) => (
+                !best || ruleCounts.get(candidate.field) > ruleCounts.get(best.field) ? candidate : best
+            ), null);
+            if (!key || ruleCounts.get(key.field) < minIndexedRules) {
+                unindexed.push(position);
+                return;
+            }
+
+            if (!indexesByField.has(key.field)) {
+                indexesByField.set(key.field, { field: key.field, resolve: fieldResolver(key.field, scope), buckets: new Map(), rules: 0 });
+            }
+            const index = indexesByField.get(key.field);
+            index.rules++;
+            new Set(key.values).forEach(value => {
+                if (!index.buckets.has(value)) {
+                    index.buckets.set(value, []);
+                }
+                index.buckets.get(value).push(position);
+            });
+        });
+
+        return { indexes: Array.from(indexesByField.values()), unindexed };
+    }
+
+    // EQUALS and IN conditions a match requires, as [{field, values}]
+    function indexKeys(node, referenceLists) {
+        if (RuleEvaluator.isGroup(node)) {
+            return node.operator === 'AND'
+                ? [].concat(...node.clauses.map(clause => indexKeys(clause, referenceLists)))
+                : [];
+        }
+        if (!node || !node.field || node.field === RuleEvaluator.NOW_FIELD) {
+            return [];
+        }
+        if (node.operator === 'EQUALS') {
+            return [{ field: node.field, values: [String(node.value)] }];
+        }
+        if (node.operator === 'IN') {
+            // An undefined list never matches, so the rule is never a candidate
+            const listed = RuleEvaluator.resolveListRef(node, referenceLists);
+            const values = listed && Array.isArray(listed.values) ? listed.values.map(String) : [];
+            return [{ field: node.field, values }];
+        }
+        return [];
+    }
+
+    // The text keys EQUALS and IN compare for a resolved field
+    function recordKeys(resolved) {
+        if (!resolved.multiple) {
+            return isScalar(resolved.value) ? [String(resolved.value)] : [];
+        }
+        return resolved.values.filter(isScalar).map(String);
+    }
+
+    // Returns test(metadata, context) for a clause or an {operator, clauses} group
+    function compileNode(node, scope) {
+        if (!RuleEvaluator.isGroup(node)) {
+            return compileCondition(node, scope);
+        }
+
+        const clauses = node.clauses.map(clause => compileNode(clause, scope));
+        if (node.operator === 'OR') {
+            return (metadata, context) => clauses.some(test => test(metadata, context));
+        }
+        if (clauses.length === 0) {
+            return NEVER;
+        }
+        if (node.operator === 'AND') {
+            return (metadata, context) => clauses.every(test => test(metadata, context));
+        }
+        if (node.operator === 'NOT') {
+            return (metadata, context) => !clauses.some(test => test(metadata, context));
+        }
+        return NEVER;
+    }
+
+    function compileCondition(condition, scope) {
+        if (!condition || typeof condition !== 'object' || Array.isArray(condition) || !condition.field || !condition.operator) {
+            return NEVER;
+        }
+        const listed = RuleEvaluator.resolveListRef(condition, scope.referenceLists);
+        if (!listed) {
+            return NEVER;
+        }
+
+        const resolve = fieldResolver(listed.field, scope);
+        const compare = compileComparison(listed, listed.timezone || scope.timezone);
+        const spec = RuleEvaluator.OPERATORS[listed.operator];
+        const matchAll = Boolean(spec) && spec.match === 'all';
+
+        return (metadata, context) => {
+            const resolved = resolve(metadata, context);
+            if (!resolved.multiple) {
+                return compare(resolved.value);
+            }
+            return matchAll
+                ? resolved.values.every(value => compare(value))
+                : resolved.values.some(value => compare(value));
+        };
+    }
+
+    // Field resolvers are shared by every condition on the same path
+    function fieldResolver(path, scope) {
+        if (path === RuleEvaluator.NOW_FIELD) {
+            return (metadata, context) => {
+                const now = new Date(context.now).toISOString();
+                return { value: now, values: [now], multiple: false };
+            };
+        }
+        if (!scope.resolvers.has(path)) {
+            scope.resolvers.set(path, MetadataFields.createFieldResolver(path));
+        }
+        return scope.resolvers.get(path);
+    }
+
+    // compareValue with its operands prepared once; the operators not listed
+    // here (dates, time windows, booleans) call compareValue itself
+    function compileComparison(condition, timezone) {
+        const spec = RuleEvaluator.OPERATORS[condition.operator];
+        if (spec && spec.negates) {
+            const positive = compileComparison(Object.assign({}, condition, { operator: spec.negates }), timezone);
+            return value => !positive(value);
+        }
+
+        const values = Array.isArray(condition.values) ? condition.values.map(String) : [];
+
+        switch (condition.operator) {
+            case 'EQUALS': {
+                const expected = String(condition.value);
+                return value => isScalar(value) && String(value) === expected;
+            }
+
+            case 'EQUALS_IGNORE_CASE': {
+                const expected = foldCase(condition.value);
+                return value => isScalar(value) && foldCase(value) === expected;
+            }
+
+            case 'IN': {
+                const expected = new Set(values);
+                return value => isScalar(value) && expected.has(String(value));
+            }
+
+            case 'IN_IGNORE_CASE': {
+                const expected = new Set(values.map(foldCase));
+                return value => isScalar(value) && expected.has(foldCase(value));
+            }
+
+            case 'CONTAINS': {
+                const part = String(condition.value);
+                return value => isText(value) && String(value).includes(part);
+            }
+
+            case 'CONTAINS_IGNORE_CASE': {
+                const part = foldCase(condition.value);
+                return value => isText(value) && foldCase(value).includes(part);
+            }
+
+            case 'STARTS_WITH': {
+                const prefix = String(condition.value);
+                return value => isText(value) && String(value).startsWith(prefix);
+            }
+
+            case 'ENDS_WITH': {
+                const suffix = String(condition.value);
+                return value => isText(value) && String(value).endsWith(suffix);
+            }
+
+            case 'IS_NULL_OR_EMPTY':
+                return value => value === undefined || value === null || value === '';
+
+            case 'GREATER_THAN':
+                return compileNumeric(condition.value, (a, b) => a > b);
+
+            case 'GREATER_OR_EQUAL':
+                return compileNumeric(condition.value, (a, b) => a >= b);
+
+            case 'LESS_THAN':
+                return compileNumeric(condition.value, (a, b) => a < b);
+
+            case 'LESS_OR_EQUAL':
+                return compileNumeric(condition.value, (a, b) => a <= b);
+
+            case 'BETWEEN': {
+                if (values.length !== 2) {
+                    return NEVER;
+                }
+                const atLeast = compileNumeric(values[0], (a, b) => a >= b);
+                const atMost = compileNumeric(values[1], (a, b) => a <= b);
+                return value => atLeast(value) && atMost(value);
+            }
+
+            case 'REGEX_MATCH': {
+                let regex;
+                try {
+                    regex = new RegExp(condition.value);
+                } catch (e) {
+                    return NEVER;
+                }
+                return value => isText(value) && regex.test(String(value));
+            }
+
+            default:
+                return value => RuleEvaluator.compareValue(condition, value, timezone);
+        }
+    }
+
+    function compileNumeric(limit, compare) {
+        const b = RuleEvaluator.parseNumber(limit);
+        if (Number.isNaN(b)) {
+            return NEVER;
+        }
+        return value => {
+            const a = RuleEvaluator.parseNumber(value);
+            return !Number.isNaN(a) && compare(a, b);
+        };
+    }
+
+    function isScalar(value) {
+        return typeof value === 'string' || typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value));
+    }
+
+    function isText(value) {
+        return typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+    }
+
+    function foldCase(value) {
+        return String(value).toLowerCase();
+    }
+
+    return {
+        DEFAULT_MIN_INDEXED_RULES,
+        compileRules
+    };
+}));
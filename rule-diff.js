@@ -0,0 +1,248 @@
+/**
+ * Comparison of two `unit_mapping_rules` versions.
+ *
+ * `diffRuleSets(before, after)` matches rules by id and reports added,
+ * removed and modified rules, listing changed names, priorities, results and
+ * the individual conditions that were added or removed.
+ *
+ * `compareOutcomes(before, after, records, options)` evaluates sample metadata
+ * against both versions and returns every record whose resolved unit id or
+ * result attributes change. Both versions are compiled once (rule-compiler.js)
+ * and evaluated at the same `options.now` (default: the current time, read
+ * once), so time conditions cannot make a record differ by themselves.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rule-evaluator'), require('./rule-compiler'));
+    } else {
+        root.RuleDiff = factory(root.RuleEvaluator, root.RuleCompiler);
+    }
+}(typeof self !== 'undefined' ? self : this, function (RuleEvaluator, RuleCompiler) {
+    'use strict';
+
+    function diffRuleSets(before, after) {
+        const beforeSet = RuleEvaluator.getRuleSet(before);
+        const afterSet = RuleEvaluator.getRuleSet(after);
+
+        const settings = [];
+        ['version', 'default_unit_id', 'timezone'].forEach(key => {
+            if (!isEqual(beforeSet[key], afterSet[key])) {
+                settings.push({ field: key, before: beforeSet[key], after: afterSet[key] });
+            }
+        });
+
+        // Each reference list is compared on its own, so one edited list stays readable
+        const beforeLists = beforeSet.reference_lists || {};
+        const afterLists = afterSet.reference_lists || {};
+        Object.keys(Object.assign({}, beforeLists, afterLists)).forEach(name => {
+            if (!isEqual(beforeLists[name], afterLists[name])) {
+                settings.push({ field: `reference_lists.${name}`, before: beforeLists[name], after: afterLists[name] });
+            }
+        });
+
+        const beforeDerived = indexByName(beforeSet.derived_fields);
+        const afterDerived = indexByName(afterSet.derived_fields);
+        Object.keys(Object.assign({}, beforeDerived, afterDerived)).forEach(name => {
+            if (!isEqual(beforeDerived[name], afterDerived[name])) {
+                settings.push({ field: `derived_fields.${name}`, before: beforeDerived[name], after: afterDerived[name] });
+            }
+        });
+
+        const beforeRules = indexRules(beforeSet.rules);
+        const afterRules = indexRules(afterSet.rules);
+        const added = [];
+        const removed = [];
+        const modified = [];
+        let unchanged = 0;
+
+        afterRules.forEach((rule, key) => {
+            if (!beforeRules.has(key)) {
+                added.push({ id: key, name: rule.name || key, rule });
+            }
+        });
+
+        beforeRules.forEach((rule, key) => {
+            if (!afterRules.has(key)) {
+                removed.push({ id: key, name: rule.name || key, rule });
+                return;
+            }
+
+            const changes = diffRules(rule, afterRules.get(key));
+            if (changes.length > 0) {
+                modified.push({ id: key, name: afterRules.get(key).name || key, changes });
+            } else {
+                unchanged++;
+            }
+        });
+
+        return {
+            changed: settings.length + added.length + removed.length + modified.length > 0,
+            settings,
+            added,
+            removed,
+            modified,
+            unchanged
+        };
+    }
+
+    // Rules without an id fall back to their position so they can still be paired
+    function indexRules(rules) {
+        const indexed = new Map();
+        rules.forEach((rule, index) => {
+            const key = rule && rule.id ? rule.id : `rules[${index}]`;
+            if (!indexed.has(key)) {
+                indexed.set(key, rule || {});
+            }
+        });
+        return indexed;
+    }
+
+    function diffRules(before, after) {
+        const changes = [];
+
+        if (!isEqual(before.name, after.name)) {
+            changes.push({ field: 'name', before: before.name, after: after.name });
+        }
+        if (!isEqual(before.priority, after.priority)) {
+            changes.push({ field: 'priority', before: before.priority, after: after.priority });
+        }
+
+        const beforeResult = before.result || {};
+        const afterResult = after.result || {};
+        ['unit_id', 'fallback_unit_id', 'value_maps', 'attributes'].forEach(key => {
+            if (!isEqual(beforeResult[key], afterResult[key])) {
+                changes.push({ field: key, before: beforeResult[key], after: afterResult[key] });
+            }
+        });
+
+        const conditions = diffConditions(before.conditions, after.conditions);
+        if (conditions) {
+            changes.push(Object.assign({ field: 'conditions' }, conditions));
+        }
+
+        return changes;
+    }
+
+    // Conditions are compared as text: the whole expression for logic changes,
+    // and the individual leaf conditions for what was added or removed
+    function diffConditions(before, after) {
+        const beforeText = describeNode(before);
+        const afterText = describeNode(after);
+        if (beforeText === afterText) {
+            return null;
+        }
+
+        const remaining = collectLeaves(after);
+        const removed = [];
+        collectLeaves(before).forEach(leaf => {
+            const index = remaining.indexOf(leaf);
+            if (index === -1) {
+                removed.push(leaf);
+            } else {
+                remaining.splice(index, 1);
+            }
+        });
+
+        return { before: beforeText, after: afterText, added: remaining, removed };
+    }
+
+    function collectLeaves(node) {
+        if (!node) {
+            return [];
+        }
+        if (RuleEvaluator.isGroup(node)) {
+            return node.clauses.reduce((leaves, clause) => leaves.concat(collectLeaves(clause)), []);
+        }
+        return [describeNode(node)];
+    }
+
+    function describeNode(node) {
+        if (!node || typeof node !== 'object') {
+            return '(none)';
+        }
+
+        if (RuleEvaluator.isGroup(node)) {
+            const clauses = node.clauses.map(describeNode);
+            if (node.operator === 'NOT') {
+                return `NOT (${clauses.join(' OR ')})`;
+            }
+            return clauses.length === 1 ? clauses[0] : `(${clauses.join(` ${node.operator} `)})`;
+        }
+
+        let text = `${node.field} ${node.operator}`;
+        if (node.list_ref !== undefined) {
+            text += ` @${node.list_ref}`;
+        } else if (Array.isArray(node.values)) {
+            text += ` [${node.values.map(value => JSON.stringify(value)).join(', ')}]`;
+        } else if (node.value !== undefined) {
+            text += ` ${JSON.stringify(node.value)}`;
+        }
+        return node.timezone ? `${text} in ${node.timezone}` : text;
+    }
+
+    function compareOutcomes(before, after, records, options = {}) {
+        const changed = [];
+        const errors = [];
+        const beforeRules = RuleCompiler.compileRules(before);
+        const afterRules = RuleCompiler.compileRules(after);
+        const now = options.now !== undefined ? options.now : new Date().toISOString();
+
+        records.forEach((record, index) => {
+            let beforeResult;
+            let afterResult;
+            try {
+                beforeResult = beforeRules.evaluate(record, { now });
+                afterResult = afterRules.evaluate(record, { now });
+            } catch (error) {
+                errors.push({ index, message: error.message });
+                return;
+            }
+
+            if (beforeResult.unitId !== afterResult.unitId || !isEqual(beforeResult.attributes, afterResult.attributes)) {
+                changed.push({
+                    index,
+                    record,
+                    before: summarize(beforeResult),
+                    after: summarize(afterResult)
+                });
+            }
+        });
+
+        return {
+            total: records.length,
+            evaluated: records.length - errors.length,
+            changed,
+            errors
+        };
+    }
+
+    function summarize(result) {
+        return {
+            unitId: result.unitId,
+            attributes: result.attributes,
+            matchedRuleId: result.matchedRuleId,
+            matchedRule: result.matchedRule
+        };
+    }
+
+    // Derived field definitions by name, without the name itself
+    function indexByName(definitions) {
+        const byName = {};
+        (Array.isArray(definitions) ? definitions : []).forEach(definition => {
+            if (definition && definition.name) {
+                byName[definition.name] = { source: definition.source, transforms: definition.transforms };
+            }
+        });
+        return byName;
+    }
+
+    function isEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    return {
+        diffRuleSets,
+        compareOutcomes,
+        describeNode
+    };
+}));
@@ -0,0 +1,703 @@
+/**
+ * Unit mapping rule evaluator.
+ *
+ * Evaluates an emitted `unit_mapping_rules` document against call/agent
+ * metadata. It has no DOM dependencies so the Testing Sandbox and a Node
+ * runtime resolve unit ids with exactly the same logic:
+ *
+ *   const { evaluateRules } = require('./rule-evaluator');
+ *   const { unitId, trace } = evaluateRules(config, metadata);
+ *
+ * In the browser the same API is exposed as `window.RuleEvaluator`.
+ *
+ * `trace` lists the rules in evaluation order. Each evaluated rule carries a
+ * `conditions` tree mirroring its conditions, with the resolved `actual`
+ * value, the `expected` value and `matched` for every clause; clauses that
+ * could not change their group's outcome are marked `shortCircuited`, and a
+ * clause that is not an object fails with an `error` message. Rules
+ * without conditions are marked `skipped`, and the rules after the match
+ * `shortCircuited` (they are not evaluated).
+ *
+ * Field paths are resolved by metadata-fields.js. When a path ends on an
+ * array or goes through `[*]`, conditions are applied to each element:
+ * positive operators match if any element matches, negated operators
+ * (`match: 'all'`) only if every element does, so `skill_groups NOT_IN
+ * [Spanish]` means "no Spanish skill group".
+ *
+ * Time-window operators (TIME_BETWEEN, DAY_OF_WEEK_IN, DATE_RANGE) read a
+ * datetime in the rule set's `timezone` (IANA name, default UTC) or the
+ * condition's own `timezone`. The `$now` field is the evaluation time, which
+ * defaults to the current time and can be fixed with `evaluateRules(config,
+ * metadata, {now})`.
+ *
+ * List operators can take their values from the rule set's
+ * `reference_lists` instead of inline `values`: `{"field": "agent_sub_role",
+ * "operator": "IN", "list_ref": "cs_sub_roles"}`. A reference to a list that
+ * is not defined never matches, whatever the operator.
+ *
+ * The rule set's `derived_fields` (see derived-fields.js) are computed first
+ * and can be used in conditions like any metadata field; their values are
+ * returned as `derivedFields`.
+ *
+ * A rule's `result.unit_id` may be a template such as `acme-{team}-{language}`.
+ * Each `{field}` is replaced by the field's value, looked up in
+ * `result.value_maps[field]` first when the rule has one. When a placeholder
+ * has no value the rule still matches but resolves to `fallback_unit_id` (or
+ * the default unit). `result.attributes` are rendered the same way and
+ * returned as `attributes`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./metadata-fields'), require('./derived-fields'));
+    } else {
+        root.RuleEvaluator = factory(root.MetadataFields, root.DerivedFields);
+    }
+}(typeof self !== 'undefined' ? self : this, function (MetadataFields, DerivedFields) {
+    'use strict';
+
+    // Value types a condition can compare: text, numbers, ISO 8601 datetimes, booleans
+    const SCALAR_TYPES = ['string', 'number', 'datetime', 'boolean'];
+
+    // Supported condition operators and the operand each one expects:
+    // 'value' (single value), 'values' (list) or 'none'. `types` lists the
+    // value types an operator is offered for (all field types when absent),
+    // `negates` marks operators that are the exact negation of another.
+    const OPERATORS = {
+        EQUALS: { label: 'Equals', operand: 'value', types: SCALAR_TYPES },
+        NOT_EQUALS: { label: 'Not Equals', operand: 'value', match: 'all', negates: 'EQUALS', types: SCALAR_TYPES },
+        EQUALS_IGNORE_CASE: { label: 'Equals (Ignore Case)', operand: 'value', types: SCALAR_TYPES },
+        IN: { label: 'In List', operand: 'values', types: SCALAR_TYPES },
+        NOT_IN: { label: 'Not In List', operand: 'values', match: 'all', negates: 'IN', types: SCALAR_TYPES },
+        IN_IGNORE_CASE: { label: 'In List (Ignore Case)', operand: 'values', types: SCALAR_TYPES },
+        CONTAINS: { label: 'Contains', operand: 'value', types: ['string'] },
+        NOT_CONTAINS: { label: 'Does Not Contain', operand: 'value', match: 'all', negates: 'CONTAINS', types: ['string'] },
+        CONTAINS_IGNORE_CASE: { label: 'Contains (Ignore Case)', operand: 'value', types: ['string'] },
+        STARTS_WITH: { label: 'Starts With', operand: 'value', types: ['string'] },
+        ENDS_WITH: { label: 'Ends With', operand: 'value', types: ['string'] },
+        IS_NULL_OR_EMPTY: { label: 'Is Null/Empty', operand: 'none', match: 'all' },
+        IS_NOT_NULL_OR_EMPTY: { label: 'Is Not Null/Empty', operand: 'none', negates: 'IS_NULL_OR_EMPTY' },
+        GREATER_THAN: { label: 'Greater Than', operand: 'value', types: ['number'] },
+        GREATER_OR_EQUAL: { label: 'Greater Or Equal', operand: 'value', types: ['number'] },
+        LESS_THAN: { label: 'Less Than', operand: 'value', types: ['number'] },
+        LESS_OR_EQUAL: { label: 'Less Or Equal', operand: 'value', types: ['number'] },
+        BETWEEN: { label: 'Between (Inclusive)', operand: 'values', types: ['number'] },
+        BEFORE: { label: 'Before', operand: 'value', types: ['datetime'] },
+        AFTER: { label: 'After', operand: 'value', types: ['datetime'] },
+        TIME_BETWEEN: { label: 'Time Between', operand: 'values', types: ['datetime'] },
+        DAY_OF_WEEK_IN: { label: 'Day Of Week In', operand: 'values', types: ['datetime'] },
+        DATE_RANGE: { label: 'Date Range', operand: 'values', types: ['datetime'] },
+        IS_TRUE: { label: 'Is True', operand: 'none', types: ['boolean'] },
+        IS_FALSE: { label: 'Is False', operand: 'none', types: ['boolean'] },
+        REGEX_MATCH: { label: 'Regex Match', operand: 'value', types: ['string'] }
+    };
+
+    // Value types behind each MetadataFields.getFieldType() result; field types
+    // not listed here (unknown, array) are offered every operator
+    const FIELD_VALUE_TYPES = {
+        'string': ['string'],
+        'numeric-string': ['string', 'number'],
+        'datetime': ['string', 'datetime'],
+        'integer': ['number'],
+        'number': ['number'],
+        'boolean': ['boolean'],
+        'object': []
+    };
+
+    // Pseudo-field holding the evaluation time
+    const NOW_FIELD = '$now';
+    const DEFAULT_TIMEZONE = 'UTC';
+    const DAYS_OF_WEEK = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+    // Names of reference lists (written `@name` in the builder) and derived fields
+    const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+
+    // Operators that read the date/time in a time zone
+    const TIME_WINDOW_OPERATORS = ['TIME_BETWEEN', 'DAY_OF_WEEK_IN', 'DATE_RANGE'];
+
+    // NOT matches when none of its clauses match
+    const LOGIC_OPERATORS = ['AND', 'OR', 'NOT'];
+
+    // `{field.path}` placeholders in result templates
+    const PLACEHOLDER_PATTERN = /\{([^{}]*)\}/g;
+
+    // Accept both the full document and the bare unit_mapping_rules object
+    function getRuleSet(config) {
+        const ruleSet = config && config.unit_mapping_rules ? config.unit_mapping_rules : config;
+        if (!ruleSet || !Array.isArray(ruleSet.rules)) {
+            throw new Error('Configuration has no unit_mapping_rules.rules array');
+        }
+        return ruleSet;
+    }
+
+    function isGroup(conditions) {
+        return Boolean(conditions) && Array.isArray(conditions.clauses);
+    }
+
+    function evaluateRules(config, metadata, options = {}) {
+        const ruleSet = getRuleSet(config);
+        const context = createContext(ruleSet, options);
+        const derived = DerivedFields.computeDerivedFields(ruleSet.derived_fields, metadata);
+        metadata = derived.metadata;
+        const trace = [];
+
+        // Sort rules by priority (higher first); ties keep document order
+        const sortedRules = [...ruleSet.rules].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+        for (const [position, rule] of sortedRules.entries()) {
+            const unitId = rule.result && rule.result.unit_id ? rule.result.unit_id : ruleSet.default_unit_id;
+            const entry = {
+                id: rule.id,
+                name: rule.name || rule.id,
+                priority: rule.priority,
+                unitId: unitId,
+                matched: false
+            };
+            trace.push(entry);
+
+            if (!rule.conditions || Object.keys(rule.conditions).length === 0) {
+                entry.skipped = 'No conditions configured';
+                continue;
+            }
+
+            entry.conditions = evaluateNode(rule.conditions, metadata, context);
+            entry.matched = entry.conditions.matched;
+
+            if (entry.matched) {
+                const result = resolveResult(rule.result, metadata, ruleSet.default_unit_id);
+                entry.unitId = result.unitId;
+                entry.attributes = result.attributes;
+                if (result.errors.length > 0) {
+                    entry.templateErrors = result.errors;
+                }
+                // Lower-priority rules are listed but never evaluated
+                sortedRules.slice(position + 1).forEach(skipped => {
+                    trace.push({
+                        id: skipped.id,
+                        name: skipped.name || skipped.id,
+                        priority: skipped.priority,
+                        unitId: skipped.result && skipped.result.unit_id ? skipped.result.unit_id : ruleSet.default_unit_id,
+                        matched: false,
+                        shortCircuited: true
+                    });
+                });
+                return {
+                    unitId: result.unitId,
+                    attributes: result.attributes,
+                    matchedRule: entry.name,
+                    matchedRuleId: rule.id,
+                    derivedFields: derived.values,
+                    trace: trace
+                };
+            }
+        }
+
+        return {
+            unitId: ruleSet.default_unit_id,
+            attributes: {},
+            matchedRule: null,
+            matchedRuleId: null,
+            derivedFields: derived.values,
+            trace: trace
+        };
+    }
+
+    // The matched rule's unit id and attributes with their templates rendered:
+    // {unitId, attributes, errors}. A unit id template with a missing field
+    // falls back to fallback_unit_id (or the default unit); an attribute with
+    // one becomes null, and list attributes drop the element.
+    function resolveResult(result, metadata, defaultUnitId) {
+        const resolved = { unitId: defaultUnitId, attributes: {}, errors: [] };
+        if (!result) {
+            return resolved;
+        }
+        const valueMaps = result.value_maps || {};
+
+        if (result.unit_id) {
+            const unit = renderTemplate(result.unit_id, metadata, valueMaps);
+            if (unit.missing.length === 0) {
+                resolved.unitId = unit.text;
+            } else {
+                resolved.unitId = result.fallback_unit_id || defaultUnitId;
+                resolved.errors.push(`No value for ${unit.missing.join(', ')} in unit id "${result.unit_id}"; `
+                    + `used ${result.fallback_unit_id ? 'fallback' : 'default'} unit "${resolved.unitId}"`);
+            }
+        }
+
+        const attributes = result.attributes || {};
+        Object.keys(attributes).forEach(name => {
+            const value = attributes[name];
+            if (typeof value === 'string') {
+                const rendered = renderTemplate(value, metadata, valueMaps);
+                resolved.attributes[name] = rendered.missing.length === 0 ? rendered.text : null;
+                if (rendered.missing.length > 0) {
+                    resolved.errors.push(`No value for ${rendered.missing.join(', ')} in attribute "${name}"`);
+                }
+            } else if (Array.isArray(value)) {
+                resolved.attributes[name] = [];
+                value.forEach(item => {
+                    const rendered = renderTemplate(item, metadata, valueMaps);
+                    if (rendered.missing.length === 0) {
+                        resolved.attributes[name].push(rendered.text);
+                    } else {
+                        resolved.errors.push(`No value for ${rendered.missing.join(', ')} in attribute "${name}"`);
+                    }
+                });
+            } else {
+                resolved.attributes[name] = value;
+            }
+        });
+
+        return resolved;
+    }
+
+    // Replaces each `{field}` in a template with the field's value, mapped
+    // through valueMaps[field] when it lists the value. Returns {text, missing}:
+    // missing lists the placeholders whose field has no single non-empty value.
+    function renderTemplate(template, metadata, valueMaps = {}) {
+        const missing = [];
+        const text = String(template).replace(PLACEHOLDER_PATTERN, (placeholder, path) => {
+            const field = path.trim();
+            const resolved = field ? MetadataFields.resolveField(metadata, field) : null;
+            const value = resolved && !resolved.multiple ? resolved.value : undefined;
+            if (!isScalar(value) || value === '') {
+                missing.push(placeholder);
+                return '';
+            }
+            const map = valueMaps[field];
+            return map && Object.prototype.hasOwnProperty.call(map, String(value))
+                ? String(map[String(value)])
+                : String(value);
+        });
+        return { text, missing };
+    }
+
+    // Field paths used by a template's placeholders, in order
+    function templateFields(template) {
+        const fields = [];
+        if (typeof template === 'string') {
+            template.replace(PLACEHOLDER_PATTERN, (placeholder, path) => {
+                fields.push(path.trim());
+                return placeholder;
+            });
+        }
+        return fields;
+    }
+
+    // context: {now (ms), timezone, referenceLists}; evaluateRules builds it from the rule set
+    function createContext(ruleSet, options = {}) {
+        const now = options.now === undefined ? Date.now() : new Date(options.now).getTime();
+        return {
+            now: now,
+            timezone: options.timezone || (ruleSet && ruleSet.timezone) || DEFAULT_TIMEZONE,
+            referenceLists: (ruleSet && ruleSet.reference_lists) || {}
+        };
+    }
+
+    // The condition with its list_ref replaced by the list's values, or null
+    // when the list is not defined
+    function resolveListRef(condition, referenceLists = {}) {
+        if (condition.list_ref === undefined) {
+            return condition;
+        }
+        const list = Object.prototype.hasOwnProperty.call(referenceLists, condition.list_ref)
+            ? referenceLists[condition.list_ref]
+            : undefined;
+        if (!Array.isArray(list)) {
+            return null;
+        }
+        const resolved = Object.assign({}, condition, { values: list });
+        delete resolved.list_ref;
+        return resolved;
+    }
+
+    // Copy of a condition tree with every defined list_ref inlined as values
+    function resolveReferences(node, referenceLists = {}) {
+        if (!node || typeof node !== 'object') {
+            return node;
+        }
+        if (isGroup(node)) {
+            return Object.assign({}, node, { clauses: node.clauses.map(clause => resolveReferences(clause, referenceLists)) });
+        }
+        return resolveListRef(node, referenceLists) || node;
+    }
+
+    function evaluateConditions(conditions, metadata, context = createContext()) {
+        return evaluateNode(conditions, metadata, context).matched;
+    }
+
+    // Evaluates a single clause or an {operator, clauses} group and returns
+    // a trace node mirroring its shape
+    function evaluateNode(node, metadata, context) {
+        // A malformed clause (null, a number) never matches; the validator reports it
+        if (!node || typeof node !== 'object' || Array.isArray(node)) {
+            return { matched: false, error: `Clause ${JSON.stringify(node)} is not an object` };
+        }
+        if (!isGroup(node)) {
+            const resolved = resolveListRef(node, context.referenceLists);
+            const result = {
+                field: node.field,
+                operator: node.operator,
+                expected: OPERATORS[node.operator] && OPERATORS[node.operator].operand === 'values'
+                    ? (resolved ? resolved.values : undefined)
+                    : node.value,
+                actual: node.field ? resolveCondition(node, metadata, context).value : undefined,
+                matched: evaluateCondition(node, metadata, context)
+            };
+            if (node.list_ref !== undefined) {
+                result.listRef = node.list_ref;
+            }
+            if (TIME_WINDOW_OPERATORS.includes(node.operator)) {
+                result.timezone = node.timezone || context.timezone;
+            }
+            return result;
+        }
+
+        const clauses = node.clauses.map(clause => evaluateNode(clause, metadata, context));
+        let matched;
+
+        // Clauses after the one that decides the group are marked as
+        // short-circuited; they are still evaluated so the trace shows them
+        const decisive = node.operator === 'AND'
+            ? clauses.findIndex(clause => !clause.matched)
+            : clauses.findIndex(clause => clause.matched);
+        if (LOGIC_OPERATORS.includes(node.operator) && decisive !== -1) {
+            clauses.slice(decisive + 1).forEach(clause => {
+                clause.shortCircuited = true;
+            });
+        }
+
+        if (!LOGIC_OPERATORS.includes(node.operator)) {
+            matched = false;
+        } else if (node.operator === 'OR') {
+            matched = clauses.some(clause => clause.matched);
+        } else if (node.operator === 'NOT') {
+            matched = clauses.length > 0 && !clauses.some(clause => clause.matched);
+        } else {
+            matched = clauses.length > 0 && clauses.every(clause => clause.matched);
+        }
+
+        return {
+            operator: node.operator,
+            clauses: clauses,
+            matched: matched
+        };
+    }
+
+    function evaluateCondition(condition, metadata, context = createContext()) {
+        if (!condition.field || !condition.operator) {
+            return false;
+        }
+
+        const listed = resolveListRef(condition, context.referenceLists);
+        if (!listed) {
+            return false;
+        }
+
+        const resolved = resolveCondition(listed, metadata, context);
+        const timezone = listed.timezone || context.timezone;
+        if (!resolved.multiple) {
+            return compareValue(listed, resolved.value, timezone);
+        }
+
+        const spec = OPERATORS[listed.operator];
+        return spec && spec.match === 'all'
+            ? resolved.values.every(value => compareValue(listed, value, timezone))
+            : resolved.values.some(value => compareValue(listed, value, timezone));
+    }
+
+    function resolveCondition(condition, metadata, context) {
+        if (condition.field === NOW_FIELD) {
+            const now = new Date(context.now).toISOString();
+            return { value: now, values: [now], multiple: false };
+        }
+        return MetadataFields.resolveField(metadata, condition.field);
+    }
+
+    // Strict comparison semantics:
+    // - EQUALS/IN compare text: strings, numbers and booleans by their string
+    //   form (123 equals "123", false does not equal "0"); null, missing
+    //   values, arrays and objects never equal anything
+    // - *_IGNORE_CASE variants lowercase both sides first and accept the same
+    //   values as their case-sensitive form (true equals "TRUE")
+    // - CONTAINS/STARTS_WITH/ENDS_WITH/REGEX_MATCH only apply to strings and numbers
+    // - IS_NULL_OR_EMPTY matches null, missing values and "" (not 0 or false)
+    // - numeric operators need numbers or numeric strings on both sides;
+    //   BETWEEN takes [min, max] and includes both ends
+    // - BEFORE/AFTER need ISO 8601 strings ("2024-05-01T09:00:00Z") on both sides
+    // - IS_TRUE/IS_FALSE match booleans and the strings "true"/"false" in any case
+    // - TIME_BETWEEN takes ["HH:MM", "HH:MM"]: start inclusive, end exclusive,
+    //   wrapping midnight when start is later than end ("22:00"-"06:00")
+    // - DAY_OF_WEEK_IN takes day codes MON..SUN, DATE_RANGE ["YYYY-MM-DD",
+    //   "YYYY-MM-DD"] including both days; both use the date in `timezone`
+    // - datetimes without an offset are read in the runtime's local time zone,
+    //   except by the time-window operators, which take them as wall-clock time
+    // - NOT_* operators are the exact negation of their positive form
+    function compareValue(condition, fieldValue, timezone = DEFAULT_TIMEZONE) {
+        const spec = OPERATORS[condition.operator];
+        if (spec && spec.negates) {
+            return !compareValue(Object.assign({}, condition, { operator: spec.negates }), fieldValue, timezone);
+        }
+
+        const values = Array.isArray(condition.values) ? condition.values.map(String) : [];
+        const text = isText(fieldValue) ? String(fieldValue) : null;
+
+        switch (condition.operator) {
+            case 'EQUALS':
+                return isScalar(fieldValue) && String(fieldValue) === String(condition.value);
+
+            case 'EQUALS_IGNORE_CASE':
+                return isScalar(fieldValue) && foldCase(fieldValue) === foldCase(condition.value);
+
+            case 'IN':
+                return isScalar(fieldValue) && values.includes(String(fieldValue));
+
+            case 'IN_IGNORE_CASE':
+                return isScalar(fieldValue) && values.map(foldCase).includes(foldCase(fieldValue));
+
+            case 'CONTAINS':
+                return text !== null && text.includes(String(condition.value));
+
+            case 'CONTAINS_IGNORE_CASE':
+                return text !== null && foldCase(text).includes(foldCase(condition.value));
+
+            case 'STARTS_WITH':
+                return text !== null && text.startsWith(String(condition.value));
+
+            case 'ENDS_WITH':
+                return text !== null && text.endsWith(String(condition.value));
+
+            case 'IS_NULL_OR_EMPTY':
+                return fieldValue === undefined || fieldValue === null || fieldValue === '';
+
+            case 'GREATER_THAN':
+                return compareNumbers(fieldValue, condition.value, (a, b) => a > b);
+
+            case 'GREATER_OR_EQUAL':
+                return compareNumbers(fieldValue, condition.value, (a, b) => a >= b);
+
+            case 'LESS_THAN':
+                return compareNumbers(fieldValue, condition.value, (a, b) => a < b);
+
+            case 'LESS_OR_EQUAL':
+                return compareNumbers(fieldValue, condition.value, (a, b) => a <= b);
+
+            case 'BETWEEN':
+                return values.length === 2
+                    && compareNumbers(fieldValue, values[0], (a, b) => a >= b)
+                    && compareNumbers(fieldValue, values[1], (a, b) => a <= b);
+
+            case 'BEFORE':
+                return compareDatetimes(fieldValue, condition.value, (a, b) => a < b);
+
+            case 'AFTER':
+                return compareDatetimes(fieldValue, condition.value, (a, b) => a > b);
+
+            case 'TIME_BETWEEN': {
+                const local = toWallClock(fieldValue, timezone);
+                const start = parseTimeOfDay(values[0]);
+                const end = parseTimeOfDay(values[1]);
+                if (!local || Number.isNaN(start) || Number.isNaN(end)) {
+                    return false;
+                }
+                return start <= end
+                    ? local.minutes >= start && local.minutes < end
+                    : local.minutes >= start || local.minutes < end;
+            }
+
+            case 'DAY_OF_WEEK_IN': {
+                const local = toWallClock(fieldValue, timezone);
+                return Boolean(local) && values.map(day => day.trim().toUpperCase()).includes(local.weekday);
+            }
+
+            case 'DATE_RANGE': {
+                const local = toWallClock(fieldValue, timezone);
+                return Boolean(local) && values.length === 2 && isDate(values[0]) && isDate(values[1])
+                    && local.date >= values[0].trim() && local.date <= values[1].trim();
+            }
+
+            case 'IS_TRUE':
+                return parseBoolean(fieldValue) === true;
+
+            case 'IS_FALSE':
+                return parseBoolean(fieldValue) === false;
+
+            case 'REGEX_MATCH':
+                if (text === null) {
+                    return false;
+                }
+                try {
+                    const regex = new RegExp(condition.value);
+                    return regex.test(text);
+                } catch (e) {
+                    return false;
+                }
+
+            default:
+                return false;
+        }
+    }
+
+    function isScalar(value) {
+        return typeof value === 'string' || typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value));
+    }
+
+    function isText(value) {
+        return typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+    }
+
+    function foldCase(value) {
+        return String(value).toLowerCase();
+    }
+
+    function compareNumbers(fieldValue, limit, compare) {
+        const a = parseNumber(fieldValue);
+        const b = parseNumber(limit);
+        return !Number.isNaN(a) && !Number.isNaN(b) && compare(a, b);
+    }
+
+    function compareDatetimes(fieldValue, limit, compare) {
+        const a = parseDatetime(fieldValue);
+        const b = parseDatetime(limit);
+        return !Number.isNaN(a) && !Number.isNaN(b) && compare(a, b);
+    }
+
+    // Numbers and numeric strings ("42", "-1.5"); anything else is NaN
+    function parseNumber(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? value : NaN;
+        }
+        if (typeof value === 'string' && /^\s*-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?\s*$/.test(value)) {
+            return Number(value);
+        }
+        return NaN;
+    }
+
+    // ISO 8601 date or datetime strings as epoch milliseconds; anything else is NaN.
+    // Datetimes without an offset are read in the runtime's local time zone.
+    function parseDatetime(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(value.trim())) {
+            return NaN;
+        }
+        return Date.parse(value.trim());
+    }
+
+    function parseBoolean(value) {
+        if (typeof value === 'boolean') {
+            return value;
+        }
+        if (typeof value === 'string' && ['true', 'false'].includes(value.trim().toLowerCase())) {
+            return value.trim().toLowerCase() === 'true';
+        }
+        return undefined;
+    }
+
+    // "HH:MM" (24-hour) as minutes since midnight; anything else is NaN
+    function parseTimeOfDay(value) {
+        const match = /^\s*([01]\d|2[0-3]):([0-5]\d)\s*$/.exec(value === undefined ? '' : String(value));
+        return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+    }
+
+    function isDate(value) {
+        return /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim()) && !Number.isNaN(Date.parse(String(value).trim()));
+    }
+
+    function isValidTimezone(timezone) {
+        try {
+            getFormatter(timezone);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    const formatters = new Map();
+
+    function getFormatter(timezone) {
+        if (!formatters.has(timezone)) {
+            formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                weekday: 'short',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit'
+            }));
+        }
+        return formatters.get(timezone);
+    }
+
+    // Local date, minutes since midnight and weekday code of a datetime, or null.
+    // Datetimes with an offset (and $now) are converted into `timezone`; those
+    // without one already are wall-clock time and are used as written.
+    function toWallClock(value, timezone) {
+        const timestamp = parseDatetime(value);
+        if (Number.isNaN(timestamp)) {
+            return null;
+        }
+
+        const text = value.trim();
+        if (!/(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+            const date = text.slice(0, 10);
+            const time = /[T ](\d{2}):(\d{2})/.exec(text);
+            const [year, month, day] = date.split('-').map(Number);
+            return {
+                date: date,
+                minutes: time ? Number(time[1]) * 60 + Number(time[2]) : 0,
+                weekday: DAYS_OF_WEEK[new Date(Date.UTC(year, month - 1, day)).getUTCDay()]
+            };
+        }
+
+        let parts;
+        try {
+            parts = {};
+            getFormatter(timezone).formatToParts(new Date(timestamp)).forEach(part => {
+                parts[part.type] = part.value;
+            });
+        } catch (e) {
+            // Unknown time zones never match
+            return null;
+        }
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            minutes: Number(parts.hour) * 60 + Number(parts.minute),
+            weekday: parts.weekday.toUpperCase()
+        };
+    }
+
+    // Operators worth offering for a field of the given MetadataFields type
+    function operatorsForFieldType(fieldType) {
+        const valueTypes = FIELD_VALUE_TYPES[fieldType];
+        return Object.keys(OPERATORS).filter(operator => {
+            const types = OPERATORS[operator].types;
+            return !valueTypes || !types || types.some(type => valueTypes.includes(type));
+        });
+    }
+
+    return {
+        OPERATORS,
+        LOGIC_OPERATORS,
+        NOW_FIELD,
+        DEFAULT_TIMEZONE,
+        DAYS_OF_WEEK,
+        TIME_WINDOW_OPERATORS,
+        NAME_PATTERN,
+        getRuleSet,
+        resolveListRef,
+        resolveReferences,
+        isGroup,
+        evaluateRules,
+        evaluateConditions,
+        evaluateCondition,
+        compareValue,
+        resolveResult,
+        renderTemplate,
+        templateFields,
+        operatorsForFieldType,
+        parseNumber,
+        parseDatetime,
+        parseBoolean,
+        parseTimeOfDay,
+        isValidTimezone
+    };
+}));
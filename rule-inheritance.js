@@ -0,0 +1,98 @@
+/**
+ * Inheritance of a shared base rule set by organizations.
+ *
+ * Organizations that share most of their routing keep only their
+ * differences. `mergeRuleSets(base, own)` returns the effective rule set:
+ *
+ *   - rules are matched by id: an own rule replaces the base rule with the
+ *     same id (in the base rule's position), other own rules are added after
+ *     the base rules
+ *   - reference lists and derived fields are matched by name the same way
+ *   - `default_unit_id`, `timezone` and `version` come from the organization
+ *     when it sets them, otherwise from the base
+ *
+ * The merged rule set shares its rule objects with the inputs, so results
+ * can be traced back to the rule they came from. `origins` lists, for every
+ * merged rule, whether it is inherited from the base, overrides a base rule
+ * or is the organization's own.
+ *
+ * Exposed as `window.RuleInheritance` in the browser and via require() in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rule-evaluator'));
+    } else {
+        root.RuleInheritance = factory(root.RuleEvaluator);
+    }
+}(typeof self !== 'undefined' ? self : this, function (RuleEvaluator) {
+    'use strict';
+
+    // Organization id the shared base rule set is stored under; not a valid LiveVox org id
+    const SHARED_BASE_ID = '@base';
+
+    // Returns {config, origins}: the effective {unit_mapping_rules} and
+    // [{id, origin}] per merged rule, origin being 'base', 'override' or 'own'
+    function mergeRuleSets(base, own) {
+        const baseSet = RuleEvaluator.getRuleSet(base);
+        const ownSet = RuleEvaluator.getRuleSet(own);
+
+        const merged = {
+            version: isSet(ownSet.version) ? ownSet.version : baseSet.version,
+            default_unit_id: isSet(ownSet.default_unit_id) ? ownSet.default_unit_id : baseSet.default_unit_id
+        };
+        const timezone = isSet(ownSet.timezone) ? ownSet.timezone : baseSet.timezone;
+        if (isSet(timezone)) {
+            merged.timezone = timezone;
+        }
+
+        const referenceLists = Object.assign({}, baseSet.reference_lists, ownSet.reference_lists);
+        if (Object.keys(referenceLists).length > 0) {
+            merged.reference_lists = referenceLists;
+        }
+
+        const derivedFields = mergeByKey(baseSet.derived_fields, ownSet.derived_fields, 'name').items;
+        if (derivedFields.length > 0) {
+            merged.derived_fields = derivedFields;
+        }
+
+        const rules = mergeByKey(baseSet.rules, ownSet.rules, 'id');
+        merged.rules = rules.items;
+
+        return { config: { unit_mapping_rules: merged }, origins: rules.origins };
+    }
+
+    // Base items with same-key own items swapped in, then the remaining own items
+    function mergeByKey(baseItems, ownItems, key) {
+        const own = Array.isArray(ownItems) ? ownItems : [];
+        const used = new Set();
+        const items = [];
+        const origins = [];
+
+        (Array.isArray(baseItems) ? baseItems : []).forEach(item => {
+            const replacement = item && isSet(item[key]) ? own.find(candidate => candidate && candidate[key] === item[key]) : undefined;
+            if (replacement) {
+                used.add(replacement);
+                items.push(replacement);
+                origins.push({ id: item[key], origin: 'override' });
+            } else {
+                items.push(item);
+                origins.push({ id: item && item[key], origin: 'base' });
+            }
+        });
+        own.filter(item => !used.has(item)).forEach(item => {
+            items.push(item);
+            origins.push({ id: item && item[key], origin: 'own' });
+        });
+
+        return { items, origins };
+    }
+
+    function isSet(value) {
+        return value !== undefined && value !== null && value !== '';
+    }
+
+    return {
+        SHARED_BASE_ID,
+        mergeRuleSets
+    };
+}));
@@ -0,0 +1,225 @@
+/**
+ * JSON Schema for the `unit_mapping_rules` document.
+ *
+ * The schema is published as `RuleSchema.UNIT_MAPPING_RULES_SCHEMA` (draft-07)
+ * so other services can validate configs with any JSON Schema library. To
+ * write it to a file:
+ *
+ *   node -e "console.log(JSON.stringify(require('./rule-schema').UNIT_MAPPING_RULES_SCHEMA, null, 2))"
+ *
+ * `validateSchema` is a small validator for the keywords this schema uses
+ * ($ref, type, enum, required, properties, additionalProperties, items,
+ * minItems, minLength, oneOf), which keeps the builder free of dependencies.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rule-evaluator'), require('./derived-fields'));
+    } else {
+        root.RuleSchema = factory(root.RuleEvaluator, root.DerivedFields);
+    }
+}(typeof self !== 'undefined' ? self : this, function (RuleEvaluator, DerivedFields) {
+    'use strict';
+
+    const SCALAR_TYPES = ['string', 'number', 'boolean'];
+
+    const UNIT_MAPPING_RULES_SCHEMA = {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        $id: 'unit-mapping-rules.schema.json',
+        title: 'LiveVox unit mapping rules',
+        type: 'object',
+        required: ['unit_mapping_rules'],
+        properties: {
+            unit_mapping_rules: { $ref: '#/definitions/ruleSet' }
+        },
+        definitions: {
+            ruleSet: {
+                type: 'object',
+                required: ['version', 'default_unit_id', 'rules'],
+                properties: {
+                    version: { type: 'string' },
+                    default_unit_id: { type: 'string', minLength: 1 },
+                    timezone: { type: 'string', minLength: 1 },
+                    reference_lists: {
+                        type: 'object',
+                        additionalProperties: { type: 'array', items: { type: SCALAR_TYPES } }
+                    },
+                    derived_fields: { type: 'array', items: { $ref: '#/definitions/derivedField' } },
+                    rules: { type: 'array', items: { $ref: '#/definitions/rule' } }
+                }
+            },
+            derivedField: {
+                type: 'object',
+                required: ['name', 'source'],
+                additionalProperties: false,
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    source: { type: 'string', minLength: 1 },
+                    transforms: { type: 'array', items: { $ref: '#/definitions/transform' } }
+                }
+            },
+            transform: {
+                type: 'object',
+                required: ['type'],
+                additionalProperties: false,
+                properties: {
+                    type: { enum: Object.keys(DerivedFields.TRANSFORMS) },
+                    start: { type: 'integer' },
+                    length: { type: 'integer' },
+                    pattern: { type: 'string' },
+                    group: { type: 'integer' },
+                    table: { type: 'object', additionalProperties: { type: SCALAR_TYPES } },
+                    default: { type: SCALAR_TYPES },
+                    boundaries: { type: 'array', items: { type: 'number' } },
+                    labels: { type: 'array', items: { type: SCALAR_TYPES } }
+                }
+            },
+            rule: {
+                type: 'object',
+                required: ['id', 'priority', 'conditions', 'result'],
+                properties: {
+                    id: { type: 'string', minLength: 1 },
+                    name: { type: 'string' },
+                    priority: { type: 'integer' },
+                    conditions: { $ref: '#/definitions/node' },
+                    result: { $ref: '#/definitions/result' }
+                }
+            },
+            result: {
+                type: 'object',
+                required: ['unit_id'],
+                properties: {
+                    // May contain {field} placeholders, see RuleEvaluator.renderTemplate
+                    unit_id: { type: 'string', minLength: 1 },
+                    value_maps: {
+                        type: 'object',
+                        additionalProperties: { type: 'object', additionalProperties: { type: SCALAR_TYPES } }
+                    },
+                    fallback_unit_id: { type: 'string', minLength: 1 },
+                    attributes: {
+                        type: 'object',
+                        additionalProperties: { type: SCALAR_TYPES.concat('array'), items: { type: 'string' } }
+                    }
+                }
+            },
+            node: {
+                oneOf: [
+                    { $ref: '#/definitions/group' },
+                    { $ref: '#/definitions/condition' }
+                ]
+            },
+            group: {
+                type: 'object',
+                required: ['operator', 'clauses'],
+                additionalProperties: false,
+                properties: {
+                    operator: { enum: RuleEvaluator.LOGIC_OPERATORS },
+                    clauses: { type: 'array', minItems: 1, items: { $ref: '#/definitions/node' } }
+                }
+            },
+            condition: {
+                type: 'object',
+                required: ['field', 'operator'],
+                additionalProperties: false,
+                properties: {
+                    field: { type: 'string', minLength: 1 },
+                    operator: { enum: Object.keys(RuleEvaluator.OPERATORS) },
+                    value: { type: SCALAR_TYPES },
+                    values: { type: 'array', items: { type: SCALAR_TYPES } },
+                    list_ref: { type: 'string', minLength: 1 },
+                    timezone: { type: 'string', minLength: 1 }
+                }
+            }
+        }
+    };
+
+    // Returns [{path, message}] where path is an array of keys/indexes
+    function validateSchema(instance, schema = UNIT_MAPPING_RULES_SCHEMA, rootSchema = schema, path = []) {
+        if (schema.$ref) {
+            return validateSchema(instance, resolveRef(rootSchema, schema.$ref), rootSchema, path);
+        }
+
+        if (schema.oneOf) {
+            const results = schema.oneOf.map(option => validateSchema(instance, option, rootSchema, path));
+            const passing = results.filter(errors => errors.length === 0).length;
+            if (passing === 1) {
+                return [];
+            }
+            if (passing > 1) {
+                return [{ path, message: 'matches more than one allowed shape' }];
+            }
+            // Report the closest alternative rather than every branch
+            return results.reduce((best, errors) => errors.length < best.length ? errors : best);
+        }
+
+        const errors = [];
+
+        if (schema.type && !matchesType(instance, schema.type)) {
+            errors.push({ path, message: `must be of type ${[].concat(schema.type).join(' or ')}` });
+            return errors;
+        }
+
+        if (schema.enum && !schema.enum.includes(instance)) {
+            errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+        }
+
+        if (schema.minLength !== undefined && typeof instance === 'string' && instance.length < schema.minLength) {
+            errors.push({ path, message: 'must not be empty' });
+        }
+
+        if (Array.isArray(instance)) {
+            if (schema.minItems !== undefined && instance.length < schema.minItems) {
+                errors.push({ path, message: `must contain at least ${schema.minItems} item(s)` });
+            }
+            if (schema.items) {
+                instance.forEach((item, index) => {
+                    errors.push(...validateSchema(item, schema.items, rootSchema, path.concat(index)));
+                });
+            }
+        } else if (instance !== null && typeof instance === 'object') {
+            (schema.required || []).forEach(key => {
+                if (instance[key] === undefined) {
+                    errors.push({ path: path.concat(key), message: 'is required' });
+                }
+            });
+
+            Object.keys(instance).forEach(key => {
+                const propertySchema = schema.properties && schema.properties[key];
+                if (propertySchema) {
+                    errors.push(...validateSchema(instance[key], propertySchema, rootSchema, path.concat(key)));
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: path.concat(key), message: 'is not an allowed property' });
+                } else if (schema.additionalProperties) {
+                    errors.push(...validateSchema(instance[key], schema.additionalProperties, rootSchema, path.concat(key)));
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    function resolveRef(rootSchema, ref) {
+        return ref.replace(/^#\//, '').split('/').reduce((schema, key) => schema[key], rootSchema);
+    }
+
+    function matchesType(instance, type) {
+        return [].concat(type).some(expected => {
+            switch (expected) {
+                case 'object':
+                    return instance !== null && typeof instance === 'object' && !Array.isArray(instance);
+                case 'array':
+                    return Array.isArray(instance);
+                case 'integer':
+                    return Number.isInteger(instance);
+                case 'number':
+                    return typeof instance === 'number' && Number.isFinite(instance);
+                default:
+                    return typeof instance === expected;
+            }
+        });
+    }
+
+    return {
+        UNIT_MAPPING_RULES_SCHEMA,
+        validateSchema
+    };
+}));
@@ -0,0 +1,65 @@
+/**
+ * File-backed storage for organization rule documents (Node only).
+ *
+ * Each organization's `unit_mapping_rules` document is kept as
+ * `<directory>/<org_id>.json`. Writes go to a temporary file first and are
+ * renamed into place, so a crash never leaves a half-written document.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Organization ids become file names, so only plain identifiers are allowed
+const ORGANIZATION_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Numbers each write's temporary file, so overlapping saves of one
+// organization never write to (or rename) each other's file
+let writeCount = 0;
+
+function isValidOrganizationId(orgId) {
+    return typeof orgId === 'string' && ORGANIZATION_ID_PATTERN.test(orgId);
+}
+
+function createRuleStore(directory) {
+    function filePath(orgId) {
+        if (!isValidOrganizationId(orgId)) {
+            throw new Error(`Invalid organization id "${orgId}"`);
+        }
+        return path.join(directory, `${orgId}.json`);
+    }
+
+    async function load(orgId) {
+        let text;
+        try {
+            text = await fs.promises.readFile(filePath(orgId), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+        return JSON.parse(text);
+    }
+
+    async function save(orgId, document) {
+        const target = filePath(orgId);
+        const temporary = `${target}.${process.pid}.${++writeCount}.tmp`;
+
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.writeFile(temporary, JSON.stringify(document, null, 2) + '\n');
+        await fs.promises.rename(temporary, target);
+        return document;
+    }
+
+    return {
+        directory,
+        load,
+        save
+    };
+}
+
+module.exports = {
+    isValidOrganizationId,
+    createRuleStore
+};
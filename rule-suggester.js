@@ -0,0 +1,485 @@
+/**
+ * Draft rules reverse-engineered from labelled historical calls.
+ *
+ * `suggestRules(records, options)` takes call metadata records that carry the
+ * unit they belonged to (`options.labelField`, "unit_id" by default) and
+ * proposes a prioritized rule set for an organization being onboarded.
+ *
+ * The fields found by MetadataFields.discoverFields() (plus any derived
+ * fields passed in) are split greedily, decision-tree style: every split is
+ * the positive test with the best information gain about the labels, either
+ *
+ *   agent_department EQUALS "Sales"
+ *   agent_department IN ["Sales", "Retail"]   (values whose calls mostly share a unit)
+ *   call_duration GREATER_OR_EQUAL 300        (or LESS_THAN, for numeric fields)
+ *
+ * Calls passing the test are split further first, so the tree flattens into
+ * an ordered rule list where each rule only needs the tests it passed: a rule
+ * never fires for calls an earlier rule's subtree took. The last leaf, which
+ * passed no test, becomes `default_unit_id`. Values seen in fewer than
+ * `minRecords` calls are not used, fields with more than MAX_VALUES such
+ * values (ids, phone numbers) only get numeric splits, and datetimes are
+ * skipped since past timestamps never recur.
+ *
+ * The proposal is then evaluated against the labels, and when there are
+ * enough records a second tree, built without every fifth record, estimates
+ * the accuracy on calls the rules were not derived from.
+ *
+ * Exposed as `window.RuleSuggester` in the browser and via require() in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./metadata-fields'), require('./rule-evaluator'), require('./derived-fields'), require('./rule-compiler'));
+    } else {
+        root.RuleSuggester = factory(root.MetadataFields, root.RuleEvaluator, root.DerivedFields, root.RuleCompiler);
+    }
+}(typeof self !== 'undefined' ? self : this, function (MetadataFields, RuleEvaluator, DerivedFields, RuleCompiler) {
+    'use strict';
+
+    const DEFAULT_LABEL_FIELD = 'unit_id';
+    const DEFAULT_MAX_CONDITIONS = 3;
+    const DEFAULT_MIN_RECORDS = 3;
+    const MAX_VALUES = 50;
+    // Below this many labelled records no calls are held out
+    const HOLDOUT_MIN_RECORDS = 20;
+    const HOLDOUT_EVERY = 5;
+    const SKIPPED_TYPES = ['object', 'datetime'];
+
+    // Returns {config, labelled, skipped, fields, accuracy, holdout, units, rules, fallback}.
+    // Throws when no record carries a label.
+    function suggestRules(records, options = {}) {
+        const labelField = options.labelField || DEFAULT_LABEL_FIELD;
+        const settings = {
+            labelField,
+            ignoreFields: new Set(Array.isArray(options.ignoreFields) ? options.ignoreFields : []),
+            maxConditions: options.maxConditions || DEFAULT_MAX_CONDITIONS,
+            minRecords: options.minRecords || DEFAULT_MIN_RECORDS
+        };
+        const derivedFields = Array.isArray(options.derivedFields) ? options.derivedFields : [];
+
+        const readLabel = MetadataFields.createFieldResolver(labelField);
+        const labelled = [];
+        let skipped = 0;
+        records.forEach(record => {
+            const label = record && typeof record === 'object' ? readLabel(record) : null;
+            if (!label || label.multiple || !isScalar(label.value) || String(label.value) === '') {
+                skipped++;
+                return;
+            }
+            const metadata = derivedFields.length > 0 ? DerivedFields.computeDerivedFields(derivedFields, record).metadata : record;
+            labelled.push({ record, metadata, label: String(label.value) });
+        });
+        if (labelled.length === 0) {
+            throw new Error(`No record has a "${labelField}" label`);
+        }
+
+        const fields = candidateFields(labelled, settings);
+        const config = { unit_mapping_rules: orderKeys(buildRuleSet(labelled, fields, settings), options, derivedFields) };
+
+        const report = scoreRuleSet(config, labelled);
+        let holdout = null;
+        if (labelled.length >= HOLDOUT_MIN_RECORDS) {
+            const training = labelled.filter((entry, index) => index % HOLDOUT_EVERY !== HOLDOUT_EVERY - 1);
+            const heldOut = labelled.filter((entry, index) => index % HOLDOUT_EVERY === HOLDOUT_EVERY - 1);
+            const trial = orderKeys(buildRuleSet(training, candidateFields(training, settings), settings), options, derivedFields);
+            holdout = scoreRuleSet({ unit_mapping_rules: trial }, heldOut).accuracy;
+        }
+
+        return Object.assign({
+            config,
+            labelled: labelled.length,
+            skipped,
+            fields: fields.map(field => field.path),
+            holdout
+        }, report);
+    }
+
+    // The builder's key order; the version, time zone and reference lists are
+    // passed through so loading the suggestion keeps them
+    function orderKeys(ruleSet, options, derivedFields) {
+        const ordered = { version: options.version || '1.0', default_unit_id: ruleSet.default_unit_id };
+        if (options.timezone) {
+            ordered.timezone = options.timezone;
+        }
+        if (options.referenceLists && Object.keys(options.referenceLists).length > 0) {
+            ordered.reference_lists = options.referenceLists;
+        }
+        if (derivedFields.length > 0) {
+            ordered.derived_fields = derivedFields;
+        }
+        ordered.rules = ruleSet.rules;
+        return ordered;
+    }
+
+    // [{path, multiple, entries}] where entries[i] holds record i's
+    // scalar values as text and its number (NaN unless single and numeric)
+    function candidateFields(labelled, settings) {
+        const types = new Map();
+        labelled.forEach(entry => {
+            MetadataFields.discoverFields(entry.metadata).forEach(field => {
+                if (!types.has(field.path)) {
+                    types.set(field.path, new Set());
+                }
+                types.get(field.path).add(field.type);
+            });
+        });
+
+        const { labelField } = settings;
+        const isLabel = path => path === labelField || path.startsWith(`${labelField}.`) || path.startsWith(`${labelField}[`);
+        return [...types.keys()]
+            .filter(path => !isLabel(path) && !settings.ignoreFields.has(path) && !SKIPPED_TYPES.some(type => types.get(path).has(type)))
+            .sort()
+            .map(path => {
+                const resolve = MetadataFields.createFieldResolver(path);
+                let multiple = false;
+                const entries = labelled.map(entry => {
+                    const resolved = resolve(entry.metadata);
+                    if (resolved.multiple) {
+                        multiple = true;
+                        return { values: [...new Set(resolved.values.filter(isScalar).map(String))].filter(value => value !== ''), number: NaN };
+                    }
+                    const value = resolved.value;
+                    return {
+                        values: isScalar(value) && String(value) !== '' ? [String(value)] : [],
+                        number: RuleEvaluator.parseNumber(value)
+                    };
+                });
+                return { path, multiple, entries };
+            })
+            .filter(field => field.entries.some(entry => entry.values.length > 0));
+    }
+
+    function buildRuleSet(labelled, fields, settings) {
+        const labels = labelled.map(entry => entry.label);
+        // Ties between labels go to the more common one overall
+        const rank = new Map(sortByCount(countLabels(labels, labelled.map((entry, index) => index))).map((label, index) => [label, index]));
+        const context = Object.assign({ labels, rank, fields: fields.map(field => prepareField(field, settings)) }, settings);
+
+        const tree = growTree(context, labelled.map((entry, index) => index), 0);
+        const leaves = [];
+        flattenTree(tree, [], leaves);
+
+        // The last leaf passed no test: its unit is the default, and rules
+        // just before it that send calls to the same unit are redundant
+        const defaultUnitId = leaves.pop().unitId;
+        while (leaves.length > 0 && leaves[leaves.length - 1].unitId === defaultUnitId) {
+            leaves.pop();
+        }
+
+        return {
+            default_unit_id: defaultUnitId,
+            rules: leaves.map((leaf, index) => ({
+                id: `suggested-${index + 1}`,
+                name: `Suggested: ${leaf.tests.map(describeTest).join(' and ')}`,
+                priority: (leaves.length - index) * 10,
+                conditions: leaf.tests.length === 1
+                    ? toCondition(leaf.tests[0])
+                    : { operator: 'AND', clauses: leaf.tests.map(toCondition) },
+                result: { unit_id: leaf.unitId }
+            }))
+        };
+    }
+
+    // Values common enough to build rules on; a field with too many of them
+    // is an identifier and only numeric tests are tried on it
+    function prepareField(field, settings) {
+        const frequency = new Map();
+        field.entries.forEach(entry => entry.values.forEach(value => frequency.set(value, (frequency.get(value) || 0) + 1)));
+        const values = [...frequency.keys()].filter(value => frequency.get(value) >= settings.minRecords);
+
+        return Object.assign({}, field, {
+            values: values.length <= MAX_VALUES ? new Set(values) : new Set(),
+            numeric: !field.multiple && field.entries.some(entry => !Number.isNaN(entry.number))
+        });
+    }
+
+    // A leaf {unitId, correct} or a split {test, passed, failed, correct},
+    // where `correct` counts the calls the (sub)tree labels right. A split
+    // that gets fewer than minRecords more calls right than a leaf would is
+    // noise, and is pruned.
+    function growTree(context, indices, depth) {
+        const counts = countLabels(context.labels, indices);
+        const unitId = majority(counts, context.rank);
+        const leaf = { unitId, correct: counts.get(unitId) };
+        if (counts.size === 1 || depth >= context.maxConditions || indices.length < 2 * context.minRecords) {
+            return leaf;
+        }
+
+        const split = bestSplit(context, indices, counts);
+        if (!split) {
+            return leaf;
+        }
+
+        const passed = [];
+        const failed = [];
+        indices.forEach(index => (split.accepts(index) ? passed : failed).push(index));
+
+        // Only passing a test adds a condition to the rules below it
+        const passedTree = growTree(context, passed, depth + 1);
+        const failedTree = growTree(context, failed, depth);
+        const correct = passedTree.correct + failedTree.correct;
+        if (correct - leaf.correct < context.minRecords) {
+            return leaf;
+        }
+        return { test: split.test, passed: passedTree, failed: failedTree, correct };
+    }
+
+    function bestSplit(context, indices, counts) {
+        const parentEntropy = entropy(counts, indices.length);
+        let best = null;
+
+        const consider = (test, passedCounts, passedSize, accepts) => {
+            const failedSize = indices.length - passedSize;
+            if (passedSize < context.minRecords || failedSize < context.minRecords) {
+                return;
+            }
+            const failedCounts = new Map();
+            counts.forEach((count, label) => failedCounts.set(label, count - (passedCounts.get(label) || 0)));
+            const gain = parentEntropy
+                - (passedSize / indices.length) * entropy(passedCounts, passedSize)
+                - (failedSize / indices.length) * entropy(failedCounts, failedSize);
+            // Equal gains keep the earlier, simpler test
+            if (gain > 1e-9 && (!best || gain > best.gain + 1e-9 || (Math.abs(gain - best.gain) <= 1e-9 && testSize(test) < testSize(best.test)))) {
+                best = { test, gain, accepts };
+            }
+        };
+
+        context.fields.forEach(field => {
+            if (field.values.size > 0) {
+                considerValues(context, field, indices, consider);
+            }
+            if (field.numeric) {
+                considerThresholds(context, field, indices, consider);
+            }
+        });
+        return best;
+    }
+
+    // EQUALS each common value, and IN the values whose calls mostly go to one unit
+    function considerValues(context, field, indices, consider) {
+        const byValue = new Map();
+        indices.forEach(index => {
+            field.entries[index].values.forEach(value => {
+                if (!field.values.has(value)) {
+                    return;
+                }
+                if (!byValue.has(value)) {
+                    byValue.set(value, { size: 0, counts: new Map() });
+                }
+                const bucket = byValue.get(value);
+                bucket.size++;
+                bucket.counts.set(context.labels[index], (bucket.counts.get(context.labels[index]) || 0) + 1);
+            });
+        });
+
+        const values = [...byValue.keys()].sort();
+        values.forEach(value => {
+            const bucket = byValue.get(value);
+            consider({ field: field.path, operator: 'EQUALS', value }, bucket.counts, bucket.size,
+                index => field.entries[index].values.includes(value));
+        });
+
+        // A call with several values could pass a group through any of them,
+        // so groups are only formed for single-valued fields
+        if (field.multiple) {
+            return;
+        }
+        const groups = new Map();
+        values.filter(isListValue).forEach(value => {
+            const unitId = majority(byValue.get(value).counts, context.rank);
+            groups.set(unitId, (groups.get(unitId) || []).concat(value));
+        });
+        groups.forEach(group => {
+            if (group.length < 2) {
+                return;
+            }
+            const passedCounts = new Map();
+            let passedSize = 0;
+            group.forEach(value => {
+                const bucket = byValue.get(value);
+                passedSize += bucket.size;
+                bucket.counts.forEach((count, label) => passedCounts.set(label, (passedCounts.get(label) || 0) + count));
+            });
+            const members = new Set(group);
+            consider({ field: field.path, operator: 'IN', values: group }, passedCounts, passedSize,
+                index => members.has(field.entries[index].values[0]));
+        });
+    }
+
+    // GREATER_OR_EQUAL and LESS_THAN at every boundary between sorted numbers
+    function considerThresholds(context, field, indices, consider) {
+        const numbered = indices.filter(index => !Number.isNaN(field.entries[index].number))
+            .sort((a, b) => field.entries[a].number - field.entries[b].number);
+        const total = countLabels(context.labels, numbered);
+        const below = new Map();
+
+        numbered.forEach((index, position) => {
+            below.set(context.labels[index], (below.get(context.labels[index]) || 0) + 1);
+            const next = numbered[position + 1];
+            if (next === undefined || field.entries[next].number === field.entries[index].number) {
+                return;
+            }
+            const limit = field.entries[next].number;
+            const above = new Map();
+            total.forEach((count, label) => above.set(label, count - (below.get(label) || 0)));
+
+            consider({ field: field.path, operator: 'GREATER_OR_EQUAL', value: limit }, above, numbered.length - position - 1,
+                candidate => field.entries[candidate].number >= limit);
+            consider({ field: field.path, operator: 'LESS_THAN', value: limit }, new Map(below), position + 1,
+                candidate => field.entries[candidate].number < limit);
+        });
+    }
+
+    // Leaves in evaluation order, each with the tests it passed
+    function flattenTree(node, tests, leaves) {
+        if (!node.test) {
+            leaves.push({ tests: simplifyTests(tests), unitId: node.unitId });
+            return;
+        }
+        flattenTree(node.passed, tests.concat([node.test]), leaves);
+        flattenTree(node.failed, tests, leaves);
+    }
+
+    // Merges tests on one single-valued field: a value or list inside an
+    // earlier list replaces it, and the tightest numeric limit wins
+    function simplifyTests(tests) {
+        const merged = [];
+        tests.forEach(test => {
+            const position = merged.findIndex(earlier => earlier.field === test.field && (
+                (test.operator === 'EQUALS' && earlier.operator === 'IN') ||
+                (test.operator === 'IN' && earlier.operator === 'IN') ||
+                (test.operator === earlier.operator && ['GREATER_OR_EQUAL', 'LESS_THAN'].includes(test.operator))));
+            if (position === -1) {
+                merged.push(test);
+                return;
+            }
+
+            const earlier = merged[position];
+            let combined = test;
+            if (test.operator === 'IN') {
+                const values = earlier.values.filter(value => test.values.includes(value));
+                combined = values.length === 1
+                    ? { field: test.field, operator: 'EQUALS', value: values[0] }
+                    : { field: test.field, operator: 'IN', values };
+            } else if (test.operator === 'GREATER_OR_EQUAL') {
+                combined = Object.assign({}, test, { value: Math.max(earlier.value, test.value) });
+            } else if (test.operator === 'LESS_THAN') {
+                combined = Object.assign({}, test, { value: Math.min(earlier.value, test.value) });
+            }
+            merged[position] = combined;
+        });
+        return merged;
+    }
+
+    function toCondition(test) {
+        return test.values
+            ? { field: test.field, operator: test.operator, values: test.values }
+            : { field: test.field, operator: test.operator, value: test.value };
+    }
+
+    function describeTest(test) {
+        const symbols = { EQUALS: '=', GREATER_OR_EQUAL: '>=', LESS_THAN: '<' };
+        if (test.values) {
+            const shown = test.values.slice(0, 3).join(', ');
+            return `${test.field} in (${shown}${test.values.length > 3 ? ', ...' : ''})`;
+        }
+        return `${test.field} ${symbols[test.operator]} ${test.value}`;
+    }
+
+    // Accuracy against the labels, per-unit precision and recall, and how
+    // many calls each rule (and the default) took
+    function scoreRuleSet(config, labelled) {
+        const ruleSet = config.unit_mapping_rules;
+        const compiled = RuleCompiler.compileRules(ruleSet);
+        const rules = ruleSet.rules.map(rule => ({ id: rule.id, name: rule.name, unitId: rule.result.unit_id, matched: 0, correct: 0 }));
+        const rulesById = new Map(rules.map(rule => [rule.id, rule]));
+        const fallback = { unitId: ruleSet.default_unit_id, matched: 0, correct: 0 };
+        const units = new Map();
+        const unit = unitId => {
+            if (!units.has(unitId)) {
+                units.set(unitId, { unitId, records: 0, predicted: 0, correct: 0 });
+            }
+            return units.get(unitId);
+        };
+        let correct = 0;
+
+        labelled.forEach(entry => {
+            const result = compiled.evaluate(entry.record);
+            const hit = result.unitId === entry.label;
+            const bucket = rulesById.get(result.matchedRuleId) || fallback;
+            bucket.matched++;
+            unit(entry.label).records++;
+            unit(result.unitId).predicted++;
+            if (hit) {
+                correct++;
+                bucket.correct++;
+                unit(entry.label).correct++;
+            }
+        });
+
+        const percent = (count, total) => total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+        return {
+            accuracy: { correct, total: labelled.length, percent: percent(correct, labelled.length) },
+            units: [...units.values()]
+                .sort((a, b) => b.records - a.records || a.unitId.localeCompare(b.unitId))
+                .map(bucket => Object.assign(bucket, {
+                    precision: percent(bucket.correct, bucket.predicted),
+                    recall: percent(bucket.correct, bucket.records)
+                })),
+            rules,
+            fallback
+        };
+    }
+
+    function countLabels(labels, indices) {
+        const counts = new Map();
+        indices.forEach(index => counts.set(labels[index], (counts.get(labels[index]) || 0) + 1));
+        return counts;
+    }
+
+    function sortByCount(counts) {
+        return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+    }
+
+    function majority(counts, rank) {
+        let best = null;
+        counts.forEach((count, label) => {
+            if (best === null || count > counts.get(best) || (count === counts.get(best) && rank.get(label) < rank.get(best))) {
+                best = label;
+            }
+        });
+        return best;
+    }
+
+    function entropy(counts, size) {
+        let sum = 0;
+        counts.forEach(count => {
+            if (count > 0) {
+                const share = count / size;
+                sum -= share * Math.log2(share);
+            }
+        });
+        return sum;
+    }
+
+    function testSize(test) {
+        return test.values ? test.values.length : 1;
+    }
+
+    // The builder keeps lists as comma-separated text and reads "@name" as a
+    // reference list, so other values can only be matched with EQUALS
+    function isListValue(value) {
+        return !value.includes(',') && value.trim() === value && !value.startsWith('@');
+    }
+
+    function isScalar(value) {
+        return typeof value === 'string' || typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value));
+    }
+
+    return {
+        DEFAULT_LABEL_FIELD,
+        DEFAULT_MAX_CONDITIONS,
+        DEFAULT_MIN_RECORDS,
+        suggestRules
+    };
+}));
@@ -0,0 +1,423 @@
+/**
+ * Parameterized rule templates for common routing patterns.
+ *
+ * A template is a rule set fragment with `{{param}}` placeholders, plus the
+ * parameters the user fills in before it is inserted into the builder:
+ *
+ *   {"id": "route-by-department", "name": "Route by department",
+ *    "params": [{"name": "units", "kind": "table", "label": "...", "default": {"Sales": "nra-sales-unit"}}],
+ *    "rule_set": {"rules": [
+ *        {"for_each": "units", "id": "department-{{key}}", "priority": 100,
+ *         "conditions": {"field": "agent_department", "operator": "EQUALS", "value": "{{key}}"},
+ *         "result": {"unit_id": "{{value}}"}}
+ *    ]}}
+ *
+ * Placeholders use double braces so they do not clash with the `{field}`
+ * placeholders of result templates. A string that is only a placeholder is
+ * replaced by the parameter value itself (a list parameter fills `values`, an
+ * integer one a priority); anywhere else the value is inserted as text.
+ *
+ * A rule with `for_each` is repeated for every element of a list parameter
+ * (`{{item}}`) or row of a table parameter (`{{key}}` and `{{value}}`). The
+ * copies' priorities count down by one so they keep the parameter's order,
+ * and their ids are made id-safe since they come from user input. Values that
+ * differ only in case or punctuation ("Sales" and "sales") give the same id,
+ * so later copies get a "-2", "-3" suffix.
+ *
+ * A rule set can carry `default_unit_id`, `reference_lists`, `derived_fields`
+ * and `rules`. Templates saved by users are rule sets from the builder; any
+ * `{{name}}` left in them becomes a text parameter.
+ *
+ * Exposed as `window.RuleTemplates` in the browser and via require() in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RuleTemplates = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const PARAM_PATTERN = /\{\{\s*([A-Za-z_][\w]*)\s*\}\}/g;
+
+    // Parameter kinds and how the builder edits them: text, list (comma
+    // separated), integer and table (one "key = value" per line)
+    const PARAM_KINDS = ['text', 'list', 'integer', 'table'];
+
+    // Names for-each rules bind; parameters cannot use them
+    const LOOP_NAMES = ['item', 'key', 'value'];
+
+    const BUILT_IN_TEMPLATES = [
+        {
+            id: 'route-by-department',
+            name: 'Route by department',
+            description: 'One rule per department, each sending calls to its unit',
+            params: [
+                { name: 'field', kind: 'text', label: 'Department field', default: 'agent_department' },
+                { name: 'units', kind: 'table', label: 'Department = unit ID', default: { Sales: 'nra-sales-unit', Support: 'nra-support-unit' } },
+                { name: 'priority', kind: 'integer', label: 'Priority of the first rule', default: 100 }
+            ],
+            rule_set: {
+                rules: [
+                    {
+                        for_each: 'units',
+                        id: 'department-{{key}}',
+                        name: '{{key}} department',
+                        priority: '{{priority}}',
+                        conditions: { field: '{{field}}', operator: 'EQUALS', value: '{{key}}' },
+                        result: { unit_id: '{{value}}' }
+                    }
+                ]
+            }
+        },
+        {
+            id: 'route-by-language-with-default',
+            name: 'Route by language with default',
+            description: 'One rule per language; calls in any other language go to the default unit',
+            params: [
+                { name: 'field', kind: 'text', label: 'Language field', default: 'language' },
+                { name: 'units', kind: 'table', label: 'Language = unit ID', default: { Spanish: 'nra-spanish-unit', French: 'nra-french-unit' } },
+                { name: 'default_unit', kind: 'text', label: 'Default unit ID', default: 'nra-english-unit' },
+                { name: 'priority', kind: 'integer', label: 'Priority of the first rule', default: 100 }
+            ],
+            rule_set: {
+                default_unit_id: '{{default_unit}}',
+                rules: [
+                    {
+                        for_each: 'units',
+                        id: 'language-{{key}}',
+                        name: '{{key}} speakers',
+                        priority: '{{priority}}',
+                        conditions: { field: '{{field}}', operator: 'EQUALS_IGNORE_CASE', value: '{{key}}' },
+                        result: { unit_id: '{{value}}' }
+                    }
+                ]
+            }
+        },
+        {
+            id: 'sub-role-list-to-unit',
+            name: 'Sub-role list to unit',
+            description: 'A reference list of sub-roles that all route to one unit',
+            params: [
+                { name: 'field', kind: 'text', label: 'Sub-role field', default: 'agent_sub_role' },
+                { name: 'list_name', kind: 'text', label: 'Reference list name', default: 'support_sub_roles' },
+                { name: 'sub_roles', kind: 'list', label: 'Sub-roles', default: ['Tier 1', 'Tier 2', 'Escalations'] },
+                { name: 'unit_id', kind: 'text', label: 'Unit ID', default: 'nra-support-unit' },
+                { name: 'priority', kind: 'integer', label: 'Priority', default: 100 }
+            ],
+            rule_set: {
+                reference_lists: { '{{list_name}}': '{{sub_roles}}' },
+                rules: [
+                    {
+                        id: '{{list_name}}-to-unit',
+                        name: 'Sub-roles in {{list_name}}',
+                        priority: '{{priority}}',
+                        conditions: { field: '{{field}}', operator: 'IN', list_ref: '{{list_name}}' },
+                        result: { unit_id: '{{unit_id}}' }
+                    }
+                ]
+            }
+        },
+        {
+            // Port of get_root_unit_id() from the eToro integration (see IMPLEMENTATION_STRATEGY.md)
+            id: 'etoro-cs-retention-ops',
+            name: 'eToro CS / Retention / OPS',
+            description: 'CS sub-roles and FCMU agents in the CS department go to CS, Retention to Retention, everyone else to OPS',
+            params: [
+                { name: 'cs_sub_roles', kind: 'list', label: 'CS sub-roles', default: ['CS Agent', 'CS Team Leader', 'CS Expert'] },
+                { name: 'cs_unit', kind: 'text', label: 'CS unit ID', default: 'etoro-cs-unit' },
+                { name: 'retention_unit', kind: 'text', label: 'Retention unit ID', default: 'etoro-retention-unit' },
+                { name: 'ops_unit', kind: 'text', label: 'OPS (default) unit ID', default: 'etoro-ops-unit' }
+            ],
+            rule_set: {
+                default_unit_id: '{{ops_unit}}',
+                reference_lists: { cs_sub_roles: '{{cs_sub_roles}}' },
+                rules: [
+                    {
+                        id: 'cs-sub-roles',
+                        name: 'CS sub-roles',
+                        priority: 300,
+                        conditions: { field: 'agent_sub_role', operator: 'IN', list_ref: 'cs_sub_roles' },
+                        result: { unit_id: '{{cs_unit}}' }
+                    },
+                    {
+                        id: 'cs-fcmu',
+                        name: 'FCMU agents in CS',
+                        priority: 200,
+                        conditions: {
+                            operator: 'AND',
+                            clauses: [
+                                { field: 'agent_sub_role', operator: 'EQUALS', value: 'FCMU' },
+                                { field: 'agent_department', operator: 'EQUALS', value: 'CS' }
+                            ]
+                        },
+                        result: { unit_id: '{{cs_unit}}' }
+                    },
+                    {
+                        id: 'retention',
+                        name: 'Retention',
+                        priority: 100,
+                        conditions: { field: 'agent_sub_role', operator: 'EQUALS', value: 'Retention' },
+                        result: { unit_id: '{{retention_unit}}' }
+                    }
+                ]
+            }
+        }
+    ];
+
+    // Parameter values as {name: value} from the template's defaults
+    function defaultValues(template) {
+        const values = {};
+        template.params.forEach(param => {
+            if (param.default !== undefined) {
+                values[param.name] = param.default;
+            }
+        });
+        return values;
+    }
+
+    function formatParam(kind, value) {
+        if (value === undefined || value === null) {
+            return '';
+        }
+        if (kind === 'table' && typeof value === 'object') {
+            return Object.keys(value).map(key => `${key} = ${value[key]}`).join('\n');
+        }
+        return Array.isArray(value) ? value.join(', ') : String(value);
+    }
+
+    // Text from a parameter input as its value; undefined means no value
+    function parseParam(kind, text) {
+        if (text.trim() === '') {
+            return undefined;
+        }
+        switch (kind) {
+            case 'integer':
+                // Anything else is kept as typed so instantiate() can point at it
+                return /^\s*-?\d+\s*$/.test(text) ? Number(text) : text;
+            case 'list':
+                return text.split(',').map(v => v.trim()).filter(v => v !== '');
+            case 'table': {
+                const table = {};
+                text.split('\n').forEach(line => {
+                    const separator = line.indexOf('=');
+                    if (separator !== -1 && line.slice(0, separator).trim() !== '') {
+                        table[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+                    }
+                });
+                return table;
+            }
+            default:
+                return text.trim();
+        }
+    }
+
+    // Problems with the parameter values, as messages
+    function checkValues(template, values) {
+        const problems = [];
+        template.params.forEach(param => {
+            const value = values[param.name];
+            const label = param.label || param.name;
+            if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0) ||
+                (param.kind === 'table' && value && typeof value === 'object' && Object.keys(value).length === 0)) {
+                problems.push(`${label} needs a value`);
+            } else if (param.kind === 'integer' && !Number.isInteger(value)) {
+                problems.push(`${label} must be a whole number`);
+            }
+        });
+        return problems;
+    }
+
+    // The template's rule set with the parameter values filled in; throws
+    // when a value is missing or a placeholder names no parameter
+    function instantiate(template, values) {
+        const problems = checkValues(template, values);
+        if (problems.length > 0) {
+            throw new Error(problems.join('; '));
+        }
+
+        const kinds = {};
+        template.params.forEach(param => {
+            kinds[param.name] = param.kind;
+        });
+
+        const source = template.rule_set || {};
+        const ruleSet = {};
+        if (source.default_unit_id !== undefined) {
+            ruleSet.default_unit_id = render(source.default_unit_id, values);
+        }
+        if (source.reference_lists !== undefined) {
+            ruleSet.reference_lists = render(source.reference_lists, values);
+        }
+        if (source.derived_fields !== undefined) {
+            ruleSet.derived_fields = render(source.derived_fields, values);
+        }
+
+        ruleSet.rules = [];
+        const generated = new Set();
+        (Array.isArray(source.rules) ? source.rules : []).forEach(rule => {
+            const addRule = instance => {
+                if (typeof rule.id === 'string' && rule.id.includes('{{')) {
+                    generated.add(instance);
+                }
+                ruleSet.rules.push(instance);
+            };
+
+            if (rule.for_each === undefined) {
+                addRule(instantiateRule(rule, values));
+                return;
+            }
+
+            const kind = kinds[rule.for_each];
+            if (kind !== 'list' && kind !== 'table') {
+                throw new Error(`Rule "${rule.id}" repeats over "${rule.for_each}", which is not a list or table parameter`);
+            }
+            const collection = values[rule.for_each];
+            const bindings = kind === 'list'
+                ? collection.map(item => ({ item: item }))
+                : Object.keys(collection).map(key => ({ key: key, value: collection[key] }));
+
+            bindings.forEach((binding, index) => {
+                const repeated = instantiateRule(rule, Object.assign({}, values, binding));
+                if (Number.isInteger(repeated.priority)) {
+                    repeated.priority -= index;
+                }
+                addRule(repeated);
+            });
+        });
+
+        // Generated ids give way to the template's fixed ids and to earlier copies
+        const usedIds = new Set(ruleSet.rules.filter(rule => !generated.has(rule)).map(rule => rule.id));
+        ruleSet.rules.filter(rule => generated.has(rule)).forEach(rule => {
+            let ruleId = rule.id;
+            for (let suffix = 2; usedIds.has(ruleId); suffix++) {
+                ruleId = `${rule.id}-${suffix}`;
+            }
+            rule.id = ruleId;
+            usedIds.add(ruleId);
+        });
+        return ruleSet;
+    }
+
+    function instantiateRule(rule, values) {
+        const copy = Object.assign({}, rule);
+        delete copy.for_each;
+        const instance = render(copy, values);
+        if (typeof rule.id === 'string' && rule.id.includes('{{')) {
+            instance.id = toRuleId(instance.id);
+        }
+        return instance;
+    }
+
+    // Deep copy of a JSON value with every placeholder replaced
+    function render(node, values) {
+        if (typeof node === 'string') {
+            const whole = /^\{\{\s*([A-Za-z_][\w]*)\s*\}\}$/.exec(node);
+            if (whole) {
+                return lookup(whole[1], values);
+            }
+            return node.replace(PARAM_PATTERN, (match, name) => formatParam('text', lookup(name, values)));
+        }
+        if (Array.isArray(node)) {
+            return node.map(item => render(item, values));
+        }
+        if (node && typeof node === 'object') {
+            const result = {};
+            Object.keys(node).forEach(key => {
+                result[String(render(key, values))] = render(node[key], values);
+            });
+            return result;
+        }
+        return node;
+    }
+
+    function lookup(name, values) {
+        if (!Object.prototype.hasOwnProperty.call(values, name)) {
+            throw new Error(`Unknown template parameter "{{${name}}}"`);
+        }
+        return values[name];
+    }
+
+    function toRuleId(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'rule';
+    }
+
+    // Parameter names used by a rule set's placeholders, in order of appearance
+    function placeholderNames(node, names = []) {
+        if (typeof node === 'string') {
+            let match;
+            PARAM_PATTERN.lastIndex = 0;
+            while ((match = PARAM_PATTERN.exec(node)) !== null) {
+                if (!names.includes(match[1])) {
+                    names.push(match[1]);
+                }
+            }
+        } else if (Array.isArray(node)) {
+            node.forEach(item => placeholderNames(item, names));
+        } else if (node && typeof node === 'object') {
+            Object.keys(node).forEach(key => {
+                placeholderNames(key, names);
+                placeholderNames(node[key], names);
+            });
+        }
+        return names;
+    }
+
+    // A template from a builder rule set (unit_mapping_rules); its version and
+    // time zone belong to the rule set it is inserted into, so they are dropped
+    function createUserTemplate(name, description, mappingRules) {
+        if (!name || !name.trim()) {
+            throw new Error('A template needs a name');
+        }
+        if (!mappingRules || !Array.isArray(mappingRules.rules) || mappingRules.rules.length === 0) {
+            throw new Error('There are no rules to save as a template');
+        }
+
+        const ruleSet = {};
+        ['default_unit_id', 'reference_lists', 'derived_fields', 'rules'].forEach(key => {
+            if (mappingRules[key] !== undefined) {
+                ruleSet[key] = JSON.parse(JSON.stringify(mappingRules[key]));
+            }
+        });
+
+        const reserved = placeholderNames(ruleSet).filter(param => LOOP_NAMES.includes(param));
+        if (reserved.length > 0) {
+            throw new Error(`{{${reserved[0]}}} is reserved for repeated rules - rename the placeholder`);
+        }
+
+        return {
+            id: `user-${toRuleId(name)}`,
+            name: name.trim(),
+            description: (description || '').trim(),
+            user: true,
+            params: placeholderNames(ruleSet).map(param => ({ name: param, kind: 'text', label: param })),
+            rule_set: ruleSet
+        };
+    }
+
+    // Stored user templates with anything unusable dropped
+    function normalizeTemplates(raw) {
+        if (!Array.isArray(raw)) {
+            return [];
+        }
+        return raw.filter(template => template && typeof template === 'object' &&
+            typeof template.id === 'string' && typeof template.name === 'string' &&
+            Array.isArray(template.params) && template.params.every(param => param && PARAM_KINDS.includes(param.kind)) &&
+            template.rule_set && Array.isArray(template.rule_set.rules))
+            .map(template => Object.assign({}, template, { user: true }));
+    }
+
+    return {
+        PARAM_KINDS,
+        BUILT_IN_TEMPLATES,
+        defaultValues,
+        formatParam,
+        parseParam,
+        checkValues,
+        instantiate,
+        placeholderNames,
+        createUserTemplate,
+        normalizeTemplates
+    };
+}));
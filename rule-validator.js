@@ -0,0 +1,414 @@
+/**
+ * Validation of `unit_mapping_rules` documents.
+ *
+ * Combines the published JSON Schema (rule-schema.js) with checks a schema
+ * cannot express: duplicate ids and priorities, operator operands, regex
+ * and result template syntax, and rules that the builder would leave out of
+ * the export.
+ *
+ * Every issue carries the `rule` and `node` objects it refers to within the
+ * validated document, so callers can point at the exact rule or clause.
+ *
+ * `validateConfiguration(config, {fieldCatalog})` also warns about conditions
+ * on fields that are missing from the organization's field catalog.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rule-evaluator'), require('./rule-schema'), require('./derived-fields'), require('./field-catalog'));
+    } else {
+        root.RuleValidator = factory(root.RuleEvaluator, root.RuleSchema, root.DerivedFields, root.FieldCatalog);
+    }
+}(typeof self !== 'undefined' ? self : this, function (RuleEvaluator, RuleSchema, DerivedFields, FieldCatalog) {
+    'use strict';
+
+    const NUMERIC_OPERATORS = ['GREATER_THAN', 'GREATER_OR_EQUAL', 'LESS_THAN', 'LESS_OR_EQUAL'];
+    const DATETIME_OPERATORS = ['BEFORE', 'AFTER'];
+
+    function validateConfiguration(config, options = {}) {
+        // Accept both the full document and the bare unit_mapping_rules object
+        const document = config && config.unit_mapping_rules ? config : { unit_mapping_rules: config };
+        const issues = [];
+        const report = (severity, path, message) => issues.push({ severity, path, message });
+
+        checkRuleSet(document.unit_mapping_rules, ['unit_mapping_rules'], report, options);
+
+        // Schema errors already explained by a more specific check are dropped
+        const explained = issues.map(issue => issue.path);
+        RuleSchema.validateSchema(document).forEach(error => {
+            if (!explained.some(path => isPrefix(path, error.path))) {
+                report('error', error.path, `${describeKey(error.path)} ${error.message}`);
+            }
+        });
+
+        const located = issues
+            .map(issue => Object.assign(locate(document, issue.path), issue, { path: formatPath(issue.path) }))
+            .sort((a, b) => (a.ruleIndex === undefined ? -1 : a.ruleIndex) - (b.ruleIndex === undefined ? -1 : b.ruleIndex));
+
+        return {
+            valid: !located.some(issue => issue.severity === 'error'),
+            issues: located
+        };
+    }
+
+    function checkRuleSet(ruleSet, path, report, options = {}) {
+        if (!ruleSet || typeof ruleSet !== 'object' || !Array.isArray(ruleSet.rules)) {
+            return;
+        }
+
+        if (ruleSet.timezone !== undefined) {
+            checkTimezone(ruleSet.timezone, path.concat('timezone'), report);
+        }
+
+        // Filled by checkNode with the lists and fields the conditions use
+        const usage = {
+            lists: checkReferenceLists(ruleSet.reference_lists, path.concat('reference_lists'), report),
+            usedLists: new Set(),
+            usedFields: new Set()
+        };
+        const derivedFields = checkDerivedFields(ruleSet.derived_fields, path.concat('derived_fields'), report, usage);
+
+        // An empty catalog has not been set up yet, so nothing is reported
+        const catalog = options.fieldCatalog;
+        usage.isUnknownField = field => Boolean(catalog) && Object.keys(catalog.fields).length > 0
+            && field !== RuleEvaluator.NOW_FIELD && !derivedFields.has(field) && !FieldCatalog.isKnownField(catalog, field);
+
+        const seenIds = new Map();
+        const priorities = new Map();
+
+        ruleSet.rules.forEach((rule, index) => {
+            const rulePath = path.concat('rules', index);
+            if (!rule || typeof rule !== 'object') {
+                return;
+            }
+
+            if (rule.id) {
+                if (seenIds.has(rule.id)) {
+                    report('error', rulePath.concat('id'), `Duplicate rule id "${rule.id}" (also used by rule ${seenIds.get(rule.id) + 1})`);
+                } else {
+                    seenIds.set(rule.id, index);
+                }
+            }
+
+            if (Number.isInteger(rule.priority)) {
+                priorities.set(rule.priority, (priorities.get(rule.priority) || []).concat(index));
+            }
+
+            if (!rule.result || !rule.result.unit_id) {
+                report('error', rulePath.concat('result', 'unit_id'), 'Rule has no target unit id');
+            } else {
+                checkResult(rule.result, rulePath.concat('result'), report, usage);
+            }
+
+            if (!rule.conditions || Object.keys(rule.conditions).length === 0) {
+                report('error', rulePath.concat('conditions'), 'Rule has no complete conditions and is omitted from the export');
+            } else {
+                checkNode(rule.conditions, rulePath.concat('conditions'), report, usage);
+            }
+        });
+
+        Object.keys(usage.lists).forEach(name => {
+            if (!usage.usedLists.has(name)) {
+                report('warning', path.concat('reference_lists', name), `Reference list "${name}" is not used by any rule`);
+            }
+        });
+        derivedFields.forEach((index, name) => {
+            if (!usage.usedFields.has(name)) {
+                report('warning', path.concat('derived_fields', index, 'name'), `Derived field "${name}" is not used by any rule or derived field`);
+            }
+        });
+
+        priorities.forEach((indexes, priority) => {
+            if (indexes.length > 1) {
+                indexes.forEach(index => {
+                    report('warning', path.concat('rules', index, 'priority'),
+                        `Priority ${priority} is shared by ${indexes.length} rules; their order depends on position`);
+                });
+            }
+        });
+    }
+
+    // Returns the well-formed lists by name
+    function checkReferenceLists(referenceLists, path, report) {
+        const lists = Object.create(null);
+        if (!referenceLists || typeof referenceLists !== 'object' || Array.isArray(referenceLists)) {
+            return lists;
+        }
+
+        Object.keys(referenceLists).forEach(name => {
+            const values = referenceLists[name];
+            if (!RuleEvaluator.NAME_PATTERN.test(name)) {
+                report('error', path.concat(name), `Reference list name "${name}" may only contain letters, digits, "_" and "-", and must start with a letter or "_"`);
+            }
+            if (!Array.isArray(values)) {
+                return;
+            }
+            lists[name] = values;
+            if (values.length === 0) {
+                report('error', path.concat(name), `Reference list "${name}" is empty`);
+            } else if (values.some(value => String(value).trim() === '')) {
+                report('error', path.concat(name), `Reference list "${name}" contains empty entries`);
+            }
+        });
+        return lists;
+    }
+
+    // Returns a Map of derived field names to their index; fields used as a
+    // source are recorded in usage.usedFields
+    function checkDerivedFields(definitions, path, report, usage) {
+        const names = new Map();
+        if (!Array.isArray(definitions)) {
+            return names;
+        }
+
+        definitions.forEach((definition, index) => {
+            const fieldPath = path.concat(index);
+            if (!definition || typeof definition !== 'object') {
+                return;
+            }
+
+            if (typeof definition.name === 'string' && definition.name) {
+                if (!RuleEvaluator.NAME_PATTERN.test(definition.name)) {
+                    report('error', fieldPath.concat('name'), `Derived field name "${definition.name}" may only contain letters, digits, "_" and "-", and must start with a letter or "_"`);
+                } else if (names.has(definition.name)) {
+                    report('error', fieldPath.concat('name'), `Duplicate derived field "${definition.name}" (also defined as derived field ${names.get(definition.name) + 1})`);
+                } else {
+                    names.set(definition.name, index);
+                }
+            }
+
+            if (typeof definition.source === 'string') {
+                usage.usedFields.add(definition.source);
+                const later = definitions.findIndex((other, otherIndex) => otherIndex >= index && other && other.name === definition.source);
+                if (later !== -1) {
+                    report('warning', fieldPath.concat('source'),
+                        `Source "${definition.source}" is derived at or after this field, so the metadata value is used - move this field below it`);
+                }
+            }
+
+            (Array.isArray(definition.transforms) ? definition.transforms : []).forEach((transform, transformIndex) => {
+                DerivedFields.checkTransform(transform).forEach(message => {
+                    report('error', fieldPath.concat('transforms', transformIndex), message);
+                });
+            });
+        });
+        return names;
+    }
+
+    function checkNode(node, path, report, usage) {
+        if (!node || typeof node !== 'object') {
+            return;
+        }
+
+        if (RuleEvaluator.isGroup(node)) {
+            if (node.clauses.length === 0) {
+                report('error', path, 'Condition group is empty');
+            }
+            node.clauses.forEach((clause, index) => checkNode(clause, path.concat('clauses', index), report, usage));
+            return;
+        }
+
+        if (!node.field) {
+            report('error', path, 'No field selected - condition is left out of the export');
+            return;
+        }
+        usage.usedFields.add(node.field);
+        if (usage.isUnknownField(node.field)) {
+            report('warning', path.concat('field'), `Field "${node.field}" is not in the field catalog`);
+        }
+
+        if (node.timezone !== undefined) {
+            checkTimezone(node.timezone, path.concat('timezone'), report);
+        }
+
+        const spec = RuleEvaluator.OPERATORS[node.operator];
+        if (!spec) {
+            return;
+        }
+
+        // Referenced lists are checked like inline values, reported on the list_ref
+        let valuesPath = path.concat('values');
+        if (node.list_ref !== undefined) {
+            valuesPath = path.concat('list_ref');
+            usage.usedLists.add(node.list_ref);
+            if (spec.operand !== 'values') {
+                report('error', valuesPath, `${node.operator} does not take a list, so it cannot use reference list "@${node.list_ref}"`);
+                return;
+            }
+            if (node.values !== undefined) {
+                report('error', valuesPath, 'Condition has both values and list_ref - use one of them');
+                return;
+            }
+            if (!Object.prototype.hasOwnProperty.call(usage.lists, node.list_ref)) {
+                report('error', valuesPath, `Reference list "@${node.list_ref}" is not defined`);
+                return;
+            }
+            // Problems inside the list itself are reported once, on the list
+            node = RuleEvaluator.resolveListRef(node, usage.lists);
+            if (node.values.length === 0 || node.values.some(value => String(value).trim() === '')) {
+                return;
+            }
+        }
+
+        if (spec.operand === 'value') {
+            if (node.value === undefined || node.value === null || String(node.value).trim() === '') {
+                report('error', path.concat('value'), `Missing value for ${node.operator}`);
+            } else if (NUMERIC_OPERATORS.includes(node.operator) && Number.isNaN(RuleEvaluator.parseNumber(node.value))) {
+                report('error', path.concat('value'), `${node.operator} needs a numeric value, got "${node.value}"`);
+            } else if (DATETIME_OPERATORS.includes(node.operator) && Number.isNaN(RuleEvaluator.parseDatetime(node.value))) {
+                report('error', path.concat('value'), `${node.operator} needs an ISO 8601 date or datetime, got "${node.value}"`);
+            } else if (node.operator === 'REGEX_MATCH') {
+                try {
+                    new RegExp(node.value);
+                } catch (error) {
+                    report('error', path.concat('value'), error.message);
+                }
+            }
+        } else if (spec.operand === 'values') {
+            if (!Array.isArray(node.values) || node.values.length === 0) {
+                report('error', valuesPath, `Missing list values for ${node.operator}`);
+            } else if (node.values.some(value => String(value).trim() === '')) {
+                report('error', valuesPath, 'List contains empty entries');
+            } else if (node.operator === 'BETWEEN') {
+                checkRange(node, valuesPath, report);
+            } else if (node.operator === 'TIME_BETWEEN') {
+                checkTimeWindow(node, valuesPath, report);
+            } else if (node.operator === 'DAY_OF_WEEK_IN') {
+                const unknown = node.values.filter(day => !RuleEvaluator.DAYS_OF_WEEK.includes(String(day).trim().toUpperCase()));
+                if (unknown.length > 0) {
+                    report('error', valuesPath, `DAY_OF_WEEK_IN takes MON, TUE, WED, THU, FRI, SAT, SUN, got "${unknown.join(', ')}"`);
+                }
+            } else if (node.operator === 'DATE_RANGE') {
+                checkDateRange(node, valuesPath, report);
+            }
+        }
+    }
+
+    // Template syntax in the unit id and attributes; fields used by
+    // placeholders are recorded in usage.usedFields
+    function checkResult(result, path, report, usage) {
+        const fields = checkTemplate(result.unit_id, path.concat('unit_id'), report, usage);
+
+        const attributes = result.attributes && typeof result.attributes === 'object' ? result.attributes : {};
+        Object.keys(attributes).forEach(name => {
+            const value = attributes[name];
+            const templates = Array.isArray(value) ? value : [value];
+            templates.forEach((template, index) => {
+                const templatePath = path.concat('attributes', name).concat(Array.isArray(value) ? [index] : []);
+                fields.push(...checkTemplate(template, templatePath, report, usage));
+            });
+        });
+
+        if (result.fallback_unit_id !== undefined) {
+            if (RuleEvaluator.templateFields(result.fallback_unit_id).length > 0) {
+                report('error', path.concat('fallback_unit_id'), 'Fallback unit id cannot contain {field} placeholders');
+            } else if (RuleEvaluator.templateFields(result.unit_id).length === 0) {
+                report('warning', path.concat('fallback_unit_id'), 'Fallback unit id is never used - the unit id has no {field} placeholders');
+            }
+        }
+
+        const valueMaps = result.value_maps && typeof result.value_maps === 'object' ? result.value_maps : {};
+        Object.keys(valueMaps).forEach(field => {
+            if (!fields.includes(field)) {
+                report('warning', path.concat('value_maps', field), `Value map for "${field}" is not used - no {${field}} placeholder in this result`);
+            }
+        });
+    }
+
+    // Returns the fields a template's placeholders use
+    function checkTemplate(template, path, report, usage) {
+        if (typeof template !== 'string') {
+            return [];
+        }
+        if (/[{}]/.test(template.replace(/\{[^{}]*\}/g, ''))) {
+            report('error', path, `Unbalanced braces in "${template}" - placeholders are written {field}`);
+            return [];
+        }
+        const fields = RuleEvaluator.templateFields(template);
+        if (fields.includes('')) {
+            report('error', path, `Empty placeholder in "${template}" - name a field, e.g. {team}`);
+        }
+        fields.forEach(field => usage.usedFields.add(field));
+        return fields.filter(Boolean);
+    }
+
+    function checkTimezone(timezone, path, report) {
+        if (typeof timezone !== 'string' || !RuleEvaluator.isValidTimezone(timezone)) {
+            report('error', path, `Unknown time zone "${timezone}" - use an IANA name such as "America/New_York"`);
+        }
+    }
+
+    function checkTimeWindow(node, valuesPath, report) {
+        const times = node.values.map(RuleEvaluator.parseTimeOfDay);
+        if (times.length !== 2) {
+            report('error', valuesPath, `TIME_BETWEEN needs exactly two times (start, end), got ${times.length}`);
+        } else if (times.some(Number.isNaN)) {
+            report('error', valuesPath, `TIME_BETWEEN needs HH:MM times, got "${node.values.join(', ')}"`);
+        } else if (times[0] === times[1]) {
+            report('error', valuesPath, 'TIME_BETWEEN start and end are equal, so the window is empty');
+        }
+    }
+
+    function checkDateRange(node, valuesPath, report) {
+        const dates = node.values.map(value => String(value).trim());
+        if (dates.length !== 2) {
+            report('error', valuesPath, `DATE_RANGE needs exactly two dates (first, last), got ${dates.length}`);
+        } else if (dates.some(date => !/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date)))) {
+            report('error', valuesPath, `DATE_RANGE needs YYYY-MM-DD dates, got "${node.values.join(', ')}"`);
+        } else if (dates[0] > dates[1]) {
+            report('error', valuesPath, `DATE_RANGE starts on ${dates[0]}, after its last day ${dates[1]}`);
+        }
+    }
+
+    function checkRange(node, valuesPath, report) {
+        const bounds = node.values.map(RuleEvaluator.parseNumber);
+        if (bounds.length !== 2) {
+            report('error', valuesPath, `BETWEEN needs exactly two values (min, max), got ${bounds.length}`);
+        } else if (bounds.some(Number.isNaN)) {
+            report('error', valuesPath, `BETWEEN needs numeric bounds, got "${node.values.join(', ')}"`);
+        } else if (bounds[0] > bounds[1]) {
+            report('error', valuesPath, `BETWEEN minimum ${bounds[0]} is greater than maximum ${bounds[1]}`);
+        }
+    }
+
+    // Finds the rule and the rule/clause object an issue path points into
+    function locate(document, path) {
+        const location = {};
+        let current = document;
+
+        for (let i = 0; i < path.length && current !== null && current !== undefined; i++) {
+            current = current[path[i]];
+
+            if (path[i - 1] === 'rules' && path[i - 2] === 'unit_mapping_rules') {
+                location.ruleIndex = path[i];
+                location.rule = current;
+                location.ruleId = current && current.id;
+                location.node = current;
+            } else if (location.rule && current && typeof current === 'object' && !Array.isArray(current)
+                && (current.field !== undefined || current.clauses !== undefined)) {
+                location.node = current;
+            }
+        }
+
+        return location;
+    }
+
+    function isPrefix(prefix, path) {
+        return prefix.length <= path.length && prefix.every((key, index) => path[index] === key);
+    }
+
+    function describeKey(path) {
+        const key = path.filter(segment => typeof segment === 'string').pop();
+        return key ? `"${key}"` : 'Document';
+    }
+
+    function formatPath(path) {
+        return path.reduce((text, segment) => {
+            return typeof segment === 'number' ? `${text}[${segment}]` : (text ? `${text}.${segment}` : segment);
+        }, '');
+    }
+
+    return {
+        validateConfiguration,
+        formatPath
+    };
+}));
@@ -2,25 +2,93 @@ class RuleEngine {
     constructor() {
         this.rules = [];
         this.defaultUnitId = 'nra-default-unit';
+        this.discoveredFields = [];
+        // Discovered plus derived fields, as offered in the field dropdowns
+        this.fieldOptions = [];
+        // Metadata the derived field previews are based on
+        this.sampleMetadata = {};
+        // The organization's fields merged from many samples, persisted with its drafts
+        this.fieldCatalog = FieldCatalog.createCatalog();
+        // Templates the organization saved, offered after the built-in ones
+        this.userTemplates = [];
+        // Parameter values for the selected template, as {name: value}
+        this.templateValues = {};
+        this.testSuite = TestSuite.createSuite();
+        this.replayFile = null;
+        this.replayRecords = [];
+        // The last RuleSuggester result, loaded into the builder on request
+        this.suggestion = null;
+        this.deploymentTimer = null;
         this.version = '1.0';
+        // IANA time zone for time-window conditions; empty means UTC
+        this.timezone = '';
+        // Named lists as [{name, value}], value being comma-separated text like condition values
+        this.referenceLists = [];
+        // Derived field definitions in their emitted {name, source, transforms} shape
+        this.derivedFields = [];
+        this.derivedFieldElements = new WeakMap();
         this.ruleCounter = 0;
+        this.organizationId = document.getElementById('organization-id').value.trim();
+        this.storage = this.getStorage();
+        // Organizations inheriting the shared base, and the base rule set the
+        // current organization is merged into (null when it does not inherit)
+        this.workspace = this.storage ? DraftStore.loadWorkspace(this.storage) : { inherits_base: [] };
+        this.baseConfig = null;
+        this.workspaceCells = null;
+        // Output format (json or yaml), and whether the output is the rules
+        // merged into the profile pasted in #profile-document
+        this.outputFormat = 'json';
+        this.fullProfile = false;
+        // Drafts are only written once the stored draft (if any) has been loaded
+        this.persistDrafts = false;
+        
+        // Maps each rule or condition group to its .conditions-list element
+        this.conditionLists = new WeakMap();
+        // Maps each condition or group to its .condition-item/.condition-group element
+        this.conditionElements = new WeakMap();
         
         this.init();
     }
 
     init() {
         this.setupEventListeners();
+        this.populateTimezoneOptions();
         this.updateJsonOutput();
+        this.loadFieldCatalog();
+        this.loadUserTemplates();
+        this.loadBaseConfiguration();
         this.populateFieldsFromMetadata();
         
-        // Add initial example rule
-        this.addRule();
-        this.populateExampleRule();
+        // Seed the example rule only when the organization has no saved draft
+        const restored = this.restoreDraft();
+        this.persistDrafts = true;
+        if (!restored) {
+            this.addRule();
+            this.populateExampleRule();
+        }
+        this.renderHistory();
+        this.renderWorkspace();
+        
+        // When served by server.js the API lives on the same origin
+        if (window.location.protocol.startsWith('http')) {
+            document.getElementById('api-base-url').value = window.location.origin;
+        }
+    }
+
+    getStorage() {
+        try {
+            return window.localStorage || null;
+        } catch (e) {
+            // Storage can be blocked (e.g. privacy settings); drafts then stay in memory
+            return null;
+        }
     }
 
     setupEventListeners() {
         // Rule management
         document.getElementById('add-rule-btn').addEventListener('click', () => this.addRule());
+        document.getElementById('add-reference-list-btn').addEventListener('click', () => this.addReferenceList());
+        document.getElementById('add-derived-field-btn').addEventListener('click', () => this.addDerivedField());
         
         // Configuration updates
         document.getElementById('default-unit').addEventListener('input', (e) => {
@@ -33,9 +101,40 @@ class RuleEngine {
             this.updateJsonOutput();
         });
         
+        document.getElementById('rule-timezone').addEventListener('input', (e) => {
+            this.timezone = e.target.value.trim();
+            this.updateJsonOutput();
+        });
+        
+        // Rule templates
+        document.getElementById('template-select').addEventListener('change', () => this.renderTemplateParams());
+        document.getElementById('apply-template-btn').addEventListener('click', () => this.applyTemplate());
+        document.getElementById('delete-template-btn').addEventListener('click', () => this.deleteUserTemplate());
+        document.getElementById('save-template-btn').addEventListener('click', () => this.saveUserTemplate());
+        
+        // Rule suggestions from labelled calls
+        document.getElementById('suggest-rules-btn').addEventListener('click', () => this.suggestRules());
+        document.getElementById('suggest-load-btn').addEventListener('click', () => this.loadSuggestedRules());
+        
+        // Output format and full profile mode
+        document.getElementById('output-format').addEventListener('change', (e) => {
+            this.outputFormat = e.target.value;
+            this.renderOutput();
+        });
+        document.getElementById('full-profile-mode').addEventListener('change', (e) => {
+            this.fullProfile = e.target.checked;
+            document.getElementById('profile-options').hidden = !this.fullProfile;
+            this.renderOutput();
+        });
+        document.getElementById('profile-document').addEventListener('input', () => this.renderOutput());
+        
         // JSON actions
         document.getElementById('copy-json-btn').addEventListener('click', () => this.copyJson());
         document.getElementById('validate-json-btn').addEventListener('click', () => this.validateJson());
+        document.getElementById('analyze-rules-btn').addEventListener('click', () => this.analyzeRules());
+        document.getElementById('import-json-btn').addEventListener('click', () => {
+            this.importConfiguration(document.getElementById('import-json').value);
+        });
         
         // Testing
         document.getElementById('test-rules-btn').addEventListener('click', () => this.testRules());
@@ -44,15 +143,91 @@ class RuleEngine {
             this.populateFieldsFromMetadata(); // Refresh fields when example is loaded
         });
         
+        // Test suites
+        document.getElementById('add-test-case-btn').addEventListener('click', () => this.addTestCase());
+        document.getElementById('run-test-suite-btn').addEventListener('click', () => this.runTestSuite());
+        document.getElementById('export-test-suite-btn').addEventListener('click', () => this.exportTestSuite());
+        document.getElementById('import-test-suite-btn').addEventListener('click', () => this.importTestSuite());
+        document.getElementById('test-suite-name').addEventListener('input', (e) => {
+            this.testSuite.name = e.target.value;
+        });
+        
+        // Bulk replay
+        document.getElementById('replay-file').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadReplayFile(e.target.files[0]);
+            }
+        });
+        
+        const dropzone = document.getElementById('replay-dropzone');
+        dropzone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropzone.classList.add('dragging');
+        });
+        dropzone.addEventListener('dragleave', () => dropzone.classList.remove('dragging'));
+        dropzone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropzone.classList.remove('dragging');
+            if (e.dataTransfer.files.length > 0) {
+                this.loadReplayFile(e.dataTransfer.files[0]);
+            }
+        });
+        
+        document.getElementById('run-replay-btn').addEventListener('click', () => this.runReplay());
+        
+        // Rules server
+        document.getElementById('api-load-btn').addEventListener('click', () => this.loadFromServer());
+        document.getElementById('api-save-btn').addEventListener('click', () => this.saveToServer());
+        document.getElementById('api-test-btn').addEventListener('click', () => this.testOnServer());
+        
+        // Workspace
+        document.getElementById('workspace-open-btn').addEventListener('click', () => this.openOrganization());
+        document.getElementById('workspace-base-btn').addEventListener('click', () => {
+            this.switchOrganization(RuleInheritance.SHARED_BASE_ID);
+        });
+        
+        // Drafts and version history
+        document.getElementById('organization-id').addEventListener('change', (e) => {
+            this.switchOrganization(e.target.value.trim());
+        });
+        document.getElementById('save-snapshot-btn').addEventListener('click', () => this.saveSnapshot());
+        
+        // Version compare
+        document.getElementById('compare-use-builder-btn').addEventListener('click', () => {
+            document.getElementById('compare-candidate').value = JSON.stringify(this.effectiveConfiguration(), null, 2);
+        });
+        document.getElementById('compare-btn').addEventListener('click', () => this.compareVersions());
+        
+        // Python export
+        document.getElementById('python-module-btn').addEventListener('click', () => this.generatePythonModule());
+        document.getElementById('python-vectors-btn').addEventListener('click', () => this.generateConformanceVectors());
+        document.getElementById('python-copy-btn').addEventListener('click', () => {
+            const output = document.getElementById('python-export-output');
+            output.select();
+            document.execCommand('copy');
+            this.showMessage('python-export-output', 'Copied to clipboard!', 'success', 2000);
+        });
+        
         // Dynamic field discovery
         document.getElementById('test-metadata').addEventListener('input', () => {
             this.populateFieldsFromMetadata();
         });
         
-        // AppConfig (disabled)
-        document.getElementById('update-appconfig-btn').addEventListener('click', () => {
-            this.showMessage('deployment-status', 'AppConfig update is disabled in demo mode', 'info');
+        // Field catalog
+        document.getElementById('catalog-add-sample-btn').addEventListener('click', () => this.addSampleToCatalog());
+        document.getElementById('catalog-add-replay-btn').addEventListener('click', () => {
+            if (this.replayRecords.length === 0) {
+                this.showReport('catalog-status', 'Load a replay file in the sandbox first', [], 'error');
+                return;
+            }
+            this.addCatalogSamples(this.replayRecords, `${this.replayRecords.length} replay record(s)`);
         });
+        document.getElementById('catalog-add-field-btn').addEventListener('click', () => this.addCatalogField());
+        document.getElementById('catalog-clear-btn').addEventListener('click', () => this.clearFieldCatalog());
+        
+        // AppConfig deployment (through the rules server)
+        document.getElementById('update-appconfig-btn').addEventListener('click', () => this.deployToAppConfig());
+        document.getElementById('rollback-appconfig-btn').addEventListener('click', () => this.rollbackAppConfig());
     }
 
     populateFieldsFromMetadata() {
@@ -68,79 +243,246 @@ class RuleEngine {
             }
 
             const metadata = JSON.parse(metadataText);
-            const fields = this.discoverFields(metadata);
+            this.sampleMetadata = metadata;
+            this.discoveredFields = MetadataFields.discoverFields(metadata);
             
             // Update all condition field dropdowns
-            this.updateFieldDropdowns(fields);
+            this.refreshFieldOptions();
             
         } catch (error) {
             console.warn('Could not parse metadata for field discovery:', error);
         }
     }
 
-    discoverFields(metadata, prefix = '') {
-        const fields = [];
+    // Offers the catalog's fields, then fields only the current sample has,
+    // then the derived fields typed by their sample value
+    refreshFieldOptions() {
+        const { values } = DerivedFields.computeDerivedFields(this.derivedFields, this.sampleMetadata);
+        const derived = values.map(entry => ({
+            path: entry.name,
+            name: `${entry.name} (derived)`,
+            type: MetadataFields.getFieldType(entry.value),
+            example: MetadataFields.getFieldExample(entry.value)
+        }));
         
-        for (const [key, value] of Object.entries(metadata)) {
-            const fieldPath = prefix ? `${prefix}.${key}` : key;
-            const fieldType = this.getFieldType(value);
-            
-            fields.push({
-                path: fieldPath,
-                name: this.formatFieldName(fieldPath),
-                type: fieldType,
-                example: this.getFieldExample(value)
-            });
-            
-            // For nested objects, recurse (but limit depth to avoid infinite recursion)
-            if (fieldType === 'object' && prefix.split('.').length < 3) {
-                fields.push(...this.discoverFields(value, fieldPath));
+        const catalogFields = FieldCatalog.toFieldOptions(this.fieldCatalog);
+        const sampleFields = this.discoveredFields
+            .filter(field => !Object.prototype.hasOwnProperty.call(this.fieldCatalog.fields, field.path))
+            .map(field => catalogFields.length > 0 ? Object.assign({}, field, { name: `${field.name} (not in catalog)` }) : field);
+        
+        this.fieldOptions = catalogFields.concat(sampleFields)
+            .filter(field => !derived.some(derivedField => derivedField.path === field.path))
+            .concat(derived);
+        this.updateValueOptions();
+        this.updateFieldDropdowns(this.fieldOptions);
+        
+        const sources = document.getElementById('source-field-options');
+        sources.innerHTML = '';
+        this.fieldOptions.forEach(field => {
+            const option = document.createElement('option');
+            option.value = field.path;
+            sources.appendChild(option);
+        });
+        
+        this.derivedFields.forEach(definition => {
+            const preview = this.derivedFieldElements.get(definition).querySelector('.derived-field-preview');
+            const entry = values.find(candidate => candidate.name === definition.name);
+            preview.classList.toggle('preview-error', Boolean(entry && entry.error));
+            if (!entry) {
+                preview.textContent = '';
+            } else if (entry.error) {
+                preview.textContent = `Error: ${entry.error}`;
+            } else {
+                preview.textContent = `Sample value: ${JSON.stringify(entry.value)}`;
+            }
+        });
+    }
+
+    loadFieldCatalog() {
+        const stored = this.storage && this.organizationId ? DraftStore.loadFieldCatalog(this.storage, this.organizationId) : null;
+        this.fieldCatalog = FieldCatalog.normalizeCatalog(stored);
+        this.renderFieldCatalog();
+    }
+
+    // Stores the catalog and refreshes everything built from it
+    saveFieldCatalog() {
+        if (this.storage && this.organizationId) {
+            try {
+                DraftStore.saveFieldCatalog(this.storage, this.organizationId, this.fieldCatalog);
+            } catch (error) {
+                this.showReport('catalog-status', error.message, [], 'error');
             }
         }
-        
-        return fields.sort((a, b) => a.name.localeCompare(b.name));
+        this.renderFieldCatalog();
+        this.refreshFieldOptions();
+    }
+
+    // Adds the sandbox metadata, or the example when the sandbox is empty
+    addSampleToCatalog() {
+        const text = document.getElementById('test-metadata').value.trim() || document.getElementById('example-metadata').value.trim();
+        let metadata;
+        try {
+            metadata = JSON.parse(text);
+        } catch (e) {
+            this.showReport('catalog-status', 'The sandbox metadata is not valid JSON', [], 'error');
+            return;
+        }
+        this.addCatalogSamples([metadata], 'sample');
     }
 
-    getFieldType(value) {
-        if (value === null || value === undefined) return 'unknown';
-        if (Array.isArray(value)) return 'array';
-        if (typeof value === 'object') return 'object';
-        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
-        if (typeof value === 'boolean') return 'boolean';
-        if (typeof value === 'string') {
-            // Try to detect special string types
-            if (value.match(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/)) return 'datetime';
-            if (value.match(/^\d+$/)) return 'numeric-string';
-            return 'string';
+    addCatalogSamples(samples, label) {
+        const before = Object.keys(this.fieldCatalog.fields);
+        try {
+            this.fieldCatalog = FieldCatalog.mergeSamples(this.fieldCatalog, samples);
+        } catch (error) {
+            this.showReport('catalog-status', error.message, [], 'error');
+            return;
         }
-        return 'unknown';
+        const added = Object.keys(this.fieldCatalog.fields).filter(path => !before.includes(path));
+        this.showReport('catalog-status', `Added ${label} to the catalog - ${added.length} new field(s), ${this.fieldCatalog.samples} sample(s) in total`,
+            added.length > 0 ? [added.join(', ')] : [], 'success');
+        this.saveFieldCatalog();
     }
 
-    formatFieldName(fieldPath) {
-        // For nested paths, just use the last part to keep it concise
-        const parts = fieldPath.split('.');
-        const lastPart = parts[parts.length - 1];
-        
-        // Convert camelCase to readable format
-        const readable = lastPart.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
-        
-        // If nested, show parent context briefly
-        if (parts.length > 1) {
-            const parent = parts[parts.length - 2];
-            return `${readable} (${parent})`;
+    addCatalogField() {
+        const input = document.getElementById('catalog-field-path');
+        const path = input.value.trim();
+        if (!path) {
+            return;
+        }
+        if (Object.prototype.hasOwnProperty.call(this.fieldCatalog.fields, path)) {
+            this.showReport('catalog-status', `"${path}" is already in the catalog`, [], 'error');
+            return;
         }
+        this.fieldCatalog.fields[path] = { type: 'string', required: false, seen: 0, examples: [], values: [], edited: true };
+        input.value = '';
+        this.showReport('catalog-status', `Added "${path}" to the catalog`, [], 'success');
+        this.saveFieldCatalog();
+    }
+
+    clearFieldCatalog() {
+        this.fieldCatalog = FieldCatalog.createCatalog();
+        this.showReport('catalog-status', 'Catalog cleared', [], 'success');
+        this.saveFieldCatalog();
+    }
+
+    // Editable table of the catalog: type and required status are kept when
+    // more samples are merged once they have been changed here
+    renderFieldCatalog() {
+        const container = document.getElementById('field-catalog');
+        container.innerHTML = '';
+        const paths = Object.keys(this.fieldCatalog.fields).sort();
+        if (paths.length === 0) {
+            return;
+        }
+        
+        const table = this.createReportTable(['Field', 'Type', 'Required', 'Seen', 'Observed Values', '']);
+        paths.forEach(path => {
+            const field = this.fieldCatalog.fields[path];
+            const row = document.createElement('tr');
+            const pathCell = this.appendCell(row, path);
+            pathCell.title = `Examples: ${field.examples.join(', ') || '(none)'}`;
+            
+            const typeSelect = document.createElement('select');
+            FieldCatalog.FIELD_TYPES.forEach(type => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = type;
+                typeSelect.appendChild(option);
+            });
+            typeSelect.value = field.type;
+            typeSelect.addEventListener('change', () => {
+                field.type = typeSelect.value;
+                field.edited = true;
+                this.saveFieldCatalog();
+            });
+            this.appendCell(row, '').appendChild(typeSelect);
+            
+            const required = document.createElement('input');
+            required.type = 'checkbox';
+            required.checked = field.required;
+            required.title = 'Present in every call';
+            required.addEventListener('change', () => {
+                field.required = required.checked;
+                field.edited = true;
+                this.saveFieldCatalog();
+            });
+            this.appendCell(row, '').appendChild(required);
+            
+            this.appendCell(row, `${field.seen} of ${this.fieldCatalog.samples}`);
+            
+            const values = document.createElement('input');
+            values.type = 'text';
+            values.value = field.values.join(', ');
+            values.placeholder = 'Values offered in the condition editor';
+            values.title = field.truncated ? `Only the first ${FieldCatalog.MAX_VALUES} values are kept` : '';
+            values.addEventListener('change', () => {
+                field.values = values.value.split(',').map(value => value.trim()).filter(Boolean);
+                this.saveFieldCatalog();
+            });
+            this.appendCell(row, '').appendChild(values);
+            
+            const remove = document.createElement('button');
+            remove.className = 'btn btn-small btn-danger';
+            remove.textContent = '×';
+            remove.title = 'Remove from the catalog';
+            remove.addEventListener('click', () => {
+                delete this.fieldCatalog.fields[path];
+                this.saveFieldCatalog();
+            });
+            this.appendCell(row, '').appendChild(remove);
+            
+            table.tBodies[0].appendChild(row);
+        });
+        container.appendChild(table);
+    }
+
+    // One datalist of observed values per catalog field; the list operators'
+    // variant also offers the reference lists
+    updateValueOptions() {
+        const container = document.getElementById('field-value-options');
+        container.innerHTML = '';
+        const listNames = this.referenceLists.filter(list => list.name).map(list => `@${list.name}`);
         
-        return readable;
+        Object.keys(this.fieldCatalog.fields).forEach((path, index) => {
+            const values = this.fieldCatalog.fields[path].values;
+            [['value', values], ['values', listNames.concat(values)]].forEach(([operand, options]) => {
+                const datalist = document.createElement('datalist');
+                datalist.id = `field-${operand}-options-${index}`;
+                datalist.dataset.field = path;
+                options.forEach(value => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    datalist.appendChild(option);
+                });
+                container.appendChild(datalist);
+            });
+        });
     }
 
-    getFieldExample(value) {
-        if (Array.isArray(value)) {
-            return value.length > 0 ? `[${value[0]}${value.length > 1 ? ', ...' : ''}]` : '[]';
+    // Id of the value datalist for a condition's field and operand, if the catalog has one
+    valueOptionsId(fieldPath, operand) {
+        const paths = Object.keys(this.fieldCatalog.fields);
+        let index = paths.indexOf(fieldPath);
+        if (index === -1) {
+            index = paths.indexOf(fieldPath.replace(/\[\d+\]/g, '[*]'));
         }
-        if (typeof value === 'object' && value !== null) {
-            return '{...}';
+        if (index === -1) {
+            return operand === 'values' ? 'reference-list-options' : null;
         }
-        return String(value);
+        return `field-${operand}-options-${index}`;
+    }
+
+    // Conditions on fields outside a non-empty catalog get an inline warning
+    updateFieldWarning(conditionItem) {
+        const fieldPath = conditionItem.querySelector('.condition-field').value;
+        const warning = conditionItem.querySelector('.condition-field-warning');
+        const unknown = Boolean(fieldPath) && fieldPath !== RuleEvaluator.NOW_FIELD
+            && Object.keys(this.fieldCatalog.fields).length > 0
+            && !this.derivedFields.some(definition => definition.name === fieldPath)
+            && !FieldCatalog.isKnownField(this.fieldCatalog, fieldPath);
+        warning.hidden = !unknown;
+        warning.textContent = unknown ? `"${fieldPath}" is not in the field catalog - add a sample that has it, or add the field to the catalog` : '';
     }
 
     updateFieldDropdowns(fields) {
@@ -150,8 +492,8 @@ class RuleEngine {
         dropdowns.forEach(dropdown => {
             const currentValue = dropdown.value;
             
-            // Clear existing options except the first one
-            dropdown.innerHTML = '<option value="">Select field...</option>';
+            // Clear existing options except the built-in ones
+            this.resetFieldOptions(dropdown);
             
             // Add discovered fields
             fields.forEach(field => {
@@ -162,14 +504,133 @@ class RuleEngine {
                 dropdown.appendChild(option);
             });
             
-            // Restore previous selection if it still exists
-            if (currentValue && fields.find(f => f.path === currentValue)) {
+            // Restore previous selection, even if the field is missing from this sample
+            if (currentValue) {
+                this.ensureFieldOption(dropdown, currentValue);
                 dropdown.value = currentValue;
             }
         });
 
         // Update the template as well for future conditions
         this.updateConditionTemplate(fields);
+        
+        // Field types may have changed, so re-filter the operators
+        document.querySelectorAll('#rules-list .condition-item').forEach(item => this.updateOperatorOptions(item));
+    }
+
+    resetFieldOptions(dropdown) {
+        dropdown.innerHTML = '<option value="">Select field...</option>';
+        
+        const option = document.createElement('option');
+        option.value = RuleEvaluator.NOW_FIELD;
+        option.textContent = `Evaluation Time (${RuleEvaluator.NOW_FIELD})`;
+        option.title = 'The time the rules are evaluated';
+        dropdown.appendChild(option);
+    }
+
+    populateTimezoneOptions() {
+        // Older browsers have no list of time zones; any IANA name can still be typed
+        if (typeof Intl.supportedValuesOf !== 'function') {
+            return;
+        }
+        const datalist = document.getElementById('timezone-options');
+        Intl.supportedValuesOf('timeZone').forEach(timezone => {
+            const option = document.createElement('option');
+            option.value = timezone;
+            datalist.appendChild(option);
+        });
+    }
+
+    updateOperatorOptions(conditionItem) {
+        const fieldPath = conditionItem.querySelector('.condition-field').value;
+        const operatorSelect = conditionItem.querySelector('.condition-operator-type');
+        const currentOperator = operatorSelect.value;
+        
+        // Offer the operators that make sense for the field's type; unknown fields get all of them
+        const field = this.fieldOptions.find(option => option.path === fieldPath);
+        const fieldType = fieldPath === RuleEvaluator.NOW_FIELD ? 'datetime' : (field ? field.type : 'unknown');
+        const operators = RuleEvaluator.operatorsForFieldType(fieldType);
+        if (currentOperator && !operators.includes(currentOperator)) {
+            // Never silently change an operator that is already selected
+            operators.push(currentOperator);
+        }
+        
+        operatorSelect.innerHTML = '';
+        operators.forEach(operator => {
+            const option = document.createElement('option');
+            option.value = operator;
+            option.textContent = RuleEvaluator.OPERATORS[operator].label;
+            operatorSelect.appendChild(option);
+        });
+        operatorSelect.value = currentOperator;
+        
+        this.updateValueInput(conditionItem);
+        this.updateFieldWarning(conditionItem);
+    }
+
+    updateValueInput(conditionItem) {
+        const operator = conditionItem.querySelector('.condition-operator-type').value;
+        const valueInput = conditionItem.querySelector('.condition-value');
+        const operand = RuleEvaluator.OPERATORS[operator] ? RuleEvaluator.OPERATORS[operator].operand : 'value';
+        
+        // Time-window operators are edited with time, day and date pickers instead
+        const timeWindow = RuleEvaluator.TIME_WINDOW_OPERATORS.includes(operator);
+        valueInput.hidden = timeWindow;
+        conditionItem.querySelector('.time-window').hidden = !timeWindow;
+        conditionItem.querySelectorAll('.time-editor').forEach(editor => {
+            editor.hidden = editor.dataset.operator !== operator;
+        });
+        if (timeWindow) {
+            this.fillTimeEditor(conditionItem, operator, valueInput.value);
+        }
+        
+        valueInput.disabled = operand === 'none';
+        const valueOptions = operand === 'none' ? null : this.valueOptionsId(conditionItem.querySelector('.condition-field').value, operand);
+        if (valueOptions) {
+            valueInput.setAttribute('list', valueOptions);
+        } else {
+            valueInput.removeAttribute('list');
+        }
+        if (operand === 'none') {
+            valueInput.placeholder = 'No value needed';
+        } else if (operator === 'BETWEEN') {
+            valueInput.placeholder = 'Minimum, maximum (inclusive)';
+        } else if (operator === 'BEFORE' || operator === 'AFTER') {
+            valueInput.placeholder = 'ISO date or datetime, e.g. 2024-05-01T09:00:00Z';
+        } else if (operand === 'values') {
+            valueInput.placeholder = 'Values, separated by commas, or @list_name';
+        } else {
+            valueInput.placeholder = 'Value (use comma for lists)';
+        }
+    }
+
+    // Shows a condition's comma-separated value in the editor for its operator
+    fillTimeEditor(conditionItem, operator, valueText) {
+        const values = valueText.split(',').map(value => value.trim());
+        if (operator === 'TIME_BETWEEN') {
+            conditionItem.querySelector('.time-start').value = values[0] || '';
+            conditionItem.querySelector('.time-end').value = values[1] || '';
+        } else if (operator === 'DATE_RANGE') {
+            conditionItem.querySelector('.date-start').value = values[0] || '';
+            conditionItem.querySelector('.date-end').value = values[1] || '';
+        } else if (operator === 'DAY_OF_WEEK_IN') {
+            conditionItem.querySelectorAll('.day-option').forEach(checkbox => {
+                checkbox.checked = values.map(value => value.toUpperCase()).includes(checkbox.value);
+            });
+        }
+    }
+
+    readTimeEditor(conditionItem, operator) {
+        if (operator === 'TIME_BETWEEN') {
+            return [conditionItem.querySelector('.time-start').value, conditionItem.querySelector('.time-end').value].join(', ');
+        }
+        if (operator === 'DATE_RANGE') {
+            return [conditionItem.querySelector('.date-start').value, conditionItem.querySelector('.date-end').value].join(', ');
+        }
+        return Array.from(conditionItem.querySelectorAll('.day-option'))
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => checkbox.value)
+            .join(', ');
     }
 
     updateConditionTemplate(fields) {
@@ -177,7 +638,7 @@ class RuleEngine {
         const templateDropdown = template.content.querySelector('.condition-field');
         
         if (templateDropdown) {
-            templateDropdown.innerHTML = '<option value="">Select field...</option>';
+            this.resetFieldOptions(templateDropdown);
             
             fields.forEach(field => {
                 const option = document.createElement('option');
@@ -189,451 +650,2513 @@ class RuleEngine {
         }
     }
 
-    addRule() {
-        this.ruleCounter++;
-        const ruleId = `rule-${this.ruleCounter}`;
-        
-        const template = document.getElementById('rule-template');
-        const ruleElement = template.content.cloneNode(true);
+    addReferenceList(listData = {}) {
+        const template = document.getElementById('reference-list-template');
+        const listElement = template.content.cloneNode(true);
+        const listItem = listElement.querySelector('.reference-list-item');
         
-        // Set rule ID and number
-        ruleElement.querySelector('.rule-item').setAttribute('data-rule-id', ruleId);
-        ruleElement.querySelector('.rule-number').textContent = this.ruleCounter;
+        const list = {
+            name: listData.name || '',
+            value: listData.value || ''
+        };
+        this.referenceLists.push(list);
         
-        // Setup event listeners for this rule
-        this.setupRuleEventListeners(ruleElement, ruleId);
+        const nameInput = listElement.querySelector('.reference-list-name');
+        nameInput.value = list.name;
+        nameInput.addEventListener('input', (e) => {
+            list.name = e.target.value.trim();
+            this.updateReferenceListOptions();
+            this.updateJsonOutput();
+        });
         
-        document.getElementById('rules-list').appendChild(ruleElement);
+        const valuesInput = listElement.querySelector('.reference-list-values');
+        valuesInput.value = list.value;
+        valuesInput.addEventListener('input', (e) => {
+            list.value = e.target.value;
+            this.updateJsonOutput();
+        });
         
-        // Add rule to internal array
-        this.rules.push({
-            id: ruleId,
-            name: `Rule ${this.ruleCounter}`,
-            priority: 100 - (this.ruleCounter - 1) * 10,
-            unitId: '',
-            conditions: [],
-            conditionOperator: 'AND'
+        listElement.querySelector('.remove-reference-list').addEventListener('click', () => {
+            listItem.remove();
+            this.referenceLists.splice(this.referenceLists.indexOf(list), 1);
+            this.updateReferenceListOptions();
+            this.updateJsonOutput();
         });
         
+        document.getElementById('reference-lists').appendChild(listElement);
+        this.updateReferenceListOptions();
         this.updateJsonOutput();
+        return list;
     }
 
-    setupRuleEventListeners(ruleElement, ruleId) {
-        // Delete rule
-        ruleElement.querySelector('.delete-rule').addEventListener('click', () => {
-            this.deleteRule(ruleId);
-        });
-        
-        // Move rule up/down
-        ruleElement.querySelector('.move-up').addEventListener('click', () => {
-            this.moveRule(ruleId, -1);
+    clearReferenceLists() {
+        document.getElementById('reference-lists').innerHTML = '';
+        this.referenceLists = [];
+        this.updateReferenceListOptions();
+    }
+
+    // Suggests @name in list condition values
+    updateReferenceListOptions() {
+        const datalist = document.getElementById('reference-list-options');
+        datalist.innerHTML = '';
+        this.referenceLists.filter(list => list.name).forEach(list => {
+            const option = document.createElement('option');
+            option.value = `@${list.name}`;
+            datalist.appendChild(option);
         });
+        this.updateValueOptions();
+    }
+
+    addDerivedField(fieldData = {}) {
+        const template = document.getElementById('derived-field-template');
+        const fieldElement = template.content.cloneNode(true);
+        const fieldItem = fieldElement.querySelector('.derived-field-item');
         
-        ruleElement.querySelector('.move-down').addEventListener('click', () => {
-            this.moveRule(ruleId, 1);
-        });
+        const definition = {
+            name: fieldData.name || '',
+            source: fieldData.source || '',
+            transforms: []
+        };
+        this.derivedFields.push(definition);
+        this.derivedFieldElements.set(definition, fieldItem);
         
-        // Rule field updates
-        ruleElement.querySelector('.rule-name').addEventListener('input', (e) => {
-            this.updateRuleField(ruleId, 'name', e.target.value);
+        const nameInput = fieldElement.querySelector('.derived-field-name');
+        nameInput.value = definition.name;
+        nameInput.addEventListener('input', (e) => {
+            definition.name = e.target.value.trim();
+            this.updateDerivedFields();
         });
         
-        ruleElement.querySelector('.rule-priority').addEventListener('input', (e) => {
-            this.updateRuleField(ruleId, 'priority', parseInt(e.target.value));
+        const sourceInput = fieldElement.querySelector('.derived-field-source');
+        sourceInput.value = definition.source;
+        sourceInput.addEventListener('input', (e) => {
+            definition.source = e.target.value.trim();
+            this.updateDerivedFields();
         });
         
-        ruleElement.querySelector('.rule-unit-id').addEventListener('input', (e) => {
-            this.updateRuleField(ruleId, 'unitId', e.target.value);
+        fieldElement.querySelector('.add-transform').addEventListener('click', () => {
+            this.addTransform(definition, { type: 'lowercase' });
+            this.updateDerivedFields();
         });
         
-        ruleElement.querySelector('.condition-operator').addEventListener('change', (e) => {
-            this.updateRuleField(ruleId, 'conditionOperator', e.target.value);
+        fieldElement.querySelector('.remove-derived-field').addEventListener('click', () => {
+            fieldItem.remove();
+            this.derivedFields.splice(this.derivedFields.indexOf(definition), 1);
+            this.updateDerivedFields();
         });
         
-        // Add condition button
-        ruleElement.querySelector('.add-condition').addEventListener('click', () => {
-            this.addCondition(ruleId);
-        });
+        document.getElementById('derived-fields').appendChild(fieldElement);
+        (fieldData.transforms || []).forEach(transform => this.addTransform(definition, transform));
+        this.updateDerivedFields();
+        return definition;
     }
 
-    deleteRule(ruleId) {
-        // Remove from DOM
-        document.querySelector(`[data-rule-id="${ruleId}"]`).remove();
+    addTransform(definition, transformData) {
+        const template = document.getElementById('transform-template');
+        const transformElement = template.content.cloneNode(true);
+        const transformItem = transformElement.querySelector('.transform-item');
         
-        // Remove from internal array
-        this.rules = this.rules.filter(rule => rule.id !== ruleId);
+        const transform = Object.assign({}, transformData);
+        definition.transforms.push(transform);
         
-        this.updateJsonOutput();
+        const typeSelect = transformElement.querySelector('.transform-type');
+        Object.keys(DerivedFields.TRANSFORMS).forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = DerivedFields.TRANSFORMS[type].label;
+            typeSelect.appendChild(option);
+        });
+        typeSelect.value = transform.type;
+        typeSelect.addEventListener('change', (e) => {
+            // Parameters of the previous type do not carry over
+            Object.keys(transform).forEach(key => delete transform[key]);
+            transform.type = e.target.value;
+            this.renderTransformParams(transformItem, transform);
+            this.updateDerivedFields();
+        });
+        
+        transformElement.querySelector('.remove-transform').addEventListener('click', () => {
+            transformItem.remove();
+            definition.transforms.splice(definition.transforms.indexOf(transform), 1);
+            this.updateDerivedFields();
+        });
+        
+        this.renderTransformParams(transformItem, transform);
+        this.derivedFieldElements.get(definition).querySelector('.transforms-list').appendChild(transformElement);
+        return transform;
     }
 
-    moveRule(ruleId, direction) {
-        const currentIndex = this.rules.findIndex(rule => rule.id === ruleId);
-        const newIndex = currentIndex + direction;
+    renderTransformParams(transformItem, transform) {
+        const container = transformItem.querySelector('.transform-params');
+        container.innerHTML = '';
         
-        if (newIndex >= 0 && newIndex < this.rules.length) {
-            // Swap in array
-            [this.rules[currentIndex], this.rules[newIndex]] = [this.rules[newIndex], this.rules[currentIndex]];
-            
-            // Swap in DOM
-            const rulesList = document.getElementById('rules-list');
-            const currentElement = document.querySelector(`[data-rule-id="${ruleId}"]`);
-            const targetElement = direction === -1 ? currentElement.previousElementSibling : currentElement.nextElementSibling;
-            
-            if (targetElement) {
-                if (direction === -1) {
-                    rulesList.insertBefore(currentElement, targetElement);
+        const spec = DerivedFields.TRANSFORMS[transform.type];
+        (spec ? spec.params : []).forEach(param => {
+            const input = document.createElement(param.kind === 'table' ? 'textarea' : 'input');
+            if (param.kind === 'table') {
+                input.rows = 3;
+            } else {
+                input.type = 'text';
+            }
+            input.className = `transform-param param-${param.name}`;
+            input.placeholder = param.hint;
+            input.title = param.hint;
+            input.value = this.formatTransformParam(param.kind, transform[param.name]);
+            input.addEventListener('input', (e) => {
+                const value = this.parseTransformParam(param.kind, e.target.value);
+                if (value === undefined) {
+                    delete transform[param.name];
                 } else {
-                    rulesList.insertBefore(targetElement, currentElement);
+                    transform[param.name] = value;
                 }
-            }
-            
-            this.updateJsonOutput();
-        }
+                this.updateDerivedFields();
+            });
+            container.appendChild(input);
+        });
     }
 
-    updateRuleField(ruleId, field, value) {
-        const rule = this.rules.find(rule => rule.id === ruleId);
-        if (rule) {
-            rule[field] = value;
-            this.updateJsonOutput();
+    formatTransformParam(kind, value) {
+        if (value === undefined || value === null) {
+            return '';
+        }
+        if (kind === 'table' && typeof value === 'object') {
+            return Object.keys(value).map(key => `${key} = ${value[key]}`).join('\n');
         }
+        return Array.isArray(value) ? value.join(', ') : String(value);
     }
 
-    addCondition(ruleId) {
-        const ruleElement = document.querySelector(`[data-rule-id="${ruleId}"]`);
-        const conditionsList = ruleElement.querySelector('.conditions-list');
-        
-        const template = document.getElementById('condition-template');
-        const conditionElement = template.content.cloneNode(true);
-        
-        // Add to rule's conditions BEFORE setting up event listeners
-        const rule = this.rules.find(rule => rule.id === ruleId);
-        if (rule) {
-            const newCondition = {
-                field: '',
-                operator: 'EQUALS',
-                value: ''
-            };
-            rule.conditions.push(newCondition);
+    // Text from a parameter input in its JSON form; undefined leaves the parameter out
+    parseTransformParam(kind, text) {
+        if (text.trim() === '') {
+            return undefined;
+        }
+        switch (kind) {
+            case 'integer':
+                // Anything else is kept as typed so validation can point at it
+                return /^\s*-?\d+\s*$/.test(text) ? Number(text) : text;
+            case 'table': {
+                const table = {};
+                text.split('\n').forEach(line => {
+                    const separator = line.indexOf('=');
+                    if (separator !== -1) {
+                        table[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+                    }
+                });
+                return table;
+            }
+            case 'numbers':
+                return text.split(',').map(v => v.trim()).map(v => /^-?\d+(\.\d+)?$/.test(v) ? Number(v) : v);
+            case 'list':
+                return text.split(',').map(v => v.trim());
+            default:
+                return text;
         }
-        
-        // Setup condition event listeners with correct index
-        this.setupConditionEventListeners(conditionElement, ruleId);
-        
-        conditionsList.appendChild(conditionElement);
-        
-        // Don't update JSON output until condition is properly configured
-        // this.updateJsonOutput();
     }
 
-    setupConditionEventListeners(conditionElement, ruleId) {
-        const rule = this.rules.find(rule => rule.id === ruleId);
-        const conditionIndex = rule ? rule.conditions.length - 1 : 0;
-        
-        // Store the condition index on the element for later reference
-        const conditionItem = conditionElement.querySelector('.condition-item');
-        conditionItem.setAttribute('data-condition-index', conditionIndex);
-        
-        conditionElement.querySelector('.condition-field').addEventListener('change', (e) => {
-            const currentIndex = parseInt(conditionItem.getAttribute('data-condition-index'));
-            this.updateCondition(ruleId, currentIndex, 'field', e.target.value);
-        });
-        
-        conditionElement.querySelector('.condition-operator-type').addEventListener('change', (e) => {
-            const currentIndex = parseInt(conditionItem.getAttribute('data-condition-index'));
-            this.updateCondition(ruleId, currentIndex, 'operator', e.target.value);
-        });
-        
-        conditionElement.querySelector('.condition-value').addEventListener('input', (e) => {
-            const currentIndex = parseInt(conditionItem.getAttribute('data-condition-index'));
-            this.updateCondition(ruleId, currentIndex, 'value', e.target.value);
-        });
-        
-        conditionElement.querySelector('.remove-condition').addEventListener('click', () => {
-            const currentIndex = parseInt(conditionItem.getAttribute('data-condition-index'));
-            this.removeCondition(ruleId, currentIndex, conditionItem);
-        });
+    updateDerivedFields() {
+        this.refreshFieldOptions();
+        this.updateJsonOutput();
     }
 
-    updateCondition(ruleId, conditionIndex, field, value) {
-        const rule = this.rules.find(rule => rule.id === ruleId);
-        if (rule && rule.conditions[conditionIndex]) {
-            rule.conditions[conditionIndex][field] = value;
-            // Always update JSON output when condition changes
-            this.updateJsonOutput();
-        }
+    clearDerivedFields() {
+        document.getElementById('derived-fields').innerHTML = '';
+        this.derivedFields = [];
     }
 
-    removeCondition(ruleId, conditionIndex, conditionElement) {
-        // Remove from DOM
-        conditionElement.remove();
-        
-        // Remove from rule
-        const rule = this.rules.find(rule => rule.id === ruleId);
-        if (rule && rule.conditions[conditionIndex]) {
-            rule.conditions.splice(conditionIndex, 1);
-        }
+    loadUserTemplates() {
+        this.userTemplates = this.storage && this.organizationId
+            ? RuleTemplates.normalizeTemplates(DraftStore.loadTemplates(this.storage, this.organizationId))
+            : [];
+        this.renderTemplateOptions();
+    }
+
+    renderTemplateOptions(selectedId = null) {
+        const select = document.getElementById('template-select');
+        const previous = selectedId || select.value;
+        select.innerHTML = '';
         
-        // Update condition indices for remaining conditions
-        const ruleElement = document.querySelector(`[data-rule-id="${ruleId}"]`);
-        const remainingConditions = ruleElement.querySelectorAll('.condition-item');
-        remainingConditions.forEach((item, index) => {
-            item.setAttribute('data-condition-index', index);
+        [['Built-in', RuleTemplates.BUILT_IN_TEMPLATES], ['Saved', this.userTemplates]].forEach(([label, templates]) => {
+            if (templates.length === 0) {
+                return;
+            }
+            const group = document.createElement('optgroup');
+            group.label = label;
+            templates.forEach(template => {
+                const option = document.createElement('option');
+                option.value = template.id;
+                option.textContent = template.name;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
         });
         
-        this.updateJsonOutput();
+        if (this.findTemplate(previous)) {
+            select.value = previous;
+        }
+        this.renderTemplateParams();
     }
 
-    updateJsonOutput() {
-        const config = this.generateConfiguration();
-        const jsonOutput = document.getElementById('json-output');
-        jsonOutput.value = JSON.stringify(config, null, 2);
+    findTemplate(templateId) {
+        return RuleTemplates.BUILT_IN_TEMPLATES.concat(this.userTemplates).find(template => template.id === templateId) || null;
     }
 
-    generateConfiguration() {
+    renderTemplateParams() {
+        const template = this.findTemplate(document.getElementById('template-select').value);
+        const container = document.getElementById('template-params');
+        container.innerHTML = '';
+        document.getElementById('template-description').textContent = template ? template.description || '' : '';
+        document.getElementById('delete-template-btn').hidden = !(template && template.user);
+        if (!template) {
+            return;
+        }
+        
+        this.templateValues = RuleTemplates.defaultValues(template);
+        template.params.forEach(param => {
+            const label = document.createElement('label');
+            label.textContent = param.label || param.name;
+            
+            const input = document.createElement(param.kind === 'table' ? 'textarea' : 'input');
+            if (param.kind === 'table') {
+                input.rows = 3;
+                input.placeholder = 'One "value = unit ID" per line';
+            } else {
+                input.type = 'text';
+                input.placeholder = param.kind === 'list' ? 'Comma-separated values' : '';
+            }
+            input.className = `template-param param-${param.name}`;
+            input.value = RuleTemplates.formatParam(param.kind, this.templateValues[param.name]);
+            input.addEventListener('input', (e) => {
+                const value = RuleTemplates.parseParam(param.kind, e.target.value);
+                if (value === undefined) {
+                    delete this.templateValues[param.name];
+                } else {
+                    this.templateValues[param.name] = value;
+                }
+            });
+            
+            container.appendChild(label);
+            container.appendChild(input);
+        });
+    }
+
+    // Adds the selected template's rules, lists and derived fields to the builder
+    applyTemplate() {
+        const template = this.findTemplate(document.getElementById('template-select').value);
+        if (!template) {
+            return;
+        }
+        
+        let ruleSet;
+        try {
+            ruleSet = RuleTemplates.instantiate(template, this.templateValues);
+        } catch (error) {
+            this.showReport('template-status', `Cannot insert "${template.name}": ${error.message}`, [], 'error');
+            return;
+        }
+        
+        const warnings = this.loadRuleSet(ruleSet, { append: true });
+        this.updateJsonOutput();
+        
+        const defaultNote = ruleSet.default_unit_id ? ` and set the default unit to ${ruleSet.default_unit_id}` : '';
+        this.showReport('template-status', `Inserted ${ruleSet.rules.length} rule(s) from "${template.name}"${defaultNote}`,
+            warnings, warnings.length > 0 ? 'warning' : 'success');
+    }
+
+    saveUserTemplate() {
+        if (!this.storage || !this.organizationId) {
+            this.showReport('template-status', 'Browser storage is not available', [], 'error');
+            return;
+        }
+        
+        const nameInput = document.getElementById('template-name');
+        const descriptionInput = document.getElementById('template-description-input');
+        try {
+            const template = RuleTemplates.createUserTemplate(nameInput.value, descriptionInput.value,
+                this.generateConfiguration().unit_mapping_rules);
+            // Saving under an existing name replaces that template
+            const templates = this.userTemplates.filter(existing => existing.id !== template.id).concat(template);
+            DraftStore.saveTemplates(this.storage, this.organizationId, templates);
+            this.userTemplates = templates;
+            
+            nameInput.value = '';
+            descriptionInput.value = '';
+            this.renderTemplateOptions(template.id);
+            const params = template.params.map(param => param.name);
+            this.showReport('template-status', `Saved template "${template.name}" with ${template.rule_set.rules.length} rule(s)`,
+                params.length > 0 ? [`Parameters: ${params.join(', ')}`] : [], 'success');
+        } catch (error) {
+            this.showReport('template-status', error.message, [], 'error');
+        }
+    }
+
+    deleteUserTemplate() {
+        const template = this.findTemplate(document.getElementById('template-select').value);
+        if (!template || !template.user) {
+            return;
+        }
+        
+        try {
+            const templates = this.userTemplates.filter(existing => existing.id !== template.id);
+            DraftStore.saveTemplates(this.storage, this.organizationId, templates);
+            this.userTemplates = templates;
+            this.renderTemplateOptions();
+            this.showReport('template-status', `Deleted template "${template.name}"`, [], 'success');
+        } catch (error) {
+            this.showReport('template-status', error.message, [], 'error');
+        }
+    }
+
+    suggestRules() {
+        const file = document.getElementById('suggest-file').files[0];
+        if (!file) {
+            this.showReport('suggest-status', 'Choose a file of labelled calls first', [], 'error');
+            return;
+        }
+        
+        const reader = new FileReader();
+        reader.onload = () => this.renderSuggestion(file.name, reader.result);
+        reader.onerror = () => {
+            this.showReport('suggest-status', `Could not read ${file.name}`, [], 'error');
+        };
+        reader.readAsText(file);
+    }
+
+    renderSuggestion(fileName, text) {
+        const container = document.getElementById('suggest-report');
+        container.innerHTML = '';
+        this.suggestion = null;
+        document.getElementById('suggest-load-btn').disabled = true;
+        
+        const own = this.generateConfiguration().unit_mapping_rules;
+        let parsed;
+        let suggestion;
+        try {
+            parsed = RecordParsers.parseRecords(text, 'auto');
+            suggestion = RuleSuggester.suggestRules(parsed.records, {
+                labelField: document.getElementById('suggest-label-field').value.trim(),
+                ignoreFields: document.getElementById('suggest-ignore-fields').value.split(',').map(v => v.trim()).filter(Boolean),
+                maxConditions: parseInt(document.getElementById('suggest-max-conditions').value, 10) || undefined,
+                minRecords: parseInt(document.getElementById('suggest-min-records').value, 10) || undefined,
+                derivedFields: own.derived_fields,
+                referenceLists: own.reference_lists,
+                version: own.version,
+                timezone: own.timezone
+            });
+        } catch (error) {
+            this.showReport('suggest-status', `${fileName}: ${error.message}`, [], 'error');
+            return;
+        }
+        this.suggestion = suggestion;
+        document.getElementById('suggest-load-btn').disabled = false;
+        
+        const ruleSet = suggestion.config.unit_mapping_rules;
+        const holdoutNote = suggestion.holdout
+            ? `, ${suggestion.holdout.percent}% of held-out calls (rules built without every fifth call)`
+            : '';
+        const details = parsed.errors.map(error => error.line ? `Line ${error.line}: ${error.message}` : error.message);
+        if (suggestion.skipped > 0) {
+            details.push(`${suggestion.skipped} record(s) without a label were skipped`);
+        }
+        this.showReport('suggest-status',
+            `${ruleSet.rules.length} rule(s) and default unit ${ruleSet.default_unit_id} from ${suggestion.labelled} labelled call(s): `
+            + `they match ${suggestion.accuracy.percent}% of the labels${holdoutNote}`,
+            details, details.length > 0 ? 'warning' : 'success');
+        
+        const unitsTable = this.createReportTable(['Unit', 'Calls', 'Predicted', 'Precision', 'Recall']);
+        suggestion.units.forEach(unit => {
+            const row = document.createElement('tr');
+            this.appendCell(row, unit.unitId);
+            this.appendCell(row, String(unit.records));
+            this.appendCell(row, String(unit.predicted));
+            row.appendChild(this.createShareCell(unit.precision));
+            row.appendChild(this.createShareCell(unit.recall));
+            unitsTable.tBodies[0].appendChild(row);
+        });
+        container.appendChild(this.createReportHeading('Accuracy per Unit'));
+        container.appendChild(unitsTable);
+        
+        const rulesTable = this.createReportTable(['Rule', 'Unit', 'Calls', 'Correct']);
+        suggestion.rules.concat([Object.assign({ name: 'No rule matches (default unit)' }, suggestion.fallback)]).forEach(rule => {
+            const row = document.createElement('tr');
+            this.appendCell(row, rule.name);
+            this.appendCell(row, rule.unitId);
+            this.appendCell(row, String(rule.matched));
+            this.appendCell(row, String(rule.correct));
+            rulesTable.tBodies[0].appendChild(row);
+        });
+        container.appendChild(this.createReportHeading('Suggested Rules in Evaluation Order'));
+        container.appendChild(rulesTable);
+    }
+
+    // Replaces the builder's rules with the suggestion, which carries the
+    // builder's reference lists, derived fields, version and time zone
+    loadSuggestedRules() {
+        if (!this.suggestion) {
+            return;
+        }
+        
+        const ruleSet = this.suggestion.config.unit_mapping_rules;
+        const warnings = this.loadRuleSet(ruleSet);
+        this.updateJsonOutput();
+        this.showReport('suggest-status', `Loaded ${ruleSet.rules.length} suggested rule(s) with default unit ${ruleSet.default_unit_id} into the builder`,
+            warnings, warnings.length > 0 ? 'warning' : 'success');
+    }
+
+    // "@name" refers to a reference list; returns the name or null
+    parseListReference(valueText) {
+        const match = /^\s*@(\S+)\s*$/.exec(valueText || '');
+        return match ? match[1] : null;
+    }
+
+    addRule(ruleData = {}) {
+        this.ruleCounter++;
+        
+        // Generated ids must not collide with ids brought in by an import
+        while (!ruleData.id && this.rules.some(rule => rule.id === `rule-${this.ruleCounter}`)) {
+            this.ruleCounter++;
+        }
+        const ruleId = ruleData.id || `rule-${this.ruleCounter}`;
+        
+        const template = document.getElementById('rule-template');
+        const ruleElement = template.content.cloneNode(true);
+        
+        const rule = {
+            id: ruleId,
+            name: ruleData.name || `Rule ${this.ruleCounter}`,
+            priority: ruleData.priority !== undefined ? ruleData.priority : 100 - (this.ruleCounter - 1) * 10,
+            unitId: ruleData.unitId || '',
+            fallbackUnitId: ruleData.fallbackUnitId || '',
+            valueMaps: ruleData.valueMaps || {},
+            attributes: ruleData.attributes || {},
+            conditions: [],
+            conditionOperator: ruleData.conditionOperator || 'AND'
+        };
+        
+        // Set rule ID and number
+        ruleElement.querySelector('.rule-item').setAttribute('data-rule-id', ruleId);
+        ruleElement.querySelector('.rule-number').textContent = this.ruleCounter;
+        
+        // Reflect the initial rule state in the form
+        if (ruleData.name) {
+            ruleElement.querySelector('.rule-name').value = rule.name;
+        }
+        ruleElement.querySelector('.rule-priority').value = rule.priority;
+        ruleElement.querySelector('.rule-unit-id').value = rule.unitId;
+        ruleElement.querySelector('.rule-fallback-unit-id').value = rule.fallbackUnitId;
+        ruleElement.querySelector('.rule-value-maps').value = this.formatValueMaps(rule.valueMaps);
+        ruleElement.querySelector('.rule-attributes').value = Object.keys(rule.attributes).length > 0 ? JSON.stringify(rule.attributes, null, 2) : '';
+        if (rule.fallbackUnitId || Object.keys(rule.valueMaps).length > 0 || Object.keys(rule.attributes).length > 0) {
+            ruleElement.querySelector('.result-options').open = true;
+        }
+        ruleElement.querySelector('.condition-operator').value = rule.conditionOperator;
+        
+        // Setup event listeners for this rule
+        this.setupRuleEventListeners(ruleElement, ruleId);
+        this.conditionLists.set(rule, ruleElement.querySelector('.conditions-list'));
+        
+        document.getElementById('rules-list').appendChild(ruleElement);
+        
+        // Add rule to internal array
+        this.rules.push(rule);
+        
+        this.updateJsonOutput();
+        return ruleId;
+    }
+
+    setupRuleEventListeners(ruleElement, ruleId) {
+        // Delete rule
+        ruleElement.querySelector('.delete-rule').addEventListener('click', () => {
+            this.deleteRule(ruleId);
+        });
+        
+        // Move rule up/down
+        ruleElement.querySelector('.move-up').addEventListener('click', () => {
+            this.moveRule(ruleId, -1);
+        });
+        
+        ruleElement.querySelector('.move-down').addEventListener('click', () => {
+            this.moveRule(ruleId, 1);
+        });
+        
+        // Rule field updates
+        ruleElement.querySelector('.rule-name').addEventListener('input', (e) => {
+            this.updateRuleField(ruleId, 'name', e.target.value);
+        });
+        
+        ruleElement.querySelector('.rule-priority').addEventListener('input', (e) => {
+            this.updateRuleField(ruleId, 'priority', parseInt(e.target.value));
+        });
+        
+        ruleElement.querySelector('.rule-unit-id').addEventListener('input', (e) => {
+            this.updateRuleField(ruleId, 'unitId', e.target.value);
+        });
+        
+        ruleElement.querySelector('.rule-fallback-unit-id').addEventListener('input', (e) => {
+            this.updateRuleField(ruleId, 'fallbackUnitId', e.target.value.trim());
+        });
+        
+        ruleElement.querySelector('.rule-value-maps').addEventListener('input', (e) => {
+            this.updateRuleField(ruleId, 'valueMaps', this.parseValueMaps(e.target.value));
+        });
+        
+        // Invalid JSON keeps the last valid attributes until it is fixed
+        const attributesError = ruleElement.querySelector('.rule-attributes-error');
+        ruleElement.querySelector('.rule-attributes').addEventListener('input', (e) => {
+            let attributes = {};
+            if (e.target.value.trim()) {
+                try {
+                    attributes = JSON.parse(e.target.value);
+                } catch (error) {
+                    attributesError.textContent = `Invalid JSON: ${error.message}`;
+                    return;
+                }
+                if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+                    attributesError.textContent = 'Attributes must be a JSON object, e.g. {"tags": ["vip"]}';
+                    return;
+                }
+            }
+            attributesError.textContent = '';
+            this.updateRuleField(ruleId, 'attributes', attributes);
+        });
+        
+        ruleElement.querySelector('.condition-operator').addEventListener('change', (e) => {
+            this.updateRuleField(ruleId, 'conditionOperator', e.target.value);
+        });
+        
+        // Add condition and group buttons
+        ruleElement.querySelector('.add-condition').addEventListener('click', () => {
+            this.addCondition(ruleId);
+        });
+        
+        ruleElement.querySelector('.add-group').addEventListener('click', () => {
+            this.addConditionGroup(ruleId);
+        });
+    }
+
+    // Rule ids come from imported documents and may contain quotes or backslashes
+    findRuleElement(ruleId) {
+        return document.querySelector(`[data-rule-id="${CSS.escape(String(ruleId))}"]`);
+    }
+
+    deleteRule(ruleId) {
+        // Remove from DOM
+        this.findRuleElement(ruleId).remove();
+        
+        // Remove from internal array
+        this.rules = this.rules.filter(rule => rule.id !== ruleId);
+        
+        this.updateJsonOutput();
+    }
+
+    moveRule(ruleId, direction) {
+        const currentIndex = this.rules.findIndex(rule => rule.id === ruleId);
+        const newIndex = currentIndex + direction;
+        
+        if (newIndex >= 0 && newIndex < this.rules.length) {
+            // Swap in array
+            [this.rules[currentIndex], this.rules[newIndex]] = [this.rules[newIndex], this.rules[currentIndex]];
+            
+            // Swap in DOM
+            const rulesList = document.getElementById('rules-list');
+            const currentElement = this.findRuleElement(ruleId);
+            const targetElement = direction === -1 ? currentElement.previousElementSibling : currentElement.nextElementSibling;
+            
+            if (targetElement) {
+                if (direction === -1) {
+                    rulesList.insertBefore(currentElement, targetElement);
+                } else {
+                    rulesList.insertBefore(targetElement, currentElement);
+                }
+            }
+            
+            this.updateJsonOutput();
+        }
+    }
+
+    // Value maps as "field: value = replacement" lines
+    formatValueMaps(valueMaps) {
+        return Object.keys(valueMaps).map(field => Object.keys(valueMaps[field] || {})
+            .map(value => `${field}: ${value} = ${valueMaps[field][value]}`).join('\n'))
+            .filter(Boolean).join('\n');
+    }
+
+    parseValueMaps(text) {
+        const valueMaps = {};
+        text.split('\n').forEach(line => {
+            const match = /^\s*([^:=]+?)\s*:\s*(.*?)\s*=\s*(.*?)\s*$/.exec(line);
+            if (match) {
+                valueMaps[match[1]] = valueMaps[match[1]] || {};
+                valueMaps[match[1]][match[2]] = match[3];
+            }
+        });
+        return valueMaps;
+    }
+
+    updateRuleField(ruleId, field, value) {
+        const rule = this.rules.find(rule => rule.id === ruleId);
+        if (rule) {
+            rule[field] = value;
+            this.updateJsonOutput();
+        }
+    }
+
+    addCondition(ruleId, conditionData = {}, parentGroup = null) {
+        // Conditions go into the rule's top-level group unless a nested group is given
+        const owner = parentGroup || this.rules.find(rule => rule.id === ruleId);
+        if (!owner) {
+            return null;
+        }
+        
+        const template = document.getElementById('condition-template');
+        const conditionElement = template.content.cloneNode(true);
+        
+        const condition = {
+            field: conditionData.field || '',
+            operator: conditionData.operator || 'EQUALS',
+            value: conditionData.value || ''
+        };
+        if (conditionData.timezone) {
+            condition.timezone = conditionData.timezone;
+            conditionElement.querySelector('.condition-timezone').value = conditionData.timezone;
+        }
+        owner.conditions.push(condition);
+        
+        // Reflect the initial condition state in the form
+        if (conditionData.field) {
+            const fieldSelect = conditionElement.querySelector('.condition-field');
+            this.ensureFieldOption(fieldSelect, conditionData.field);
+            fieldSelect.value = conditionData.field;
+        }
+        if (conditionData.operator) {
+            conditionElement.querySelector('.condition-operator-type').value = conditionData.operator;
+        }
+        if (conditionData.value) {
+            conditionElement.querySelector('.condition-value').value = conditionData.value;
+        }
+        this.updateOperatorOptions(conditionElement.querySelector('.condition-item'));
+        
+        this.setupConditionEventListeners(conditionElement, owner, condition);
+        this.conditionElements.set(condition, conditionElement.querySelector('.condition-item'));
+        
+        this.conditionLists.get(owner).appendChild(conditionElement);
+        
+        // Don't update JSON output until condition is properly configured
+        // this.updateJsonOutput();
+        return condition;
+    }
+
+    addConditionGroup(ruleId, groupData = {}, parentGroup = null) {
+        const owner = parentGroup || this.rules.find(rule => rule.id === ruleId);
+        if (!owner) {
+            return null;
+        }
+        
+        const template = document.getElementById('condition-group-template');
+        const groupElement = template.content.cloneNode(true);
+        const groupItem = groupElement.querySelector('.condition-group');
+        
+        // Groups share the rule's {conditionOperator, conditions} shape
+        const group = {
+            type: 'group',
+            conditionOperator: groupData.conditionOperator || 'AND',
+            conditions: []
+        };
+        owner.conditions.push(group);
+        this.conditionLists.set(group, groupItem.querySelector('.conditions-list'));
+        this.conditionElements.set(group, groupItem);
+        
+        const operatorSelect = groupElement.querySelector('.group-operator');
+        operatorSelect.value = group.conditionOperator;
+        operatorSelect.addEventListener('change', (e) => {
+            group.conditionOperator = e.target.value;
+            this.updateJsonOutput();
+        });
+        
+        groupElement.querySelector('.add-condition').addEventListener('click', () => {
+            this.addCondition(ruleId, {}, group);
+        });
+        
+        groupElement.querySelector('.add-group').addEventListener('click', () => {
+            this.addConditionGroup(ruleId, {}, group);
+        });
+        
+        groupElement.querySelector('.remove-group').addEventListener('click', () => {
+            this.removeConditionNode(owner, group, groupItem);
+        });
+        
+        this.conditionLists.get(owner).appendChild(groupElement);
+        
+        this.updateJsonOutput();
+        return group;
+    }
+
+    ensureFieldOption(dropdown, fieldPath) {
+        // Keep fields that are not in the current sample metadata selectable
+        if (!Array.from(dropdown.options).some(option => option.value === fieldPath)) {
+            const option = document.createElement('option');
+            option.value = fieldPath;
+            option.textContent = MetadataFields.formatFieldName(fieldPath);
+            option.title = 'Not present in current metadata';
+            dropdown.appendChild(option);
+        }
+    }
+
+    setupConditionEventListeners(conditionElement, owner, condition) {
+        const conditionItem = conditionElement.querySelector('.condition-item');
+        
+        conditionElement.querySelector('.condition-field').addEventListener('change', (e) => {
+            this.updateCondition(condition, 'field', e.target.value);
+            this.updateOperatorOptions(conditionItem);
+        });
+        
+        conditionElement.querySelector('.condition-operator-type').addEventListener('change', (e) => {
+            this.updateCondition(condition, 'operator', e.target.value);
+            this.updateValueInput(conditionItem);
+        });
+        
+        conditionElement.querySelector('.condition-value').addEventListener('input', (e) => {
+            this.updateCondition(condition, 'value', e.target.value);
+        });
+        
+        conditionElement.querySelectorAll('.time-editor input').forEach(input => {
+            input.addEventListener(input.type === 'checkbox' ? 'change' : 'input', () => {
+                const value = this.readTimeEditor(conditionItem, condition.operator);
+                conditionItem.querySelector('.condition-value').value = value;
+                this.updateCondition(condition, 'value', value);
+            });
+        });
+        
+        conditionElement.querySelector('.condition-timezone').addEventListener('input', (e) => {
+            this.updateCondition(condition, 'timezone', e.target.value.trim());
+        });
+        
+        conditionElement.querySelector('.remove-condition').addEventListener('click', () => {
+            this.removeConditionNode(owner, condition, conditionItem);
+        });
+    }
+
+    updateCondition(condition, field, value) {
+        condition[field] = value;
+        // Always update JSON output when condition changes
+        this.updateJsonOutput();
+    }
+
+    removeConditionNode(owner, node, element) {
+        // Remove from DOM
+        element.remove();
+        
+        // Remove from the owning rule or group
+        const index = owner.conditions.indexOf(node);
+        if (index !== -1) {
+            owner.conditions.splice(index, 1);
+        }
+        
+        this.updateJsonOutput();
+    }
+
+    updateJsonOutput() {
+        this.renderOutput();
+        this.renderInheritedRules();
+        this.saveDraft();
+        // The highlighted match may no longer hold for the edited rules
+        this.highlightMatchedRule(null);
+    }
+
+    generateConfiguration(options = {}) {
+        // includeIncomplete keeps rules and conditions that the export drops,
+        // sourceMap (a Map) collects generated object -> builder rule/node
+        const { includeIncomplete = false, sourceMap = null } = options;
+        // Organizations inheriting the shared base can leave their default unit empty
+        const defaultUnitId = this.defaultUnitId || (this.baseConfig ? this.baseConfig.unit_mapping_rules.default_unit_id : '');
+        
         const rules = this.rules.map(rule => {
-            const conditions = this.buildConditions(rule);
+            const conditions = this.buildConditions(rule, options);
+            
+            const generatedRule = {
+                id: rule.id,
+                name: rule.name || rule.id,
+                priority: rule.priority,
+                conditions: conditions,
+                result: {
+                    unit_id: includeIncomplete ? rule.unitId : rule.unitId || defaultUnitId
+                }
+            };
+            if (rule.fallbackUnitId) {
+                generatedRule.result.fallback_unit_id = rule.fallbackUnitId;
+            }
+            if (Object.keys(rule.valueMaps).length > 0) {
+                generatedRule.result.value_maps = rule.valueMaps;
+            }
+            if (Object.keys(rule.attributes).length > 0) {
+                generatedRule.result.attributes = rule.attributes;
+            }
+            
+            if (sourceMap) {
+                sourceMap.set(generatedRule, rule);
+            }
+            return generatedRule;
+        }).filter(rule => includeIncomplete || (rule.conditions && Object.keys(rule.conditions).length > 0));
+
+        const ruleSet = {
+            version: this.version,
+            default_unit_id: this.defaultUnitId
+        };
+        if (this.timezone) {
+            ruleSet.timezone = this.timezone;
+        }
+        const namedLists = this.referenceLists.filter(list => list.name);
+        if (namedLists.length > 0) {
+            ruleSet.reference_lists = {};
+            namedLists.forEach(list => {
+                ruleSet.reference_lists[list.name] = list.value ? list.value.split(',').map(v => v.trim()) : [];
+            });
+        }
+        const derivedFields = this.derivedFields.filter(definition => includeIncomplete || definition.name);
+        if (derivedFields.length > 0) {
+            ruleSet.derived_fields = derivedFields.map(definition => ({
+                name: definition.name,
+                source: definition.source,
+                transforms: definition.transforms.map(transform => Object.assign({}, transform))
+            }));
+        }
+        ruleSet.rules = rules;
+
+        return {
+            unit_mapping_rules: ruleSet
+        };
+    }
+
+    // The configuration the organization exports: the builder's rules merged
+    // into the shared base when the organization inherits it
+    effectiveConfiguration(options = {}) {
+        const own = this.generateConfiguration(options);
+        if (!this.baseConfig) {
+            return own;
+        }
+        
+        const base = this.baseConfig.unit_mapping_rules;
+        // The base is stored as a draft, so it can hold rules its export would drop
+        const baseRules = options.includeIncomplete ? base.rules
+            : base.rules.filter(rule => rule.conditions && Object.keys(rule.conditions).length > 0);
+        return RuleInheritance.mergeRuleSets(Object.assign({}, base, { rules: baseRules }), own).config;
+    }
+
+    buildConditions(group, options = {}) {
+        // Works on rules and nested groups alike, both hold {conditionOperator, conditions}
+        const validConditions = group.conditions
+            .map(node => node.type === 'group' ? this.buildConditions(node, options) : this.buildSingleCondition(node, options))
+            .filter(condition => condition !== null);
+
+        if (validConditions.length === 0) {
+            // Empty nested groups are only kept so validation can point at them
+            if (options.includeIncomplete && group.type === 'group') {
+                return this.mapSource({ operator: group.conditionOperator, clauses: [] }, group, options);
+            }
+            return null;
+        }
+
+        // A single clause needs no wrapper, unless it is being negated
+        if (validConditions.length === 1 && group.conditionOperator !== 'NOT') {
+            return validConditions[0];
+        }
+
+        return this.mapSource({
+            operator: group.conditionOperator,
+            clauses: validConditions
+        }, group, options);
+    }
+
+    buildSingleCondition(condition, options = {}) {
+        if (!condition.field || !condition.operator) {
+            return options.includeIncomplete
+                ? this.mapSource({ field: condition.field, operator: condition.operator }, condition, options)
+                : null;
+        }
+
+        const conditionObj = {
+            field: condition.field,
+            operator: condition.operator
+        };
+
+        // Handle different operator types
+        const operand = RuleEvaluator.OPERATORS[condition.operator] ? RuleEvaluator.OPERATORS[condition.operator].operand : 'value';
+        if (operand === 'none') {
+            // These operators don't need values
+        } else if (operand === 'values') {
+            // These operators expect arrays, or "@name" for a reference list
+            const listName = this.parseListReference(condition.value);
+            if (listName) {
+                conditionObj.list_ref = listName;
+            } else {
+                conditionObj.values = condition.value ? condition.value.split(',').map(v => v.trim()) : [];
+            }
+        } else {
+            // Single value operators
+            conditionObj.value = condition.value;
+        }
+        
+        // Overrides the rule set time zone; only time-window operators use it
+        if (condition.timezone && RuleEvaluator.TIME_WINDOW_OPERATORS.includes(condition.operator)) {
+            conditionObj.timezone = condition.timezone;
+        }
+
+        return this.mapSource(conditionObj, condition, options);
+    }
+
+    mapSource(generated, source, options) {
+        if (options.sourceMap) {
+            options.sourceMap.set(generated, source);
+        }
+        return generated;
+    }
+
+    // Shows the effective configuration in the output format; in full profile
+    // mode it is merged into the pasted profile
+    renderOutput() {
+        const config = this.effectiveConfiguration();
+        const output = document.getElementById('json-output');
+        if (!this.fullProfile) {
+            output.value = ProfileDocument.formatDocument(config, this.outputFormat);
+            return;
+        }
+        
+        const profileText = document.getElementById('profile-document').value;
+        try {
+            const merged = ProfileDocument.mergeProfile(profileText, config, this.outputFormat);
+            output.value = merged.text;
+            if (!profileText.trim()) {
+                this.showReport('profile-report', 'Paste the existing profile to merge the rules into it', [], 'warning');
+            } else {
+                this.showReport('profile-report', 'Rules merged into the profile; its other keys are unchanged', merged.warnings,
+                    merged.warnings.length > 0 ? 'warning' : 'success');
+            }
+        } catch (error) {
+            output.value = ProfileDocument.formatDocument(config, this.outputFormat);
+            this.showReport('profile-report', `${error.message} - showing the rules on their own`, [], 'error');
+        }
+    }
+
+    copyJson() {
+        const jsonOutput = document.getElementById('json-output');
+        jsonOutput.select();
+        document.execCommand('copy');
+        
+        this.showMessage('json-output', `${this.outputFormat === 'yaml' ? 'YAML' : 'JSON'} copied to clipboard!`, 'success', 2000);
+    }
+
+    validateJson() {
+        try {
+            ProfileDocument.parseDocument(document.getElementById('json-output').value);
+        } catch (error) {
+            this.showMessage('json-output', `Output validation error: ${error.message}`, 'error', 4000);
+            return null;
+        }
+        
+        // Validate everything in the builder, including what the export would drop
+        const sourceMap = new Map();
+        const config = this.effectiveConfiguration({ includeIncomplete: true, sourceMap });
+        const result = RuleValidator.validateConfiguration(config, { fieldCatalog: this.fieldCatalog });
+        
+        this.showValidationIssues(result.issues, sourceMap);
+        
+        const errorCount = result.issues.filter(issue => issue.severity === 'error').length;
+        const warningCount = result.issues.length - errorCount;
+        
+        if (result.issues.length === 0) {
+            this.showMessage('json-output', 'JSON is valid!', 'success', 2000);
+        } else {
+            this.showMessage('json-output', `Validation found ${errorCount} error(s) and ${warningCount} warning(s)`,
+                errorCount > 0 ? 'error' : 'info', 4000);
+        }
+        
+        return result;
+    }
+
+    showValidationIssues(issues, sourceMap) {
+        // Clear previous results
+        document.querySelectorAll('.rule-issues, .condition-issues').forEach(element => {
+            element.innerHTML = '';
+        });
+        document.querySelectorAll('.has-error, .has-warning').forEach(element => {
+            element.classList.remove('has-error', 'has-warning');
+        });
+        
+        const report = document.getElementById('validation-report');
+        report.innerHTML = '';
+        
+        issues.forEach(issue => {
+            const source = issue.node ? sourceMap.get(issue.node) : null;
+            let container = report;
             
-            return {
-                id: rule.id,
-                name: rule.name || rule.id,
-                priority: rule.priority,
-                conditions: conditions,
-                result: {
-                    unit_id: rule.unitId || this.defaultUnitId
+            if (source && this.rules.includes(source)) {
+                const ruleElement = this.findRuleElement(source.id);
+                ruleElement.classList.add(`has-${issue.severity}`);
+                container = ruleElement.querySelector('.rule-issues');
+            } else if (source && this.conditionElements.has(source)) {
+                const nodeElement = this.conditionElements.get(source);
+                nodeElement.classList.add(`has-${issue.severity}`);
+                container = nodeElement.querySelector(':scope > .condition-issues');
+            }
+            
+            const item = document.createElement('div');
+            item.className = `issue issue-${issue.severity}`;
+            item.textContent = container === report ? `${issue.path}: ${issue.message}` : issue.message;
+            container.appendChild(item);
+        });
+    }
+
+    analyzeRules() {
+        // Array fields match element-wise, so repeated conditions on them are not contradictions
+        const multiValuedFields = this.fieldOptions
+            .filter(field => field.type === 'array')
+            .map(field => field.path);
+        
+        const { findings } = RuleAnalyzer.analyzeRules(this.effectiveConfiguration(), { multiValuedFields });
+        
+        document.querySelectorAll('.rule-analysis').forEach(element => {
+            element.innerHTML = '';
+        });
+        
+        findings.forEach(finding => {
+            const ruleElement = this.findRuleElement(finding.ruleId);
+            if (!ruleElement) {
+                return;
+            }
+            
+            const item = document.createElement('div');
+            item.className = `issue issue-${finding.severity}`;
+            item.textContent = finding.message;
+            ruleElement.querySelector('.rule-analysis').appendChild(item);
+        });
+        
+        const warningCount = findings.filter(finding => finding.severity === 'warning').length;
+        if (findings.length === 0) {
+            this.showMessage('rules-list', 'No shadowed, overlapping or contradictory rules found', 'success', 3000);
+        } else {
+            this.showMessage('rules-list', `Analysis found ${warningCount} warning(s) and ${findings.length - warningCount} note(s)`,
+                warningCount > 0 ? 'error' : 'info', 4000);
+        }
+    }
+
+    importConfiguration(configText) {
+        let config;
+        
+        if (!configText.trim()) {
+            this.showImportReport('Please paste a unit_mapping_rules JSON or YAML document', [], 'error');
+            return;
+        }
+        
+        let format;
+        try {
+            ({ format, value: config } = ProfileDocument.parseDocument(configText));
+        } catch (error) {
+            this.showImportReport(error.message, [], 'error');
+            return;
+        }
+        
+        // Accept both the full document and the bare unit_mapping_rules object
+        const mappingRules = config && config.unit_mapping_rules ? config.unit_mapping_rules : config;
+        if (!mappingRules || typeof mappingRules !== 'object' || !Array.isArray(mappingRules.rules)) {
+            this.showImportReport('Document has no unit_mapping_rules.rules array', [], 'error');
+            return;
+        }
+        
+        // A full profile is kept so the output can be the profile with the edited rules
+        const profileKeys = mappingRules === config ? [] : Object.keys(config).filter(key => key !== 'unit_mapping_rules');
+        if (profileKeys.length > 0) {
+            document.getElementById('profile-document').value = configText;
+            document.getElementById('full-profile-mode').checked = true;
+            document.getElementById('profile-options').hidden = false;
+            document.getElementById('output-format').value = format;
+            this.fullProfile = true;
+            this.outputFormat = format;
+        }
+        
+        const warnings = this.loadRuleSet(mappingRules);
+        this.updateJsonOutput();
+        
+        const profileNote = profileKeys.length > 0 ? ` - the profile's other keys (${profileKeys.join(', ')}) are kept for the full profile output` : '';
+        const summary = `Imported ${this.rules.length} of ${mappingRules.rules.length} rules${profileNote}`;
+        this.showImportReport(summary, warnings, warnings.length > 0 ? 'warning' : 'success');
+    }
+
+    // Replaces the builder contents with a unit_mapping_rules object (with
+    // append, adds its lists, derived fields and rules to the current ones)
+    // and returns warnings for anything that could not be represented
+    loadRuleSet(mappingRules, options = {}) {
+        const { append = false } = options;
+        const warnings = [];
+        
+        // An empty default unit is kept: organizations inheriting the shared base leave it empty to use the base's
+        const replacesDefault = append ? Boolean(mappingRules.default_unit_id) : typeof mappingRules.default_unit_id === 'string';
+        this.defaultUnitId = replacesDefault ? mappingRules.default_unit_id : this.defaultUnitId;
+        document.getElementById('default-unit').value = this.defaultUnitId;
+        if (!append) {
+            this.clearRules();
+            this.version = mappingRules.version !== undefined ? String(mappingRules.version) : this.version;
+            document.getElementById('rule-version').value = this.version;
+            // No time zone means UTC, so it is not carried over from the previous rules
+            this.timezone = typeof mappingRules.timezone === 'string' ? mappingRules.timezone : '';
+            document.getElementById('rule-timezone').value = this.timezone;
+            this.clearReferenceLists();
+            this.clearDerivedFields();
+        }
+        
+        const referenceLists = mappingRules.reference_lists || {};
+        Object.keys(referenceLists).forEach(name => {
+            const values = referenceLists[name];
+            const existing = this.referenceLists.find(list => list.name === name);
+            if (!Array.isArray(values)) {
+                warnings.push(`reference list "${name}": not a list - skipped`);
+            } else if (values.some(item => String(item).includes(','))) {
+                warnings.push(`reference list "${name}": values containing commas cannot be represented - skipped`);
+            } else if (existing) {
+                if (existing.value.split(',').map(v => v.trim()).join(',') !== values.map(String).join(',')) {
+                    warnings.push(`reference list "${name}": already defined with other values - kept the existing list`);
                 }
-            };
-        }).filter(rule => rule.conditions && Object.keys(rule.conditions).length > 0);
+            } else {
+                this.addReferenceList({ name: name, value: values.join(', ') });
+            }
+        });
+        
+        (Array.isArray(mappingRules.derived_fields) ? mappingRules.derived_fields : []).forEach((definition, index) => {
+            if (!definition || typeof definition !== 'object') {
+                warnings.push(`derived_fields[${index}]: not an object - skipped`);
+                return;
+            }
+            if (append && definition.name && this.derivedFields.some(existing => existing.name === definition.name)) {
+                warnings.push(`derived field "${definition.name}": already defined - kept the existing field`);
+                return;
+            }
+            this.addDerivedField({
+                name: definition.name,
+                source: definition.source,
+                transforms: Array.isArray(definition.transforms) ? definition.transforms : []
+            });
+        });
+        this.refreshFieldOptions();
+        
+        // value_maps and attributes must be objects to be edited in the builder
+        const importResultObject = (result, key, label) => {
+            const value = result && result[key];
+            if (value === undefined) {
+                return {};
+            }
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                warnings.push(`${label}: result ${key} is not an object - skipped`);
+                return {};
+            }
+            return value;
+        };
+        
+        mappingRules.rules.forEach((rule, index) => {
+            const label = rule.id || `rules[${index}]`;
+            const conditions = rule.conditions;
+            const isGroup = RuleEvaluator.isGroup(conditions);
+            
+            if (isGroup && !RuleEvaluator.LOGIC_OPERATORS.includes(conditions.operator)) {
+                warnings.push(`${label}: unsupported logic operator "${conditions.operator}" - rule skipped`);
+                return;
+            }
+            
+            // Rule ids address rules in the builder (as text, like the DOM), so duplicates get a suffix
+            let ruleIdToUse = rule.id;
+            if (ruleIdToUse && this.rules.some(existing => String(existing.id) === String(ruleIdToUse))) {
+                let suffix = 2;
+                while (this.rules.some(existing => String(existing.id) === `${rule.id}-${suffix}`)) {
+                    suffix++;
+                }
+                ruleIdToUse = `${rule.id}-${suffix}`;
+                warnings.push(`${label}: duplicate rule id renamed to "${ruleIdToUse}"`);
+            }
+            
+            const ruleId = this.addRule({
+                id: ruleIdToUse,
+                name: rule.name,
+                priority: Number.isInteger(rule.priority) ? rule.priority : undefined,
+                unitId: rule.result && rule.result.unit_id,
+                fallbackUnitId: rule.result && rule.result.fallback_unit_id,
+                valueMaps: importResultObject(rule.result, 'value_maps', label),
+                attributes: importResultObject(rule.result, 'attributes', label),
+                conditionOperator: isGroup ? conditions.operator : 'AND'
+            });
+            
+            if (!conditions) {
+                warnings.push(`${label}: rule has no conditions`);
+                return;
+            }
+            
+            this.importClauses(ruleId, isGroup ? conditions.clauses : [conditions], null, `${label} clause `, warnings);
+        });
+        
+        return warnings;
+    }
+
+    importClauses(ruleId, clauses, parentGroup, labelPrefix, warnings) {
+        clauses.forEach((clause, index) => {
+            const label = `${labelPrefix}${index + 1}`;
+            
+            if (RuleEvaluator.isGroup(clause)) {
+                if (!RuleEvaluator.LOGIC_OPERATORS.includes(clause.operator)) {
+                    warnings.push(`${label}: unsupported logic operator "${clause.operator}" - group skipped`);
+                    return;
+                }
+                const group = this.addConditionGroup(ruleId, { conditionOperator: clause.operator }, parentGroup);
+                this.importClauses(ruleId, clause.clauses, group, `${label}.`, warnings);
+                return;
+            }
+            
+            const conditionData = this.importCondition(clause, label, warnings);
+            if (conditionData) {
+                this.addCondition(ruleId, conditionData, parentGroup);
+            }
+        });
+    }
 
+    importCondition(clause, label, warnings) {
+        if (!clause || typeof clause !== 'object') {
+            warnings.push(`${label}: clause is not an object - skipped`);
+            return null;
+        }
+        
+        if (!clause.field || !RuleEvaluator.OPERATORS[clause.operator]) {
+            warnings.push(`${label}: unsupported clause ${JSON.stringify(clause)} - skipped`);
+            return null;
+        }
+        
+        let value = '';
+        if (clause.list_ref !== undefined) {
+            value = `@${clause.list_ref}`;
+        } else if (Array.isArray(clause.values)) {
+            // The builder stores lists as comma-separated text
+            if (clause.values.some(item => String(item).includes(','))) {
+                warnings.push(`${label}: list values containing commas cannot be represented - skipped`);
+                return null;
+            }
+            value = clause.values.join(', ');
+        } else if (clause.value !== undefined && clause.value !== null) {
+            value = String(clause.value);
+        }
+        
         return {
-            unit_mapping_rules: {
-                version: this.version,
-                default_unit_id: this.defaultUnitId,
-                rules: rules
+            field: clause.field,
+            operator: clause.operator,
+            value: value,
+            timezone: typeof clause.timezone === 'string' ? clause.timezone : ''
+        };
+    }
+
+    clearRules() {
+        document.getElementById('rules-list').innerHTML = '';
+        this.rules = [];
+        this.ruleCounter = 0;
+    }
+
+    showImportReport(summary, warnings, type) {
+        this.showReport('import-report', summary, warnings, type);
+    }
+
+    showReport(targetId, summary, details, type) {
+        const report = document.getElementById(targetId);
+        report.className = `import-report import-${type}`;
+        report.textContent = summary;
+        
+        if (details.length > 0) {
+            const list = document.createElement('ul');
+            details.forEach(detail => {
+                const item = document.createElement('li');
+                item.textContent = detail;
+                list.appendChild(item);
+            });
+            report.appendChild(list);
+        }
+    }
+
+    testRules() {
+        try {
+            const testMetadata = document.getElementById('test-metadata').value;
+            let metadata;
+
+            if (!testMetadata.trim()) {
+                this.showTestResult('Please enter test metadata JSON', 'error');
+                return;
+            }
+
+            try {
+                metadata = JSON.parse(testMetadata);
+            } catch (e) {
+                this.showTestResult('Invalid JSON in test metadata', 'error');
+                return;
+            }
+
+            const now = this.readEvaluationTime();
+            if (now === null) {
+                this.showTestResult('Evaluation time must be an ISO 8601 datetime', 'error');
+                return;
+            }
+
+            const result = RuleEvaluator.evaluateRules(this.effectiveConfiguration(), metadata, { now });
+            
+            this.showTestTrace(`Test Results (${Object.keys(metadata).length} metadata fields)`, result);
+            
+        } catch (error) {
+            this.showTestResult(`Test error: ${error.message}`, 'error');
+        }
+    }
+
+    // The sandbox's fixed evaluation time: undefined for the current time, null if invalid
+    readEvaluationTime() {
+        const text = document.getElementById('test-now').value.trim();
+        if (!text) {
+            return undefined;
+        }
+        return Number.isNaN(RuleEvaluator.parseDatetime(text)) ? null : text;
+    }
+
+    // Shows a structured evaluation in the sandbox and highlights the matched rule in the builder
+    showTestTrace(title, result) {
+        const testOutput = document.getElementById('test-output');
+        testOutput.textContent = '';
+        testOutput.className = 'test-trace';
+        
+        const heading = document.createElement('div');
+        heading.className = 'trace-title';
+        heading.textContent = title;
+        testOutput.appendChild(heading);
+        testOutput.appendChild(this.renderEvaluationTrace(result));
+        
+        this.highlightMatchedRule(result.matchedRuleId);
+    }
+
+    // Builder highlight of the rule that matched the last sandbox test; cleared on edits
+    highlightMatchedRule(ruleId) {
+        document.querySelectorAll('#rules-list .rule-item').forEach(element => {
+            element.classList.toggle('rule-matched', Boolean(ruleId) && element.getAttribute('data-rule-id') === ruleId);
+        });
+    }
+
+    // result: {unitId, attributes, matchedRule, matchedRuleId, derivedFields, trace} as returned by evaluateRules
+    renderEvaluationTrace(result) {
+        const container = document.createElement('div');
+        container.className = 'trace';
+        
+        const summary = document.createElement('dl');
+        summary.className = 'trace-summary';
+        const addSummary = (label, text) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const value = document.createElement('dd');
+            value.textContent = text;
+            summary.appendChild(term);
+            summary.appendChild(value);
+        };
+        addSummary('Matched Rule', result.matchedRule || 'None (using default)');
+        addSummary('Result Unit ID', result.unitId);
+        Object.keys(result.attributes || {}).forEach(name => {
+            addSummary(`Attribute ${name}`, JSON.stringify(result.attributes[name]));
+        });
+        container.appendChild(summary);
+        
+        if (result.derivedFields && result.derivedFields.length > 0) {
+            container.appendChild(this.createReportHeading('Derived Fields'));
+            const list = document.createElement('ul');
+            list.className = 'trace-derived';
+            result.derivedFields.forEach(entry => {
+                const item = document.createElement('li');
+                item.textContent = `${entry.name} = ${JSON.stringify(entry.value)}${entry.error ? ` (${entry.error})` : ''}`;
+                list.appendChild(item);
+            });
+            container.appendChild(list);
+        }
+        
+        container.appendChild(this.createReportHeading('Rules in Evaluation Order'));
+        const rules = document.createElement('ol');
+        rules.className = 'trace-rules';
+        result.trace.forEach(entry => {
+            const item = document.createElement('li');
+            const header = document.createElement('div');
+            header.className = 'trace-rule-header';
+            
+            let status;
+            if (entry.matched) {
+                item.className = 'trace-rule trace-pass';
+                status = 'MATCH';
+            } else if (entry.shortCircuited) {
+                item.className = 'trace-rule trace-short-circuited';
+                status = 'Not evaluated - a higher-priority rule matched';
+            } else if (entry.skipped) {
+                item.className = 'trace-rule trace-skipped';
+                status = `Skipped - ${entry.skipped}`;
+            } else {
+                item.className = 'trace-rule trace-fail';
+                status = 'NO MATCH';
+            }
+            header.appendChild(this.createTraceMark(entry.matched ? '✓' : entry.shortCircuited || entry.skipped ? '–' : '✗'));
+            header.appendChild(document.createTextNode(`${entry.name} (Priority: ${entry.priority}) → ${entry.unitId}`));
+            const statusLabel = document.createElement('span');
+            statusLabel.className = 'trace-status';
+            statusLabel.textContent = status;
+            header.appendChild(statusLabel);
+            item.appendChild(header);
+            
+            if (entry.conditions) {
+                const conditions = document.createElement('ul');
+                conditions.className = 'trace-conditions';
+                conditions.appendChild(this.renderTraceNode(entry.conditions));
+                item.appendChild(conditions);
+            }
+            (entry.templateErrors || []).forEach(error => {
+                const note = document.createElement('div');
+                note.className = 'trace-note';
+                note.textContent = `Template: ${error}`;
+                item.appendChild(note);
+            });
+            rules.appendChild(item);
+        });
+        container.appendChild(rules);
+        
+        if (!result.matchedRuleId) {
+            const note = document.createElement('div');
+            note.className = 'trace-note';
+            note.textContent = 'No rules matched - using default unit ID';
+            container.appendChild(note);
+        }
+        return container;
+    }
+
+    // One trace node: a group with its clauses, or a condition with the compared values
+    renderTraceNode(node) {
+        const item = document.createElement('li');
+        item.className = `trace-condition ${node.matched ? 'trace-pass' : 'trace-fail'}${node.shortCircuited ? ' trace-short-circuited' : ''}`;
+        item.appendChild(this.createTraceMark(node.matched ? '✓' : '✗'));
+        
+        if (node.error) {
+            item.appendChild(document.createTextNode(node.error));
+        } else if (node.clauses) {
+            item.appendChild(document.createTextNode(`${node.operator} group`));
+            const clauses = document.createElement('ul');
+            node.clauses.forEach(clause => clauses.appendChild(this.renderTraceNode(clause)));
+            item.appendChild(clauses);
+        } else {
+            const field = document.createElement('code');
+            field.textContent = node.field || '(no field)';
+            item.appendChild(field);
+            
+            let text = ` ${node.operator}`;
+            if (node.listRef !== undefined) {
+                text += ` @${node.listRef}`;
+            }
+            if (node.expected !== undefined) {
+                text += ` ${JSON.stringify(node.expected)}`;
+            }
+            if (node.timezone) {
+                text += ` in ${node.timezone}`;
+            }
+            item.appendChild(document.createTextNode(text));
+            
+            const actual = document.createElement('span');
+            actual.className = 'trace-actual';
+            actual.textContent = `got ${node.actual === undefined ? '(missing)' : JSON.stringify(node.actual)}`;
+            item.appendChild(actual);
+        }
+        
+        if (node.shortCircuited) {
+            const note = document.createElement('span');
+            note.className = 'trace-status';
+            note.textContent = 'not needed - outcome already decided';
+            item.appendChild(note);
+        }
+        return item;
+    }
+
+    createTraceMark(symbol) {
+        const mark = document.createElement('span');
+        mark.className = 'trace-mark';
+        mark.textContent = symbol;
+        return mark;
+    }
+
+    addTestCase() {
+        let metadata;
+        try {
+            metadata = JSON.parse(document.getElementById('test-metadata').value);
+        } catch (e) {
+            this.showMessage('test-metadata', 'Enter valid test metadata JSON first', 'error', 3000);
+            return;
+        }
+        
+        const expectedUnitId = document.getElementById('test-case-expected').value.trim();
+        if (!expectedUnitId) {
+            this.showMessage('test-case-expected', 'Enter the expected unit ID for this case', 'error', 3000);
+            return;
+        }
+        
+        // A fixed sandbox time is kept with the case so time-window rules test the same way later
+        const now = this.readEvaluationTime();
+        if (now === null) {
+            this.showMessage('test-now', 'Evaluation time must be an ISO 8601 datetime', 'error', 3000);
+            return;
+        }
+        
+        const nameInput = document.getElementById('test-case-name');
+        const testCase = {
+            name: nameInput.value.trim() || `Case ${this.testSuite.cases.length + 1}`,
+            metadata: metadata,
+            expected_unit_id: expectedUnitId
+        };
+        if (now !== undefined) {
+            testCase.now = now;
+        }
+        this.testSuite.cases.push(testCase);
+        nameInput.value = '';
+        
+        this.renderTestSuite();
+        this.showMessage('test-suite-results', 'Test case saved', 'success', 2000);
+    }
+
+    runTestSuite() {
+        if (this.testSuite.cases.length === 0) {
+            this.showMessage('test-suite-results', 'Save or import test cases first', 'info', 3000);
+            return;
+        }
+        
+        const now = this.readEvaluationTime();
+        if (now === null) {
+            this.showMessage('test-suite-results', 'Evaluation time must be an ISO 8601 datetime', 'error', 3000);
+            return;
+        }
+        
+        const run = TestSuite.runSuite(this.effectiveConfiguration(), this.testSuite, { now });
+        this.renderTestSuite(run);
+        
+        this.showMessage('test-suite-results', `${run.passed} passed, ${run.failed} failed`,
+            run.failed > 0 ? 'error' : 'success', 3000);
+    }
+
+    exportTestSuite() {
+        const suiteJson = document.getElementById('test-suite-json');
+        suiteJson.value = JSON.stringify(TestSuite.serializeSuite(this.testSuite), null, 2);
+        this.showMessage('test-suite-json', 'Suite exported - copy it next to the rule config', 'success', 2000);
+    }
+
+    importTestSuite() {
+        try {
+            this.testSuite = TestSuite.parseSuite(document.getElementById('test-suite-json').value);
+        } catch (error) {
+            this.showMessage('test-suite-json', `Could not import suite: ${error.message}`, 'error', 4000);
+            return;
+        }
+        
+        document.getElementById('test-suite-name').value = this.testSuite.name;
+        this.renderTestSuite();
+        this.showMessage('test-suite-json', `Imported ${this.testSuite.cases.length} test case(s)`, 'success', 2000);
+    }
+
+    renderTestSuite(run = null) {
+        const container = document.getElementById('test-suite-results');
+        container.innerHTML = '';
+        
+        if (this.testSuite.cases.length === 0) {
+            container.textContent = 'No test cases yet';
+            return;
+        }
+        
+        const table = document.createElement('table');
+        table.className = 'suite-table';
+        table.innerHTML = '<thead><tr><th>Case</th><th>Expected</th><th>Actual</th><th>Status</th><th></th></tr></thead>';
+        const body = document.createElement('tbody');
+        
+        this.testSuite.cases.forEach((testCase, index) => {
+            const result = run ? run.results[index] : null;
+            const row = document.createElement('tr');
+            
+            const caseName = testCase.now !== undefined ? `${testCase.name} (at ${testCase.now})` : testCase.name;
+            [caseName, testCase.expected_unit_id, result ? result.actualUnitId || '-' : ''].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            
+            const statusCell = document.createElement('td');
+            if (result) {
+                statusCell.textContent = result.passed ? 'PASS' : 'FAIL';
+                statusCell.className = result.passed ? 'suite-pass' : 'suite-fail';
+            }
+            row.appendChild(statusCell);
+            
+            const actionsCell = document.createElement('td');
+            actionsCell.className = 'suite-actions';
+            const loadButton = document.createElement('button');
+            loadButton.className = 'btn btn-small btn-secondary';
+            loadButton.textContent = 'Load';
+            loadButton.addEventListener('click', () => this.loadTestCase(testCase));
+            const removeButton = document.createElement('button');
+            removeButton.className = 'btn btn-small btn-danger';
+            removeButton.textContent = '×';
+            removeButton.addEventListener('click', () => {
+                this.testSuite.cases.splice(this.testSuite.cases.indexOf(testCase), 1);
+                this.renderTestSuite();
+            });
+            actionsCell.appendChild(loadButton);
+            actionsCell.appendChild(removeButton);
+            row.appendChild(actionsCell);
+            
+            body.appendChild(row);
+            
+            // Failing cases show why the rules resolved to another unit
+            if (result && !result.passed) {
+                const traceRow = document.createElement('tr');
+                const traceCell = document.createElement('td');
+                traceCell.colSpan = 5;
+                const trace = document.createElement('div');
+                trace.className = 'suite-trace';
+                if (result.error) {
+                    trace.textContent = `Evaluation error: ${result.error}`;
+                } else {
+                    trace.appendChild(this.renderEvaluationTrace(result.result));
+                }
+                traceCell.appendChild(trace);
+                traceRow.appendChild(traceCell);
+                body.appendChild(traceRow);
             }
+        });
+        
+        table.appendChild(body);
+        container.appendChild(table);
+    }
+
+    loadTestCase(testCase) {
+        document.getElementById('test-metadata').value = JSON.stringify(testCase.metadata, null, 2);
+        document.getElementById('test-case-name').value = testCase.name;
+        document.getElementById('test-case-expected').value = testCase.expected_unit_id;
+        document.getElementById('test-now').value = testCase.now !== undefined ? testCase.now : '';
+        this.populateFieldsFromMetadata();
+    }
+
+    loadReplayFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            this.replayFile = { name: file.name, text: reader.result };
+            document.getElementById('replay-file-name').textContent = file.name;
+            document.getElementById('run-replay-btn').disabled = false;
+            
+            // Pick the format from the extension when it is unambiguous
+            const extension = file.name.split('.').pop().toLowerCase();
+            const formats = { json: 'json', ndjson: 'ndjson', jsonl: 'ndjson', csv: 'csv' };
+            document.getElementById('replay-format').value = formats[extension] || 'auto';
+            
+            this.runReplay();
+        };
+        reader.onerror = () => {
+            this.showMessage('replay-dropzone', `Could not read ${file.name}`, 'error', 3000);
         };
+        reader.readAsText(file);
     }
 
-    buildConditions(rule) {
-        if (rule.conditions.length === 0) {
-            return null;
+    runReplay() {
+        if (!this.replayFile) {
+            this.showMessage('replay-dropzone', 'Choose or drop a call export first', 'info', 3000);
+            return;
         }
-
-        // Filter out invalid conditions
-        const validConditions = rule.conditions
-            .map(condition => this.buildSingleCondition(condition))
-            .filter(condition => condition !== null);
-
-        if (validConditions.length === 0) {
-            return null;
+        
+        let parsed;
+        try {
+            parsed = RecordParsers.parseRecords(this.replayFile.text, document.getElementById('replay-format').value);
+        } catch (error) {
+            this.showMessage('replay-dropzone', error.message, 'error', 4000);
+            return;
+        }
+        
+        const now = this.readEvaluationTime();
+        if (now === null) {
+            this.showMessage('replay-dropzone', 'The sandbox evaluation time must be an ISO 8601 datetime', 'error', 4000);
+            return;
         }
+        
+        this.replayRecords = parsed.records;
+        const report = Replay.replayRecords(this.effectiveConfiguration(), parsed.records, { now });
+        this.renderReplayReport(report, parsed);
+    }
 
-        if (validConditions.length === 1) {
-            return validConditions[0];
+    renderReplayReport(report, parsed) {
+        const container = document.getElementById('replay-report');
+        container.innerHTML = '';
+        
+        const summary = document.createElement('p');
+        summary.className = 'replay-summary';
+        summary.textContent = `${report.evaluated} record(s) from ${this.replayFile.name} (${parsed.format.toUpperCase()}): `
+            + `${report.evaluated - report.fallbackCount} matched a rule, `
+            + `${report.fallbackCount} (${report.fallbackPercent}%) fell back to ${report.defaultUnitId}`;
+        container.appendChild(summary);
+        
+        const parseErrors = parsed.errors.concat(report.errors.map(error => ({ line: null, message: `Record ${error.index + 1}: ${error.message}` })));
+        if (parseErrors.length > 0) {
+            const errorList = document.createElement('div');
+            errorList.className = 'issue issue-warning';
+            const shown = parseErrors.slice(0, 10).map(error => error.line ? `Line ${error.line}: ${error.message}` : error.message);
+            errorList.textContent = `${parseErrors.length} record(s) skipped - ${shown.join('; ')}${parseErrors.length > 10 ? '; ...' : ''}`;
+            container.appendChild(errorList);
         }
+        
+        // Unit distribution with sample records per bucket
+        const unitsTable = this.createReportTable(['Unit', 'Calls', 'Share', 'Samples']);
+        report.units.forEach(bucket => {
+            const row = document.createElement('tr');
+            
+            const unitCell = document.createElement('td');
+            unitCell.textContent = bucket.unitId;
+            if (bucket.fallbackCount > 0) {
+                const note = document.createElement('div');
+                note.className = 'replay-note';
+                note.textContent = `${bucket.fallbackCount} via default fallback`;
+                unitCell.appendChild(note);
+            }
+            row.appendChild(unitCell);
+            
+            this.appendCell(row, String(bucket.count));
+            row.appendChild(this.createShareCell(bucket.percent));
+            
+            const samplesCell = document.createElement('td');
+            const details = document.createElement('details');
+            const detailsSummary = document.createElement('summary');
+            detailsSummary.textContent = `${bucket.samples.length} sample(s)`;
+            const samples = document.createElement('pre');
+            samples.className = 'replay-samples';
+            samples.textContent = bucket.samples.map(record => JSON.stringify(record)).join('\n');
+            details.appendChild(detailsSummary);
+            details.appendChild(samples);
+            samplesCell.appendChild(details);
+            row.appendChild(samplesCell);
+            
+            unitsTable.tBodies[0].appendChild(row);
+        });
+        container.appendChild(this.createReportHeading('Unit Distribution'));
+        container.appendChild(unitsTable);
+        
+        // Rule hit counts in evaluation order
+        const rulesTable = this.createReportTable(['Rule', 'Priority', 'Unit', 'Hits', 'Share']);
+        report.rules.forEach(rule => {
+            const row = document.createElement('tr');
+            if (rule.hits === 0) {
+                row.className = 'replay-never-fires';
+            }
+            this.appendCell(row, rule.hits === 0 ? `${rule.name} (never fires)` : rule.name);
+            this.appendCell(row, String(rule.priority));
+            this.appendCell(row, rule.unitId);
+            this.appendCell(row, String(rule.hits));
+            row.appendChild(this.createShareCell(rule.percent));
+            rulesTable.tBodies[0].appendChild(row);
+        });
+        container.appendChild(this.createReportHeading('Rule Hits'));
+        container.appendChild(rulesTable);
+    }
 
-        return {
-            operator: rule.conditionOperator,
-            clauses: validConditions
-        };
+    createReportHeading(text) {
+        const heading = document.createElement('h4');
+        heading.textContent = text;
+        return heading;
     }
 
-    buildSingleCondition(condition) {
-        if (!condition.field || !condition.operator) {
-            return null;
+    createReportTable(headers) {
+        const table = document.createElement('table');
+        table.className = 'suite-table';
+        const headerRow = document.createElement('tr');
+        headers.forEach(header => {
+            const cell = document.createElement('th');
+            cell.textContent = header;
+            headerRow.appendChild(cell);
+        });
+        table.createTHead().appendChild(headerRow);
+        table.appendChild(document.createElement('tbody'));
+        return table;
+    }
+
+    appendCell(row, text) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+        return cell;
+    }
+
+    createShareCell(percent) {
+        const cell = document.createElement('td');
+        const bar = document.createElement('div');
+        bar.className = 'share-bar';
+        bar.style.width = `${Math.max(percent, 1)}%`;
+        const label = document.createElement('span');
+        label.textContent = `${percent}%`;
+        cell.appendChild(bar);
+        cell.appendChild(label);
+        return cell;
+    }
+
+    async apiRequest(method, path, body) {
+        const baseUrl = document.getElementById('api-base-url').value.trim().replace(/\/+$/, '');
+        if (!baseUrl) {
+            throw new Error('Enter the rules server URL first');
+        }
+        
+        const response = await fetch(`${baseUrl}/api/v1${path}`, {
+            method: method,
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+        
+        if (!response.ok) {
+            const error = new Error(data.error || `Server responded with ${response.status}`);
+            error.issues = data.issues || [];
+            throw error;
         }
+        return data;
+    }
 
-        const conditionObj = {
-            field: condition.field,
-            operator: condition.operator
-        };
+    organizationPath(suffix = '/unit-mapping-rules') {
+        // The shared base only reaches the server merged into an organization's rules
+        if (this.organizationId === RuleInheritance.SHARED_BASE_ID) {
+            throw new Error('the shared base is not an organization - open an organization that inherits it');
+        }
+        return `/organizations/${encodeURIComponent(this.organizationId)}${suffix}`;
+    }
 
-        // Handle different operator types
-        if (['IS_NULL_OR_EMPTY', 'IS_NOT_NULL_OR_EMPTY'].includes(condition.operator)) {
-            // These operators don't need values
-        } else if (['IN', 'NOT_IN'].includes(condition.operator)) {
-            // These operators expect arrays
-            conditionObj.values = condition.value ? condition.value.split(',').map(v => v.trim()) : [];
-        } else {
-            // Single value operators
-            conditionObj.value = condition.value;
+    async loadFromServer() {
+        try {
+            const stored = await this.apiRequest('GET', this.organizationPath());
+            const warnings = this.loadRuleSet(stored.unit_mapping_rules);
+            this.updateJsonOutput();
+            this.showReport('api-status', `Loaded ${this.rules.length} rule(s) for ${this.organizationId}`, warnings, warnings.length > 0 ? 'warning' : 'success');
+        } catch (error) {
+            this.showReport('api-status', `Load failed: ${error.message}`, [], 'error');
         }
+    }
 
-        return conditionObj;
+    async saveToServer() {
+        try {
+            const saved = await this.apiRequest('PUT', this.organizationPath(), this.effectiveConfiguration());
+            const warnings = saved.issues.map(issue => `${issue.path}: ${issue.message}`);
+            this.showReport('api-status', `Saved ${saved.unit_mapping_rules.rules.length} rule(s) for ${this.organizationId}`, warnings, warnings.length > 0 ? 'warning' : 'success');
+        } catch (error) {
+            this.showReport('api-status', `Save failed: ${error.message}`, (error.issues || []).map(issue => `${issue.path}: ${issue.message}`), 'error');
+        }
     }
 
-    copyJson() {
-        const jsonOutput = document.getElementById('json-output');
-        jsonOutput.select();
-        document.execCommand('copy');
+    // Tests the builder's current rules on the server, so drafts can be checked before saving
+    async testOnServer() {
+        let metadata;
+        try {
+            metadata = JSON.parse(document.getElementById('test-metadata').value);
+        } catch (e) {
+            this.showTestResult('Invalid JSON in test metadata', 'error');
+            return;
+        }
+        
+        const now = this.readEvaluationTime();
+        if (now === null) {
+            this.showTestResult('Evaluation time must be an ISO 8601 datetime', 'error');
+            return;
+        }
         
-        this.showMessage('json-output', 'JSON copied to clipboard!', 'success', 2000);
+        try {
+            const result = await this.apiRequest('POST', `${this.organizationPath()}/test`, {
+                metadata: metadata,
+                rules: this.effectiveConfiguration(),
+                now: now
+            });
+            
+            this.showTestTrace(`Server Test Results (${this.organizationId})`, {
+                unitId: result.unit_id,
+                attributes: result.attributes,
+                matchedRule: result.matched_rule,
+                matchedRuleId: result.matched_rule_id,
+                derivedFields: result.derived_fields,
+                trace: result.trace
+            });
+        } catch (error) {
+            this.showTestResult(`Server test error: ${error.message}`, 'error');
+        }
     }
 
-    validateJson() {
+    async deployToAppConfig() {
+        // Invalid configurations are never sent; the issues are shown on the rules
+        const validation = this.validateJson();
+        if (!validation || !validation.valid) {
+            const errorCount = validation ? validation.issues.filter(issue => issue.severity === 'error').length : 1;
+            this.showDeploymentStatus(`Deployment refused: the configuration has ${errorCount} validation error(s)`, 'error');
+            return;
+        }
+        
         try {
-            const jsonText = document.getElementById('json-output').value;
-            JSON.parse(jsonText);
-            this.showMessage('json-output', 'JSON is valid!', 'success', 2000);
+            const deployment = await this.apiRequest('POST', this.organizationPath('/deployments'), {
+                unit_mapping_rules: this.effectiveConfiguration().unit_mapping_rules,
+                strategy_id: document.getElementById('deployment-strategy').value,
+                description: `Rules version ${this.version}`
+            });
+            this.trackDeployment(deployment);
         } catch (error) {
-            this.showMessage('json-output', `JSON validation error: ${error.message}`, 'error', 4000);
+            this.showDeploymentStatus(`Deployment failed: ${error.message}`, 'error');
         }
     }
 
-    testRules() {
+    async rollbackAppConfig() {
         try {
-            const testMetadata = document.getElementById('test-metadata').value;
-            let metadata;
+            const result = await this.apiRequest('POST', this.organizationPath('/deployments/rollback'), {
+                strategy_id: document.getElementById('deployment-strategy').value
+            });
+            this.trackDeployment(result.deployment, result.action === 'stopped'
+                ? 'Stopped the running deployment'
+                : `Redeploying version ${result.deployment.version_number}`);
+        } catch (error) {
+            this.showDeploymentStatus(`Rollback failed: ${error.message}`, 'error');
+        }
+    }
 
-            if (!testMetadata.trim()) {
-                this.showTestResult('Please enter test metadata JSON', 'error');
-                return;
+    // Polls the deployment until AppConfig reports a final state
+    trackDeployment(deployment, prefix = '') {
+        clearTimeout(this.deploymentTimer);
+        
+        const inProgress = ['BAKING', 'VALIDATING', 'DEPLOYING', 'ROLLING_BACK'].includes(deployment.state);
+        const progress = deployment.state === 'DEPLOYING' ? ` ${deployment.percentage_complete}%` : '';
+        const status = `${prefix ? `${prefix} - ` : ''}Deployment #${deployment.deployment_number} of version ${deployment.version_number} `
+            + `(${deployment.strategy_id}): ${deployment.state}${progress}`;
+        const failed = deployment.state === 'ROLLED_BACK' || deployment.state === 'REVERTED';
+        this.showDeploymentStatus(status, inProgress ? 'info' : failed ? 'warning' : 'success');
+        
+        if (!inProgress) {
+            return;
+        }
+        
+        const organizationId = this.organizationId;
+        this.deploymentTimer = setTimeout(async () => {
+            try {
+                const latest = await this.apiRequest('GET',
+                    `/organizations/${encodeURIComponent(organizationId)}/deployments/${deployment.deployment_number}`);
+                this.trackDeployment(latest, prefix);
+            } catch (error) {
+                this.showDeploymentStatus(`Could not read deployment status: ${error.message}`, 'error');
             }
+        }, 2000);
+    }
 
-            try {
-                metadata = JSON.parse(testMetadata);
-            } catch (e) {
-                this.showTestResult('Invalid JSON in test metadata', 'error');
-                return;
+    showDeploymentStatus(message, type) {
+        const status = document.getElementById('deployment-status');
+        status.className = `deployment-status deployment-${type}`;
+        status.textContent = message;
+    }
+
+    saveDraft() {
+        if (!this.persistDrafts || !this.storage || !this.organizationId) {
+            return;
+        }
+        
+        try {
+            // Incomplete rules and conditions are kept so work in progress survives a reload
+            const draft = DraftStore.saveDraft(this.storage, this.organizationId, this.generateConfiguration({ includeIncomplete: true }));
+            this.showDraftStatus(`Draft for ${this.organizationId} saved at ${new Date(draft.saved_at).toLocaleTimeString()}`);
+            if (this.workspaceCells) {
+                this.workspaceCells.rules.textContent = String(draft.config.unit_mapping_rules.rules.length);
+                this.workspaceCells.saved.textContent = new Date(draft.saved_at).toLocaleString();
             }
+        } catch (error) {
+            this.persistDrafts = false;
+            this.showDraftStatus(error.message, 'error');
+        }
+    }
 
-            const result = this.evaluateRules(metadata);
-            
-            let resultText = `Test Results:\n`;
-            resultText += `Input Metadata: ${Object.keys(metadata).length} fields\n`;
-            resultText += `Matched Rule: ${result.matchedRule || 'None (using default)'}\n`;
-            resultText += `Result Unit ID: ${result.unitId}\n`;
-            resultText += `Evaluation Details:\n${result.details}`;
-            
-            this.showTestResult(resultText, 'success');
-            
+    restoreDraft() {
+        if (!this.storage || !this.organizationId) {
+            return false;
+        }
+        
+        const draft = DraftStore.loadDraft(this.storage, this.organizationId);
+        if (!draft || !draft.config || !draft.config.unit_mapping_rules) {
+            return false;
+        }
+        
+        const warnings = this.loadRuleSet(draft.config.unit_mapping_rules);
+        this.updateJsonOutput();
+        this.showDraftStatus(`Restored draft for ${this.organizationId} from ${new Date(draft.saved_at).toLocaleString()}`,
+            warnings.length > 0 ? 'warning' : 'info');
+        return true;
+    }
+
+    switchOrganization(organizationId) {
+        if (!organizationId || organizationId === this.organizationId) {
+            return;
+        }
+        
+        // The previous organization's draft is already saved on every change
+        this.persistDrafts = false;
+        this.organizationId = organizationId;
+        document.getElementById('organization-id').value = organizationId;
+        // The pasted profile belongs to the previous organization
+        document.getElementById('profile-document').value = '';
+        this.loadFieldCatalog();
+        this.loadUserTemplates();
+        this.loadBaseConfiguration();
+        if (!this.restoreDraft()) {
+            this.clearRules();
+            this.clearReferenceLists();
+            this.clearDerivedFields();
+            // A new organization has no default unit of its own yet
+            this.defaultUnitId = '';
+            document.getElementById('default-unit').value = '';
+            this.refreshFieldOptions();
+            this.updateJsonOutput();
+            this.showDraftStatus(`No saved draft for ${organizationId} - starting empty`);
+        }
+        this.persistDrafts = true;
+        this.renderHistory();
+        this.renderWorkspace();
+    }
+
+    inheritsBase(organizationId = this.organizationId) {
+        return organizationId !== RuleInheritance.SHARED_BASE_ID && this.workspace.inherits_base.includes(organizationId);
+    }
+
+    // Caches the shared base for the current organization, or null when it does not inherit it
+    loadBaseConfiguration() {
+        const draft = this.storage && this.inheritsBase() ? DraftStore.loadDraft(this.storage, RuleInheritance.SHARED_BASE_ID) : null;
+        this.baseConfig = draft && draft.config && draft.config.unit_mapping_rules && Array.isArray(draft.config.unit_mapping_rules.rules)
+            ? draft.config
+            : null;
+        
+        const baseDefault = this.baseConfig ? this.baseConfig.unit_mapping_rules.default_unit_id : '';
+        document.getElementById('default-unit').placeholder = baseDefault
+            ? `Inherited from the shared base: ${baseDefault}`
+            : 'Default unit when no rules match';
+    }
+
+    setInheritance(organizationId, inherits) {
+        const others = this.workspace.inherits_base.filter(id => id !== organizationId);
+        this.workspace = { inherits_base: inherits ? others.concat(organizationId).sort() : others };
+        try {
+            DraftStore.saveWorkspace(this.storage, this.workspace);
         } catch (error) {
-            this.showTestResult(`Test error: ${error.message}`, 'error');
+            this.showReport('workspace-status', error.message, [], 'error');
+        }
+        
+        if (organizationId === this.organizationId) {
+            this.loadBaseConfiguration();
+            this.updateJsonOutput();
+        }
+        this.renderWorkspace();
+    }
+
+    // Opens the organization typed in the workspace form; a new one starts
+    // empty and inherits the shared base when the box is ticked
+    openOrganization() {
+        const input = document.getElementById('workspace-org-id');
+        const organizationId = input.value.trim();
+        if (!organizationId) {
+            this.showReport('workspace-status', 'Enter an organization ID', [], 'error');
+            return;
+        }
+        if (organizationId === RuleInheritance.SHARED_BASE_ID) {
+            this.showReport('workspace-status', `"${organizationId}" is reserved for the shared base`, [], 'error');
+            return;
         }
+        
+        const isNew = !this.storage || !DraftStore.loadDraft(this.storage, organizationId);
+        if (isNew && this.storage && document.getElementById('workspace-inherit').checked) {
+            this.setInheritance(organizationId, true);
+        }
+        input.value = '';
+        this.switchOrganization(organizationId);
+        this.showReport('workspace-status', isNew ? `Added ${organizationId}` : `Opened ${organizationId}`, [], 'success');
     }
 
-    evaluateRules(metadata) {
-        let details = '';
+    renderWorkspace() {
+        const container = document.getElementById('workspace-orgs');
+        container.innerHTML = '';
+        // The current organization's row follows its draft saves
+        this.workspaceCells = null;
+        if (!this.storage) {
+            container.textContent = 'Browser storage is not available - only the current organization can be edited';
+            return;
+        }
         
-        // Sort rules by priority (higher first)
-        const sortedRules = [...this.rules].sort((a, b) => b.priority - a.priority);
+        const stored = DraftStore.listOrganizations(this.storage);
+        const organizations = stored.concat(this.workspace.inherits_base, [this.organizationId])
+            .filter((id, index, ids) => id && id !== RuleInheritance.SHARED_BASE_ID && ids.indexOf(id) === index)
+            .sort();
         
-        for (const rule of sortedRules) {
-            details += `\\nEvaluating Rule: ${rule.name} (Priority: ${rule.priority})\\n`;
+        const table = this.createReportTable(['Organization', 'Own Rules', 'Inherits Shared Base', 'Last Saved', '']);
+        [RuleInheritance.SHARED_BASE_ID].concat(organizations).forEach(organizationId => {
+            const isBase = organizationId === RuleInheritance.SHARED_BASE_ID;
+            const draft = DraftStore.loadDraft(this.storage, organizationId);
+            const ruleSet = draft && draft.config && draft.config.unit_mapping_rules;
+            
+            const row = document.createElement('tr');
+            row.classList.toggle('workspace-current', organizationId === this.organizationId);
+            this.appendCell(row, isBase ? 'Shared base' : organizationId);
+            const rulesCell = this.appendCell(row, ruleSet && Array.isArray(ruleSet.rules) ? String(ruleSet.rules.length) : '-');
             
-            if (!rule.unitId) {
-                details += `  Skipped - No unit ID configured\\n`;
-                continue;
+            if (isBase) {
+                this.appendCell(row, `${this.workspace.inherits_base.length} organization(s) inherit it`);
+            } else {
+                const inherits = document.createElement('input');
+                inherits.type = 'checkbox';
+                inherits.checked = this.inheritsBase(organizationId);
+                inherits.addEventListener('change', () => this.setInheritance(organizationId, inherits.checked));
+                this.appendCell(row, '').appendChild(inherits);
             }
             
-            if (rule.conditions.length === 0) {
-                details += `  Skipped - No conditions configured\\n`;
-                continue;
+            const savedCell = this.appendCell(row, draft ? new Date(draft.saved_at).toLocaleString() : 'not saved yet');
+            if (organizationId === this.organizationId) {
+                this.workspaceCells = { rules: rulesCell, saved: savedCell };
             }
             
-            const ruleMatches = this.evaluateRuleConditions(rule, metadata);
-            details += `  Result: ${ruleMatches ? 'MATCH' : 'NO MATCH'}\\n`;
+            const open = document.createElement('button');
+            open.className = 'btn btn-small btn-secondary';
+            open.textContent = 'Open';
+            open.disabled = organizationId === this.organizationId;
+            open.addEventListener('click', () => this.switchOrganization(organizationId));
+            this.appendCell(row, '').appendChild(open);
             
-            if (ruleMatches) {
-                return {
-                    unitId: rule.unitId,
-                    matchedRule: rule.name,
-                    details: details
-                };
-            }
+            table.tBodies[0].appendChild(row);
+        });
+        container.appendChild(table);
+    }
+
+    // Lists the shared base rules above the organization's own, marking the
+    // ones its rules override; inherited ones can be copied in to override them
+    renderInheritedRules() {
+        const container = document.getElementById('inherited-rules');
+        const note = document.getElementById('effective-config-note');
+        container.innerHTML = '';
+        container.hidden = !this.baseConfig;
+        note.hidden = !this.baseConfig;
+        if (!this.baseConfig) {
+            return;
         }
         
-        details += `\\nNo rules matched - using default unit ID\\n`;
+        const baseRules = this.baseConfig.unit_mapping_rules.rules;
+        const ownIds = this.rules.map(rule => rule.id);
+        const overridden = baseRules.filter(rule => ownIds.includes(rule.id)).length;
+        note.textContent = `Effective configuration for ${this.organizationId}: ${baseRules.length} shared base rule(s), ` +
+            `${overridden} of them overridden, plus ${this.rules.length - overridden} of its own. Copy, validation, tests and deployments use it.`;
         
-        return {
-            unitId: this.defaultUnitId,
-            matchedRule: null,
-            details: details
-        };
+        const heading = document.createElement('h4');
+        heading.textContent = 'Inherited from the shared base';
+        container.appendChild(heading);
+        if (baseRules.length === 0) {
+            container.appendChild(document.createTextNode('The shared base has no rules yet'));
+            return;
+        }
+        
+        baseRules.forEach(rule => {
+            const item = document.createElement('div');
+            const isOverridden = ownIds.includes(rule.id);
+            item.className = isOverridden ? 'inherited-rule inherited-rule-overridden' : 'inherited-rule';
+            
+            const label = document.createElement('span');
+            const unitId = rule.result && rule.result.unit_id;
+            label.textContent = `${rule.name || rule.id} (${rule.id}) · priority ${rule.priority} · ${unitId || '(default unit)'}` +
+                (isOverridden ? ' · overridden below' : '');
+            item.appendChild(label);
+            
+            if (!isOverridden) {
+                const override = document.createElement('button');
+                override.className = 'btn btn-small btn-secondary';
+                override.textContent = 'Override';
+                override.title = 'Copy this rule into the organization\'s rules to change it';
+                override.addEventListener('click', () => this.overrideBaseRule(rule));
+                item.appendChild(override);
+            }
+            container.appendChild(item);
+        });
     }
 
-    evaluateRuleConditions(rule, metadata) {
-        if (rule.conditions.length === 0) {
-            return false;
+    overrideBaseRule(rule) {
+        // The copy keeps the base rule's id, which is what makes it an override
+        const warnings = this.loadRuleSet({ rules: [rule] }, { append: true });
+        this.updateJsonOutput();
+        if (warnings.length > 0) {
+            this.showReport('workspace-status', `Override of ${rule.id}`, warnings, 'warning');
         }
-
-        // Filter out empty conditions before evaluation
-        const validConditions = rule.conditions.filter(condition => 
-            condition.field && condition.field.trim() && condition.operator
-        );
-
-        if (validConditions.length === 0) {
-            return false;
+        const ruleElement = Array.from(document.querySelectorAll('#rules-list .rule-item'))
+            .find(element => element.getAttribute('data-rule-id') === rule.id);
+        if (ruleElement) {
+            ruleElement.scrollIntoView({ behavior: 'smooth' });
         }
+    }
 
-        const results = validConditions.map(condition => this.evaluateSingleCondition(condition, metadata));
+    saveSnapshot() {
+        if (!this.storage || !this.organizationId) {
+            this.showDraftStatus('Browser storage is not available', 'error');
+            return;
+        }
         
-        if (rule.conditionOperator === 'OR') {
-            return results.some(result => result);
-        } else {
-            return results.every(result => result);
+        const noteInput = document.getElementById('snapshot-note');
+        try {
+            const snapshot = DraftStore.saveSnapshot(this.storage, this.organizationId,
+                this.generateConfiguration({ includeIncomplete: true }), noteInput.value.trim());
+            noteInput.value = '';
+            this.showDraftStatus(`Saved snapshot #${snapshot.id} for ${this.organizationId}`, 'success');
+        } catch (error) {
+            this.showDraftStatus(error.message, 'error');
         }
+        this.renderHistory();
     }
 
-    evaluateSingleCondition(condition, metadata) {
-        if (!condition.field || !condition.operator) {
-            return false;
+    restoreSnapshot(snapshotId) {
+        const snapshot = DraftStore.getSnapshot(this.storage, this.organizationId, snapshotId);
+        if (!snapshot) {
+            return;
+        }
+        
+        const warnings = this.loadRuleSet(snapshot.config.unit_mapping_rules);
+        this.updateJsonOutput();
+        this.showDraftStatus(`Restored snapshot #${snapshot.id}${warnings.length > 0 ? ` (${warnings.join('; ')})` : ''}`,
+            warnings.length > 0 ? 'warning' : 'success');
+    }
+
+    diffSnapshot(snapshotId) {
+        const snapshot = DraftStore.getSnapshot(this.storage, this.organizationId, snapshotId);
+        if (!snapshot) {
+            return;
         }
+        
+        document.getElementById('compare-baseline').value = JSON.stringify(snapshot.config, null, 2);
+        document.getElementById('compare-candidate').value = JSON.stringify(this.generateConfiguration({ includeIncomplete: true }), null, 2);
+        this.compareVersions();
+        document.getElementById('compare-report').scrollIntoView({ behavior: 'smooth' });
+    }
 
-        const fieldValue = metadata[condition.field];
+    renderHistory() {
+        const list = document.getElementById('snapshot-list');
+        list.innerHTML = '';
         
-        switch (condition.operator) {
-            case 'EQUALS':
-                return fieldValue == condition.value;
-            
-            case 'NOT_EQUALS':
-                return fieldValue != condition.value;
-            
-            case 'IN':
-                const inValues = condition.value ? condition.value.split(',').map(v => v.trim()) : [];
-                return inValues.includes(String(fieldValue));
-            
-            case 'NOT_IN':
-                const notInValues = condition.value ? condition.value.split(',').map(v => v.trim()) : [];
-                return !notInValues.includes(String(fieldValue));
-            
-            case 'CONTAINS':
-                return String(fieldValue).includes(condition.value);
-            
-            case 'NOT_CONTAINS':
-                return !String(fieldValue).includes(condition.value);
-            
-            case 'STARTS_WITH':
-                return String(fieldValue).startsWith(condition.value);
-            
-            case 'ENDS_WITH':
-                return String(fieldValue).endsWith(condition.value);
-            
-            case 'IS_NULL_OR_EMPTY':
-                return !fieldValue || fieldValue === '';
-            
-            case 'IS_NOT_NULL_OR_EMPTY':
-                return fieldValue && fieldValue !== '';
+        const snapshots = this.storage && this.organizationId ? DraftStore.listSnapshots(this.storage, this.organizationId) : [];
+        if (snapshots.length === 0) {
+            list.textContent = `No saved versions for ${this.organizationId || 'this organization'} yet`;
+            return;
+        }
+        
+        // Newest first
+        snapshots.slice().reverse().forEach(snapshot => {
+            const item = document.createElement('div');
+            item.className = 'snapshot-item';
             
-            case 'GREATER_THAN':
-                return Number(fieldValue) > Number(condition.value);
+            const info = document.createElement('div');
+            info.className = 'snapshot-info';
+            const ruleSet = snapshot.config.unit_mapping_rules || {};
+            const ruleCount = Array.isArray(ruleSet.rules) ? ruleSet.rules.length : 0;
+            info.textContent = `#${snapshot.id} · ${new Date(snapshot.saved_at).toLocaleString()} · version ${ruleSet.version} · ${ruleCount} rule(s)`;
+            if (snapshot.note) {
+                const note = document.createElement('div');
+                note.className = 'snapshot-note';
+                note.textContent = snapshot.note;
+                info.appendChild(note);
+            }
             
-            case 'LESS_THAN':
-                return Number(fieldValue) < Number(condition.value);
+            const actions = document.createElement('div');
+            actions.className = 'snapshot-actions';
+            const diffButton = document.createElement('button');
+            diffButton.className = 'btn btn-small';
+            diffButton.textContent = 'Diff';
+            diffButton.addEventListener('click', () => this.diffSnapshot(snapshot.id));
+            const restoreButton = document.createElement('button');
+            restoreButton.className = 'btn btn-small btn-secondary';
+            restoreButton.textContent = 'Restore';
+            restoreButton.addEventListener('click', () => this.restoreSnapshot(snapshot.id));
+            actions.appendChild(diffButton);
+            actions.appendChild(restoreButton);
             
-            case 'REGEX_MATCH':
-                try {
-                    const regex = new RegExp(condition.value);
-                    return regex.test(String(fieldValue));
-                } catch (e) {
-                    return false;
+            item.appendChild(info);
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+    }
+
+    showDraftStatus(message, type = 'info') {
+        const status = document.getElementById('draft-status');
+        status.className = `draft-status import-${type}`;
+        status.textContent = message;
+    }
+
+    compareVersions() {
+        const baselineText = document.getElementById('compare-baseline').value;
+        const candidateText = document.getElementById('compare-candidate').value;
+        let baseline;
+        let candidate;
+        
+        try {
+            baseline = RuleEvaluator.getRuleSet(JSON.parse(baselineText));
+        } catch (error) {
+            this.showMessage('compare-baseline', `Baseline: ${error.message}`, 'error', 4000);
+            return;
+        }
+        
+        try {
+            // An empty candidate compares against what the builder currently produces
+            candidate = RuleEvaluator.getRuleSet(candidateText.trim() ? JSON.parse(candidateText) : this.effectiveConfiguration());
+        } catch (error) {
+            this.showMessage('compare-candidate', `Candidate: ${error.message}`, 'error', 4000);
+            return;
+        }
+        
+        const now = this.readEvaluationTime();
+        if (now === null) {
+            this.showMessage('compare-candidate', 'The sandbox evaluation time must be an ISO 8601 datetime', 'error', 4000);
+            return;
+        }
+        
+        const samples = this.collectSampleCalls();
+        const diff = RuleDiff.diffRuleSets(baseline, candidate);
+        const outcomes = RuleDiff.compareOutcomes(baseline, candidate, samples.map(sample => sample.metadata), { now });
+        this.renderCompareReport(diff, outcomes, samples);
+    }
+
+    generatePythonModule() {
+        // A pasted full profile supplies the legacy static unit_id the glue falls back to
+        let legacyUnitId = null;
+        try {
+            const profileText = document.getElementById('profile-document').value;
+            const profile = profileText.trim() ? ProfileDocument.parseDocument(profileText).value : null;
+            if (profile && typeof profile === 'object' && profile.unit_id !== undefined) {
+                legacyUnitId = profile.unit_id;
+            }
+        } catch (e) {
+            // An invalid profile is reported by the output panel
+        }
+        
+        const fileName = PythonExport.moduleFileName(this.organizationId);
+        document.getElementById('python-export-output').value = PythonExport.generateModule(this.effectiveConfiguration(), {
+            organizationId: this.organizationId,
+            legacyUnitId
+        });
+        this.showReport('python-export-report', `Save as ${fileName}`, [], 'success');
+    }
+
+    generateConformanceVectors() {
+        const now = this.readEvaluationTime();
+        if (now === null) {
+            this.showReport('python-export-report', 'The sandbox evaluation time must be an ISO 8601 datetime', [], 'error');
+            return;
+        }
+        
+        const samples = this.collectSampleCalls();
+        if (samples.length === 0) {
+            this.showReport('python-export-report', 'No sample calls - load a replay file, add test cases or enter sandbox metadata', [], 'error');
+            return;
+        }
+        
+        const { document: vectors, errors } = PythonExport.generateVectors(this.effectiveConfiguration(), samples, {
+            organizationId: this.organizationId,
+            now
+        });
+        document.getElementById('python-export-output').value = JSON.stringify(vectors, null, 2);
+        const count = vectors.conformance_vectors.vectors.length;
+        this.showReport('python-export-report', `${count} vector(s) at ${vectors.conformance_vectors.now} - save them and run python3 ${PythonExport.moduleFileName(this.organizationId)} <file>`,
+            errors.map(error => `${error.label}: ${error.message}`), errors.length > 0 ? 'warning' : 'success');
+    }
+
+    collectSampleCalls() {
+        const samples = this.replayRecords.map((record, index) => ({
+            label: `Replay record ${index + 1}`,
+            metadata: record
+        }));
+        
+        this.testSuite.cases.forEach(testCase => {
+            samples.push({ label: `Test case "${testCase.name}"`, metadata: testCase.metadata });
+        });
+        
+        try {
+            const metadata = JSON.parse(document.getElementById('test-metadata').value);
+            if (metadata && typeof metadata === 'object' && !Array.isArray(metadata)) {
+                samples.push({ label: 'Sandbox metadata', metadata });
+            }
+        } catch (e) {
+            // Invalid sandbox metadata is simply not used as a sample
+        }
+        
+        return samples;
+    }
+
+    renderCompareReport(diff, outcomes, samples) {
+        const container = document.getElementById('compare-report');
+        container.innerHTML = '';
+        
+        const summary = document.createElement('p');
+        summary.className = 'replay-summary';
+        summary.textContent = diff.changed
+            ? `${diff.added.length} added, ${diff.removed.length} removed, ${diff.modified.length} modified, ${diff.unchanged} unchanged rule(s)`
+            : 'No differences between the two versions';
+        container.appendChild(summary);
+        
+        const changes = document.createElement('ul');
+        changes.className = 'diff-list';
+        
+        diff.settings.forEach(setting => {
+            this.appendDiffItem(changes, 'diff-modified', `${setting.field}: ${this.formatDiffValue(setting.before)} → ${this.formatDiffValue(setting.after)}`);
+        });
+        diff.added.forEach(rule => {
+            this.appendDiffItem(changes, 'diff-added', `+ Rule "${rule.name}" (${rule.id})`);
+        });
+        diff.removed.forEach(rule => {
+            this.appendDiffItem(changes, 'diff-removed', `- Rule "${rule.name}" (${rule.id})`);
+        });
+        diff.modified.forEach(rule => {
+            const item = this.appendDiffItem(changes, 'diff-modified', `~ Rule "${rule.name}" (${rule.id})`);
+            const details = document.createElement('ul');
+            rule.changes.forEach(change => {
+                if (change.field !== 'conditions') {
+                    this.appendDiffItem(details, 'diff-modified', `${change.field}: ${this.formatDiffValue(change.before)} → ${this.formatDiffValue(change.after)}`);
+                    return;
                 }
-            
-            default:
-                return false;
+                this.appendDiffItem(details, 'diff-modified', `conditions: ${change.before} → ${change.after}`);
+                change.removed.forEach(condition => this.appendDiffItem(details, 'diff-removed', `- ${condition}`));
+                change.added.forEach(condition => this.appendDiffItem(details, 'diff-added', `+ ${condition}`));
+            });
+            item.appendChild(details);
+        });
+        
+        if (changes.children.length > 0) {
+            container.appendChild(this.createReportHeading('Rule Changes'));
+            container.appendChild(changes);
+        }
+        
+        container.appendChild(this.createReportHeading('Affected Calls'));
+        const affected = document.createElement('p');
+        if (samples.length === 0) {
+            affected.textContent = 'No sample calls - load a replay file, add test cases or enter sandbox metadata';
+            container.appendChild(affected);
+            return;
+        }
+        affected.textContent = `${outcomes.changed.length} of ${outcomes.evaluated} sample call(s) change units or attributes`;
+        container.appendChild(affected);
+        
+        if (outcomes.changed.length > 0) {
+            const describe = outcome => {
+                const text = outcome.matchedRule ? `${outcome.unitId} (${outcome.matchedRule})` : `${outcome.unitId} (default)`;
+                return Object.keys(outcome.attributes || {}).length > 0 ? `${text} ${JSON.stringify(outcome.attributes)}` : text;
+            };
+            const table = this.createReportTable(['Sample', 'Baseline', 'Candidate']);
+            outcomes.changed.forEach(change => {
+                const row = document.createElement('tr');
+                const sampleCell = this.appendCell(row, samples[change.index].label);
+                sampleCell.title = JSON.stringify(change.record);
+                this.appendCell(row, describe(change.before));
+                this.appendCell(row, describe(change.after));
+                table.tBodies[0].appendChild(row);
+            });
+            container.appendChild(table);
         }
     }
 
+    appendDiffItem(list, className, text) {
+        const item = document.createElement('li');
+        item.className = className;
+        item.textContent = text;
+        list.appendChild(item);
+        return item;
+    }
+
+    formatDiffValue(value) {
+        return value === undefined ? '(none)' : JSON.stringify(value);
+    }
+
     useExampleMetadata() {
         const exampleMetadata = document.getElementById('example-metadata').value;
         document.getElementById('test-metadata').value = exampleMetadata;
@@ -645,6 +3168,7 @@ class RuleEngine {
         const testOutput = document.getElementById('test-output');
         testOutput.textContent = message;
         testOutput.className = type === 'success' ? 'test-success' : 'test-error';
+        this.highlightMatchedRule(null);
     }
 
     showMessage(targetElementId, message, type = 'info', duration = 3000) {
@@ -686,38 +3210,19 @@ class RuleEngine {
                 this.updateRuleField(firstRule.id, 'unitId', 'nra-sales-unit');
                 
                 // Update DOM elements
-                const ruleElement = document.querySelector(`[data-rule-id="${firstRule.id}"]`);
+                const ruleElement = this.findRuleElement(firstRule.id);
                 if (ruleElement) {
                     ruleElement.querySelector('.rule-name').value = 'Sales Team Rule';
                     ruleElement.querySelector('.rule-priority').value = 100;
                     ruleElement.querySelector('.rule-unit-id').value = 'nra-sales-unit';
                     
                     // Add example condition
-                    this.addCondition(firstRule.id);
-                    
-                    // Wait for condition to be added, then populate it
-                    setTimeout(() => {
-                        const conditionElement = ruleElement.querySelector('.condition-item');
-                        if (conditionElement) {
-                            const fieldSelect = conditionElement.querySelector('.condition-field');
-                            const operatorSelect = conditionElement.querySelector('.condition-operator-type');
-                            const valueInput = conditionElement.querySelector('.condition-value');
-                            
-                            fieldSelect.value = 'agent_department';
-                            operatorSelect.value = 'EQUALS';
-                            valueInput.value = 'Sales';
-                            
-                            // Trigger events to sync internal state
-                            fieldSelect.dispatchEvent(new Event('change'));
-                            operatorSelect.dispatchEvent(new Event('change'));
-                            valueInput.dispatchEvent(new Event('input'));
-                            
-                            // Also update the condition data directly to ensure sync
-                            this.updateCondition(firstRule.id, 0, 'field', 'agent_department');
-                            this.updateCondition(firstRule.id, 0, 'operator', 'EQUALS');
-                            this.updateCondition(firstRule.id, 0, 'value', 'Sales');
-                        }
-                    }, 100);
+                    this.addCondition(firstRule.id, {
+                        field: 'agent_department',
+                        operator: 'EQUALS',
+                        value: 'Sales'
+                    });
+                    this.updateJsonOutput();
                 }
             }
         }, 100);
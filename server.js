@@ -0,0 +1,428 @@
+/**
+ * Local REST gateway for unit mapping rules (Phase 2.5 API).
+ *
+ *   GET  /api/v1/organizations/{org_id}/unit-mapping-rules
+ *   PUT  /api/v1/organizations/{org_id}/unit-mapping-rules        Body: {unit_mapping_rules: {...}}
+ *   POST /api/v1/organizations/{org_id}/unit-mapping-rules/test   Body: {metadata: {...}, rules?: {...}}
+ *   POST /api/v1/metadata/discover-fields                         Body: {metadata: {...}}
+ *   GET  /api/v1/schema
+ *
+ *   POST /api/v1/organizations/{org_id}/deployments               Body: {unit_mapping_rules?, strategy_id?, description?}
+ *   GET  /api/v1/organizations/{org_id}/deployments
+ *   GET  /api/v1/organizations/{org_id}/deployments/{number}
+ *   POST /api/v1/organizations/{org_id}/deployments/rollback
+ *
+ * Rules are stored as JSON files (rule-store.js) and evaluated with the same
+ * modules the builder uses. Deployments go through appconfig-deployer.js with
+ * the in-memory mock or the AWS backend. Everything else under the repository
+ * directory is served as static files, so the builder is available at the
+ * root URL.
+ *
+ *   node server.js [--port 8080] [--data ./data] [--appconfig mock|aws] [--appconfig-targets targets.json]
+ *
+ * PORT, RULES_DATA_DIR, APPCONFIG_BACKEND and APPCONFIG_TARGETS can be used
+ * instead of the flags. The targets file maps organization ids to
+ * {"application_id", "environment_id", "configuration_profile_id"};
+ * APPCONFIG_APPLICATION_ID and APPCONFIG_ENVIRONMENT_ID set the defaults.
+ */
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const RuleEvaluator = require('./rule-evaluator');
+const RuleSchema = require('./rule-schema');
+const RuleValidator = require('./rule-validator');
+const MetadataFields = require('./metadata-fields');
+const { createRuleStore, isValidOrganizationId } = require('./rule-store');
+const { createDeployer, DeploymentError } = require('./appconfig-deployer');
+const { createMockBackend } = require('./appconfig-mock');
+const { createAwsBackend } = require('./appconfig-aws');
+
+const DEFAULT_PORT = 8080;
+const MAX_BODY_BYTES = 1024 * 1024;
+const STATIC_ROOT = __dirname;
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8'
+};
+
+const DEPLOYMENT_ERROR_STATUS = {
+    INVALID_CONFIGURATION: 422,
+    CONFLICT: 409,
+    NOTHING_TO_ROLL_BACK: 409,
+    NOT_FOUND: 404,
+    BAD_REQUEST: 400,
+    NOT_CONFIGURED: 503,
+    AWS_ERROR: 502
+};
+
+class HttpError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const ROUTES = [
+    { method: 'GET', pattern: /^\/api\/v1\/organizations\/([^/]+)\/unit-mapping-rules$/, handler: getRules },
+    { method: 'PUT', pattern: /^\/api\/v1\/organizations\/([^/]+)\/unit-mapping-rules$/, handler: putRules },
+    { method: 'POST', pattern: /^\/api\/v1\/organizations\/([^/]+)\/unit-mapping-rules\/test$/, handler: testRules },
+    { method: 'POST', pattern: /^\/api\/v1\/metadata\/discover-fields$/, handler: discoverFields },
+    { method: 'GET', pattern: /^\/api\/v1\/schema$/, handler: getSchema },
+    { method: 'POST', pattern: /^\/api\/v1\/organizations\/([^/]+)\/deployments$/, handler: startDeployment },
+    { method: 'GET', pattern: /^\/api\/v1\/organizations\/([^/]+)\/deployments$/, handler: listDeployments },
+    { method: 'GET', pattern: /^\/api\/v1\/organizations\/([^/]+)\/deployments\/(\d+)$/, handler: getDeployment },
+    { method: 'POST', pattern: /^\/api\/v1\/organizations\/([^/]+)\/deployments\/rollback$/, handler: rollbackDeployment }
+];
+
+function createServer(options = {}) {
+    const context = {
+        store: options.store || createRuleStore(options.dataDir || path.join(__dirname, 'data')),
+        deployer: options.deployer || createDeployerFromOptions(options)
+    };
+
+    return http.createServer((request, response) => {
+        handleRequest(context, request, response).catch(error => {
+            let status = 500;
+            let details = {};
+            if (error instanceof HttpError) {
+                status = error.status;
+                details = error.details;
+            } else if (error instanceof DeploymentError) {
+                status = DEPLOYMENT_ERROR_STATUS[error.code] || 500;
+                details = Object.assign({ code: error.code }, error.details);
+            }
+            if (status === 500) {
+                console.error(error);
+            }
+            sendJson(response, status, Object.assign({ error: error.message }, details));
+        });
+    });
+}
+
+function createDeployerFromOptions(options) {
+    const backendName = options.appconfigBackend || 'mock';
+    let backend;
+    if (backendName === 'mock') {
+        backend = createMockBackend();
+    } else if (backendName === 'aws') {
+        backend = createAwsBackend({ region: process.env.AWS_REGION });
+    } else {
+        throw new Error(`Unknown AppConfig backend "${backendName}" (expected mock or aws)`);
+    }
+
+    const targets = {};
+    if (options.appconfigTargets) {
+        const entries = JSON.parse(fs.readFileSync(options.appconfigTargets, 'utf8'));
+        Object.entries(entries).forEach(([orgId, target]) => {
+            targets[orgId] = {
+                applicationId: target.application_id,
+                environmentId: target.environment_id,
+                configurationProfileId: target.configuration_profile_id || orgId
+            };
+        });
+    }
+
+    // The mock accepts any ids, so it works without configuration
+    const defaults = {
+        applicationId: process.env.APPCONFIG_APPLICATION_ID || (backendName === 'mock' ? 'unit-mapping-rules' : undefined),
+        environmentId: process.env.APPCONFIG_ENVIRONMENT_ID || (backendName === 'mock' ? 'local' : undefined)
+    };
+
+    return createDeployer({ backend, targets, defaults });
+}
+
+async function handleRequest(context, request, response) {
+    const url = new URL(request.url, 'http://localhost');
+
+    // The builder may be opened from file:// or another port
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST, OPTIONS');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        response.end();
+        return;
+    }
+
+    if (!url.pathname.startsWith('/api/')) {
+        await serveStatic(url.pathname, request, response);
+        return;
+    }
+
+    const matching = ROUTES.filter(route => route.pattern.test(url.pathname));
+    if (matching.length === 0) {
+        throw new HttpError(404, `No route for ${url.pathname}`);
+    }
+
+    const route = matching.find(candidate => candidate.method === request.method);
+    if (!route) {
+        response.setHeader('Allow', matching.map(candidate => candidate.method).join(', '));
+        throw new HttpError(405, `${request.method} is not supported for ${url.pathname}`);
+    }
+
+    const params = url.pathname.match(route.pattern).slice(1).map(param => decodePath(param, 400));
+    const body = request.method === 'GET' ? null : await readJsonBody(request);
+    const result = await route.handler(Object.assign({ params, body }, context));
+    sendJson(response, result.status || 200, result.body);
+}
+
+async function getRules({ store, params }) {
+    const orgId = requireOrganizationId(params[0]);
+    const document = await store.load(orgId);
+    if (!document) {
+        throw new HttpError(404, `No unit mapping rules stored for organization "${orgId}"`);
+    }
+    return { body: document };
+}
+
+async function putRules({ store, params, body }) {
+    const orgId = requireOrganizationId(params[0]);
+    if (!body || !body.unit_mapping_rules) {
+        throw new HttpError(400, 'Body must be a {"unit_mapping_rules": {...}} document');
+    }
+
+    const validation = RuleValidator.validateConfiguration(body);
+    const issues = validation.issues.map(issue => ({ severity: issue.severity, path: issue.path, message: issue.message }));
+    if (!validation.valid) {
+        throw new HttpError(422, 'Configuration is invalid', { issues });
+    }
+
+    const document = { unit_mapping_rules: body.unit_mapping_rules };
+    await store.save(orgId, document);
+    return { body: Object.assign({}, document, { issues }) };
+}
+
+// Uses the rules from the body when given, so drafts can be tested before saving;
+// `now` fixes the evaluation time for $now and time-window conditions
+async function testRules({ store, params, body }) {
+    const orgId = requireOrganizationId(params[0]);
+    const metadata = requireMetadata(body);
+    if (body.now !== undefined && Number.isNaN(RuleEvaluator.parseDatetime(body.now))) {
+        throw new HttpError(400, '"now" must be an ISO 8601 datetime');
+    }
+
+    let config = body.rules;
+    if (!config) {
+        config = await store.load(orgId);
+        if (!config) {
+            throw new HttpError(404, `No unit mapping rules stored for organization "${orgId}"`);
+        }
+    }
+
+    let result;
+    try {
+        result = RuleEvaluator.evaluateRules(config, metadata, { now: body.now });
+    } catch (error) {
+        throw new HttpError(400, error.message);
+    }
+
+    return {
+        body: {
+            unit_id: result.unitId,
+            attributes: result.attributes,
+            matched_rule: result.matchedRule,
+            matched_rule_id: result.matchedRuleId,
+            derived_fields: result.derivedFields,
+            trace: result.trace
+        }
+    };
+}
+
+async function discoverFields({ body }) {
+    const metadata = requireMetadata(body);
+    return {
+        body: {
+            fields: MetadataFields.discoverFields(metadata).map(field => ({
+                path: field.path,
+                type: field.type,
+                example: field.example
+            }))
+        }
+    };
+}
+
+async function getSchema() {
+    return { body: RuleSchema.UNIT_MAPPING_RULES_SCHEMA };
+}
+
+// Deploys the document from the body, or the stored rules when none is given
+async function startDeployment({ store, deployer, params, body }) {
+    const orgId = requireOrganizationId(params[0]);
+    const options = body || {};
+
+    const document = options.unit_mapping_rules ? { unit_mapping_rules: options.unit_mapping_rules } : await store.load(orgId);
+    if (!document) {
+        throw new HttpError(404, `No unit mapping rules stored for organization "${orgId}"`);
+    }
+
+    const deployment = await deployer.deploy(orgId, document, {
+        strategyId: options.strategy_id,
+        description: options.description
+    });
+    return { status: 201, body: toDeploymentResponse(deployment) };
+}
+
+async function listDeployments({ deployer, params }) {
+    const orgId = requireOrganizationId(params[0]);
+    const deployments = await deployer.listDeployments(orgId);
+    return { body: { deployments: deployments.map(toDeploymentResponse) } };
+}
+
+async function getDeployment({ deployer, params }) {
+    const orgId = requireOrganizationId(params[0]);
+    return { body: toDeploymentResponse(await deployer.getStatus(orgId, Number(params[1]))) };
+}
+
+async function rollbackDeployment({ deployer, params, body }) {
+    const orgId = requireOrganizationId(params[0]);
+    const result = await deployer.rollback(orgId, { strategyId: body && body.strategy_id });
+    return { body: { action: result.action, deployment: toDeploymentResponse(result.deployment) } };
+}
+
+function toDeploymentResponse(deployment) {
+    return {
+        deployment_number: deployment.deploymentNumber,
+        application_id: deployment.applicationId,
+        environment_id: deployment.environmentId,
+        configuration_profile_id: deployment.configurationProfileId,
+        version_number: deployment.versionNumber,
+        strategy_id: deployment.strategyId,
+        description: deployment.description,
+        state: deployment.state,
+        percentage_complete: deployment.percentageComplete,
+        started_at: deployment.startedAt ? new Date(deployment.startedAt).toISOString() : null,
+        completed_at: deployment.completedAt ? new Date(deployment.completedAt).toISOString() : null
+    };
+}
+
+function requireOrganizationId(orgId) {
+    if (!isValidOrganizationId(orgId)) {
+        throw new HttpError(400, `Invalid organization id "${orgId}"`);
+    }
+    return orgId;
+}
+
+function requireMetadata(body) {
+    if (!body || !body.metadata || typeof body.metadata !== 'object' || Array.isArray(body.metadata)) {
+        throw new HttpError(400, 'Body must contain a "metadata" object');
+    }
+    return body.metadata;
+}
+
+function readJsonBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        request.on('data', chunk => {
+            size += chunk.length;
+            // Oversized bodies are drained rather than buffered so the error can still be sent
+            if (size <= MAX_BODY_BYTES) {
+                chunks.push(chunk);
+            }
+        });
+        request.on('error', reject);
+        request.on('end', () => {
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+                return;
+            }
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (!text.trim()) {
+                resolve(null);
+                return;
+            }
+            try {
+                resolve(JSON.parse(text));
+            } catch (error) {
+                reject(new HttpError(400, `Invalid JSON body: ${error.message}`));
+            }
+        });
+    });
+}
+
+// decodeURIComponent, with a malformed escape such as "%E0" failing with `status`
+function decodePath(text, status) {
+    try {
+        return decodeURIComponent(text);
+    } catch (error) {
+        throw new HttpError(status, status === 404 ? `Not found: ${text}` : `Malformed URL escape in "${text}"`);
+    }
+}
+
+async function serveStatic(pathname, request, response) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        throw new HttpError(405, `${request.method} is not supported for ${pathname}`);
+    }
+
+    const relative = pathname === '/' ? 'index.html' : decodePath(pathname, 404).replace(/^\/+/, '');
+    const filePath = path.resolve(STATIC_ROOT, relative);
+    const type = STATIC_TYPES[path.extname(filePath)];
+
+    // Only known file types inside the repository, and never stored rule data
+    if (!type || !filePath.startsWith(STATIC_ROOT + path.sep) || relative.split(/[\\/]/).some(part => part.startsWith('.') || part === 'data')) {
+        throw new HttpError(404, `Not found: ${pathname}`);
+    }
+
+    let content;
+    try {
+        content = await fs.promises.readFile(filePath);
+    } catch (error) {
+        throw new HttpError(404, `Not found: ${pathname}`);
+    }
+
+    response.writeHead(200, { 'Content-Type': type });
+    response.end(request.method === 'HEAD' ? undefined : content);
+}
+
+function sendJson(response, status, body) {
+    if (response.headersSent) {
+        response.end();
+        return;
+    }
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    response.end(JSON.stringify(body, null, 2));
+}
+
+function parseArguments(args) {
+    const options = {
+        port: Number(process.env.PORT) || DEFAULT_PORT,
+        dataDir: process.env.RULES_DATA_DIR || path.join(__dirname, 'data'),
+        appconfigBackend: process.env.APPCONFIG_BACKEND || 'mock',
+        appconfigTargets: process.env.APPCONFIG_TARGETS
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--port') {
+            options.port = Number(args[++i]);
+        } else if (args[i] === '--data') {
+            options.dataDir = path.resolve(args[++i]);
+        } else if (args[i] === '--appconfig') {
+            options.appconfigBackend = args[++i];
+        } else if (args[i] === '--appconfig-targets') {
+            options.appconfigTargets = path.resolve(args[++i]);
+        } else {
+            throw new Error(`Unknown argument "${args[i]}"`);
+        }
+    }
+
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArguments(process.argv.slice(2));
+    createServer(options).listen(options.port, () => {
+        console.log(`Unit mapping rules server on http://localhost:${options.port} (data: ${options.dataDir}, AppConfig: ${options.appconfigBackend})`);
+    });
+}
+
+module.exports = {
+    createServer
+};
@@ -0,0 +1,113 @@
+/**
+ * Golden test suites for unit mapping rules.
+ *
+ * A suite is a list of named metadata samples with the unit id each one is
+ * expected to resolve to. Suites are stored as JSON next to the rule config:
+ *
+ *   {
+ *     "test_suite": {
+ *       "name": "nra",
+ *       "cases": [
+ *         {"name": "Sales agent", "metadata": {...}, "expected_unit_id": "nra-sales-unit"},
+ *         {"name": "After hours", "metadata": {...}, "expected_unit_id": "nra-night-unit",
+ *          "now": "2024-05-06T23:30:00Z"}
+ *       ]
+ *     }
+ *   }
+ *
+ * `now` (optional, ISO 8601) is the evaluation time of a case, so cases for
+ * time-window rules give the same result whenever the suite runs. Cases
+ * without it are evaluated at the run's `now` option, or the current time.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rule-evaluator'));
+    } else {
+        root.TestSuite = factory(root.RuleEvaluator);
+    }
+}(typeof self !== 'undefined' ? self : this, function (RuleEvaluator) {
+    'use strict';
+
+    function createSuite(name = 'Untitled suite') {
+        return { name, cases: [] };
+    }
+
+    // Accepts a suite document, its test_suite object or JSON text of either
+    function parseSuite(input) {
+        const document = typeof input === 'string' ? JSON.parse(input) : input;
+        const suite = document && document.test_suite ? document.test_suite : document;
+
+        if (!suite || !Array.isArray(suite.cases)) {
+            throw new Error('Test suite has no cases array');
+        }
+
+        const cases = suite.cases.map((testCase, index) => {
+            if (!testCase || typeof testCase.metadata !== 'object' || testCase.metadata === null) {
+                throw new Error(`Case ${index + 1} has no metadata object`);
+            }
+            if (!testCase.expected_unit_id) {
+                throw new Error(`Case ${index + 1} has no expected_unit_id`);
+            }
+            if (testCase.now !== undefined && Number.isNaN(RuleEvaluator.parseDatetime(testCase.now))) {
+                throw new Error(`Case ${index + 1} has a now that is not an ISO 8601 datetime`);
+            }
+            return toCase(testCase, testCase.name || `Case ${index + 1}`);
+        });
+
+        return { name: suite.name || 'Untitled suite', cases };
+    }
+
+    function serializeSuite(suite) {
+        return {
+            test_suite: {
+                name: suite.name,
+                cases: suite.cases.map(testCase => toCase(testCase, testCase.name))
+            }
+        };
+    }
+
+    // The stored fields of a case; `now` only when it has one
+    function toCase(testCase, name) {
+        const stored = {
+            name,
+            metadata: testCase.metadata,
+            expected_unit_id: testCase.expected_unit_id
+        };
+        if (testCase.now !== undefined) {
+            stored.now = testCase.now;
+        }
+        return stored;
+    }
+
+    // options.now is the evaluation time of cases without their own
+    function runSuite(config, suite, options = {}) {
+        const results = suite.cases.map(testCase => {
+            try {
+                const now = testCase.now !== undefined ? testCase.now : options.now;
+                const result = RuleEvaluator.evaluateRules(config, testCase.metadata, { now });
+                return {
+                    testCase,
+                    passed: result.unitId === testCase.expected_unit_id,
+                    actualUnitId: result.unitId,
+                    result
+                };
+            } catch (error) {
+                return { testCase, passed: false, error: error.message };
+            }
+        });
+
+        const passed = results.filter(result => result.passed).length;
+        return {
+            passed,
+            failed: results.length - passed,
+            results
+        };
+    }
+
+    return {
+        createSuite,
+        parseSuite,
+        serializeSuite,
+        runSuite
+    };
+}));
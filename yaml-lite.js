@@ -0,0 +1,567 @@
+/**
+ * A small YAML reader and writer for rule documents and AppConfig profiles.
+ *
+ * It covers the YAML that configuration profiles are written in, not the
+ * whole specification:
+ *
+ *   - block mappings and sequences (`- key: value` items included)
+ *   - plain, 'single' and "double" quoted scalars; null, booleans, integers
+ *     and floats are recognized in plain scalars
+ *   - flow collections (`[a, b]`, `{key: value}`) on one line
+ *   - literal (`|`) and folded (`>`) block scalars, with `-` / `+` chomping
+ *   - comments, and one document optionally started by `---`
+ *
+ * Anchors, aliases, tags, multi-line plain or quoted scalars and multiple
+ * documents are reported as errors rather than misread. Errors name the line.
+ *
+ * `stringify()` writes JSON-compatible values back, quoting strings that
+ * would otherwise read as another type, so `parse(stringify(value))` returns
+ * an equal value.
+ *
+ * Exposed as `window.YamlLite` in the browser and via require() in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.YamlLite = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const INDENT = '  ';
+
+    // Plain scalars that YAML reads as something other than a string
+    const NULL_PATTERN = /^(~|null|Null|NULL)?$/;
+    const BOOLEAN_PATTERN = /^(true|True|TRUE|false|False|FALSE)$/;
+    const INTEGER_PATTERN = /^[-+]?(0|[1-9]\d*)$/;
+    const FLOAT_PATTERN = /^[-+]?(\.\d+|\d+(\.\d*)?)([eE][-+]?\d+)?$/;
+    const SPECIAL_NUMBER_PATTERN = /^([-+]?\.(inf|Inf|INF)|\.(nan|NaN|NAN)|0x[0-9a-fA-F]+|0o[0-7]+)$/;
+    const PLAIN_KEY_PATTERN = /^[A-Za-z_$][\w$.-]*$/;
+
+    // ----- Reading -----
+
+    function parse(text) {
+        const rawLines = String(text).replace(/\r\n?/g, '\n').split('\n');
+        const state = { rawLines, lines: tokenize(rawLines), index: 0 };
+        if (state.lines.length === 0) {
+            return null;
+        }
+
+        const value = parseNode(state, state.lines[0].indent);
+        if (state.index < state.lines.length) {
+            fail(state.lines[state.index], 'unexpected content (check the indentation)');
+        }
+        return value;
+    }
+
+    // Non-empty lines as {number, indent, content} with comments removed
+    function tokenize(rawLines) {
+        const lines = [];
+        let started = false;
+        for (let index = 0; index < rawLines.length; index++) {
+            const raw = rawLines[index];
+            const number = index + 1;
+            if (/^\t/.test(raw)) {
+                fail({ number }, 'tabs cannot be used for indentation');
+            }
+            const content = stripComment(raw).trim();
+            if (content === '' || /^%/.test(raw)) {
+                continue;
+            }
+            if (/^---(\s|$)/.test(raw)) {
+                if (started) {
+                    fail({ number }, 'only one document is supported');
+                }
+                started = true;
+                const rest = stripComment(raw.slice(3)).trim();
+                if (rest !== '') {
+                    lines.push({ number, indent: raw.indexOf(rest), content: rest });
+                }
+                continue;
+            }
+            if (/^\.\.\.(\s|$)/.test(raw)) {
+                break;
+            }
+            started = true;
+            lines.push({ number, indent: raw.length - raw.trimStart().length, content });
+        }
+        return lines;
+    }
+
+    // The line up to a comment; `#` only starts one at the line start or after whitespace
+    function stripComment(line) {
+        let quote = null;
+        for (let index = 0; index < line.length; index++) {
+            const char = line[index];
+            if (quote) {
+                if (char === '\\' && quote === '"') {
+                    index++;
+                } else if (char === quote) {
+                    quote = null;
+                }
+            } else if ((char === '"' || char === '\'') && (index === 0 || /[\s[{,:-]/.test(line[index - 1]))) {
+                quote = char;
+            } else if (char === '#' && (index === 0 || /\s/.test(line[index - 1]))) {
+                return line.slice(0, index);
+            }
+        }
+        return line;
+    }
+
+    function parseNode(state, indent) {
+        const line = state.lines[state.index];
+        if (isSequenceItem(line.content)) {
+            return parseSequence(state, indent);
+        }
+        if (splitMappingEntry(line) !== null) {
+            return parseMapping(state, indent);
+        }
+        state.index++;
+        return parseInline(line.content, line);
+    }
+
+    function parseSequence(state, indent) {
+        const items = [];
+        while (state.index < state.lines.length) {
+            const line = state.lines[state.index];
+            if (line.indent < indent) {
+                break;
+            }
+            if (line.indent > indent) {
+                fail(line, 'unexpected indentation in a list');
+            }
+            if (!isSequenceItem(line.content)) {
+                break;
+            }
+
+            const rest = line.content.slice(1).trimStart();
+            if (rest === '') {
+                state.index++;
+                items.push(parseNested(state, indent, line));
+            } else {
+                // The item's content is parsed as if it started its own line
+                // (so `- id: a` continues with the keys indented under `id`)
+                const itemLine = { number: line.number, indent: line.indent + line.content.length - rest.length, content: rest, dashIndent: line.indent };
+                state.lines[state.index] = itemLine;
+                items.push(parseItemValue(state, itemLine));
+            }
+        }
+        return items;
+    }
+
+    function parseItemValue(state, line) {
+        if (isBlockScalarHeader(line.content)) {
+            state.index++;
+            return parseBlockScalar(state, line, line.content, line.dashIndent);
+        }
+        return parseNode(state, line.indent);
+    }
+
+    function parseMapping(state, indent) {
+        const mapping = {};
+        while (state.index < state.lines.length) {
+            const line = state.lines[state.index];
+            if (line.indent < indent) {
+                break;
+            }
+            if (line.indent > indent) {
+                fail(line, 'unexpected indentation in a mapping');
+            }
+            const entry = splitMappingEntry(line);
+            if (entry === null) {
+                if (isSequenceItem(line.content)) {
+                    break;
+                }
+                fail(line, `expected "key: value", found "${line.content}"`);
+            }
+            if (Object.prototype.hasOwnProperty.call(mapping, entry.key)) {
+                fail(line, `duplicate key "${entry.key}"`);
+            }
+
+            state.index++;
+            if (entry.value === '') {
+                setMember(mapping, entry.key, parseNested(state, indent, line));
+            } else if (isBlockScalarHeader(entry.value)) {
+                setMember(mapping, entry.key, parseBlockScalar(state, line, entry.value, indent));
+            } else {
+                setMember(mapping, entry.key, parseInline(entry.value, line));
+            }
+        }
+        return mapping;
+    }
+
+    // Like JSON.parse, a "__proto__" key is an ordinary member
+    function setMember(mapping, key, value) {
+        Object.defineProperty(mapping, key, { value, writable: true, enumerable: true, configurable: true });
+    }
+
+    // The value under a key or dash with nothing after it: an indented block,
+    // a list at the key's own indentation, or null
+    function parseNested(state, indent, parentLine) {
+        const next = state.lines[state.index];
+        if (!next) {
+            return null;
+        }
+        if (next.indent > indent) {
+            return parseNode(state, next.indent);
+        }
+        if (next.indent === indent && isSequenceItem(next.content) && !isSequenceItem(parentLine.content)) {
+            return parseSequence(state, indent);
+        }
+        return null;
+    }
+
+    function isSequenceItem(content) {
+        return content === '-' || content.startsWith('- ');
+    }
+
+    function isBlockScalarHeader(value) {
+        return /^[|>][-+]?$/.test(value);
+    }
+
+    // {key, value} for a "key: value" line, or null when the line is not one
+    function splitMappingEntry(line) {
+        const content = line.content;
+        if (/^[[{]/.test(content)) {
+            return null;
+        }
+
+        let keyEnd;
+        let key;
+        if (content[0] === '"' || content[0] === '\'') {
+            keyEnd = findClosingQuote(content, 0);
+            if (keyEnd === -1) {
+                return null;
+            }
+            key = parseQuoted(content.slice(0, keyEnd + 1), line);
+            keyEnd++;
+            if (!/^\s*:(\s|$)/.test(content.slice(keyEnd))) {
+                return null;
+            }
+            keyEnd = content.indexOf(':', keyEnd);
+        } else {
+            const match = /:(\s|$)/.exec(content);
+            if (!match) {
+                return null;
+            }
+            keyEnd = match.index;
+            key = content.slice(0, keyEnd).trim();
+            if (/^[?&*!|>%@`]/.test(key)) {
+                fail(line, `unsupported key syntax "${key}"`);
+            }
+        }
+        return { key, value: content.slice(keyEnd + 1).trim() };
+    }
+
+    function findClosingQuote(text, start) {
+        const quote = text[start];
+        for (let index = start + 1; index < text.length; index++) {
+            if (quote === '"' && text[index] === '\\') {
+                index++;
+            } else if (text[index] === quote) {
+                if (quote === '\'' && text[index + 1] === '\'') {
+                    index++;
+                } else {
+                    return index;
+                }
+            }
+        }
+        return -1;
+    }
+
+    function parseBlockScalar(state, headerLine, header, parentIndent) {
+        const folded = header[0] === '>';
+        const chomping = header[1] || '';
+
+        // Block content is read from the raw lines, where blank lines and `#` are content
+        const lines = [];
+        let contentIndent = null;
+        let number = headerLine.number;
+        for (; number < state.rawLines.length; number++) {
+            const raw = state.rawLines[number];
+            if (raw.trim() === '') {
+                lines.push('');
+                continue;
+            }
+            const indent = raw.length - raw.trimStart().length;
+            if (indent <= parentIndent) {
+                break;
+            }
+            if (contentIndent === null) {
+                contentIndent = indent;
+            } else if (indent < contentIndent) {
+                fail({ number: number + 1 }, 'block scalar lines are indented less than its first line');
+            }
+            lines.push(raw.slice(contentIndent));
+        }
+        while (state.index < state.lines.length && state.lines[state.index].number <= number) {
+            state.index++;
+        }
+
+        let trailing = 0;
+        while (lines.length > 0 && lines[lines.length - 1] === '') {
+            lines.pop();
+            trailing++;
+        }
+        let text = folded ? foldLines(lines) : lines.join('\n');
+        if (chomping === '+') {
+            text += '\n'.repeat(trailing + (lines.length > 0 ? 1 : 0));
+        } else if (chomping === '' && lines.length > 0) {
+            text += '\n';
+        }
+        return text;
+    }
+
+    // Folded scalars join lines with spaces; blank and more-indented lines keep their breaks
+    function foldLines(lines) {
+        let text = '';
+        lines.forEach((line, index) => {
+            const previous = index > 0 ? lines[index - 1] : null;
+            if (previous === null || previous === '') {
+                text += line;
+            } else if (line === '') {
+                text += '\n';
+            } else if (/^\s/.test(line) || /^\s/.test(previous)) {
+                text += `\n${line}`;
+            } else {
+                text += ` ${line}`;
+            }
+        });
+        return text;
+    }
+
+    function parseInline(text, line) {
+        if (text[0] === '[' || text[0] === '{') {
+            const reader = { text, position: 0, line };
+            const value = readFlow(reader);
+            skipSpaces(reader);
+            if (reader.position < text.length) {
+                fail(line, `unexpected "${text.slice(reader.position)}" after a flow collection`);
+            }
+            return value;
+        }
+        if (text[0] === '"' || text[0] === '\'') {
+            const end = findClosingQuote(text, 0);
+            if (end === -1) {
+                fail(line, 'unterminated quoted string (multi-line strings are not supported)');
+            }
+            if (end !== text.length - 1) {
+                fail(line, `unexpected "${text.slice(end + 1).trim()}" after a quoted string`);
+            }
+            return parseQuoted(text, line);
+        }
+        if (/^[&*!]/.test(text)) {
+            fail(line, 'anchors, aliases and tags are not supported');
+        }
+        if (/^[|>]/.test(text)) {
+            fail(line, `unsupported block scalar header "${text}"`);
+        }
+        return resolvePlain(text);
+    }
+
+    function parseQuoted(text, line) {
+        if (text[0] === '\'') {
+            return text.slice(1, -1).replace(/''/g, '\'');
+        }
+        try {
+            // YAML double-quoted strings are JSON strings plus a few escapes
+            return JSON.parse(text.replace(/\\(x[0-9a-fA-F]{2}|[0aebtvfnr /N_LP])/g, (match, escape) => {
+                const replacements = { 0: '\\u0000', a: '\\u0007', e: '\\u001b', v: '\\u000b', ' ': ' ', '/': '/', N: '\\u0085', _: '\\u00a0', L: '\\u2028', P: '\\u2029' };
+                if (escape[0] === 'x') {
+                    return `\\u00${escape.slice(1)}`;
+                }
+                return replacements[escape] !== undefined ? replacements[escape] : match;
+            }));
+        } catch (error) {
+            return fail(line, `invalid quoted string ${text}`);
+        }
+    }
+
+    function resolvePlain(text) {
+        if (NULL_PATTERN.test(text)) {
+            return null;
+        }
+        if (BOOLEAN_PATTERN.test(text)) {
+            return text.toLowerCase() === 'true';
+        }
+        if (INTEGER_PATTERN.test(text) || FLOAT_PATTERN.test(text)) {
+            return Number(text);
+        }
+        if (SPECIAL_NUMBER_PATTERN.test(text)) {
+            if (/^0x/.test(text)) {
+                return parseInt(text.slice(2), 16);
+            }
+            if (/^0o/.test(text)) {
+                return parseInt(text.slice(2), 8);
+            }
+            return /nan/i.test(text) ? NaN : (text[0] === '-' ? -Infinity : Infinity);
+        }
+        return text;
+    }
+
+    function readFlow(reader) {
+        skipSpaces(reader);
+        const char = reader.text[reader.position];
+        if (char === '[') {
+            return readFlowCollection(reader, ']', () => readFlow(reader), []);
+        }
+        if (char === '{') {
+            const mapping = {};
+            return readFlowCollection(reader, '}', () => {
+                const key = readFlowScalar(reader, true);
+                skipSpaces(reader);
+                let value = null;
+                if (reader.text[reader.position] === ':') {
+                    reader.position++;
+                    value = readFlow(reader);
+                }
+                setMember(mapping, String(key), value);
+            }, mapping);
+        }
+        return readFlowScalar(reader, false);
+    }
+
+    function readFlowCollection(reader, close, readItem, collection) {
+        reader.position++;
+        skipSpaces(reader);
+        while (reader.text[reader.position] !== close) {
+            if (reader.position >= reader.text.length) {
+                fail(reader.line, `missing "${close}" (multi-line flow collections are not supported)`);
+            }
+            const item = readItem();
+            if (Array.isArray(collection)) {
+                collection.push(item);
+            }
+            skipSpaces(reader);
+            if (reader.text[reader.position] === ',') {
+                reader.position++;
+                skipSpaces(reader);
+            } else if (reader.text[reader.position] !== close) {
+                fail(reader.line, `expected "," or "${close}" in a flow collection`);
+            }
+        }
+        reader.position++;
+        return collection;
+    }
+
+    function readFlowScalar(reader, isKey) {
+        skipSpaces(reader);
+        const text = reader.text;
+        const start = reader.position;
+        if (text[start] === '"' || text[start] === '\'') {
+            const end = findClosingQuote(text, start);
+            if (end === -1) {
+                fail(reader.line, 'unterminated quoted string');
+            }
+            reader.position = end + 1;
+            return parseQuoted(text.slice(start, end + 1), reader.line);
+        }
+
+        // Plain flow scalars end at a flow indicator, keys also at ": "
+        let end = start;
+        while (end < text.length && !/[,\]}]/.test(text[end]) &&
+            !(isKey && text[end] === ':' && /^[\s,\]}]?$/.test(text[end + 1] || ''))) {
+            end++;
+        }
+        reader.position = end;
+        const value = text.slice(start, end).trim();
+        return isKey ? value : resolvePlain(value);
+    }
+
+    function skipSpaces(reader) {
+        while (reader.position < reader.text.length && /\s/.test(reader.text[reader.position])) {
+            reader.position++;
+        }
+    }
+
+    function fail(line, message) {
+        throw new Error(`Line ${line.number}: ${message}`);
+    }
+
+    // ----- Writing -----
+
+    // YAML text for a JSON-compatible value (undefined members are left out, like JSON.stringify)
+    function stringify(value) {
+        if (isCollection(value) && !isEmptyCollection(value)) {
+            return writeBlock(value, '').join('\n') + '\n';
+        }
+        return writeScalar(value) + '\n';
+    }
+
+    function writeBlock(value, indent) {
+        const lines = [];
+        if (Array.isArray(value)) {
+            value.forEach(item => {
+                if (isCollection(item) && !isEmptyCollection(item)) {
+                    // The item's first line goes after the dash, the rest aligns under it
+                    const itemLines = writeBlock(item, `${indent}${INDENT}`);
+                    lines.push(`${indent}- ${itemLines[0].slice(indent.length + INDENT.length)}`);
+                    lines.push(...itemLines.slice(1));
+                } else {
+                    lines.push(`${indent}- ${writeScalar(item === undefined ? null : item)}`);
+                }
+            });
+            return lines;
+        }
+
+        Object.keys(value).filter(key => value[key] !== undefined).forEach(key => {
+            const member = value[key];
+            if (isCollection(member) && !isEmptyCollection(member)) {
+                lines.push(`${indent}${writeKey(key)}:`);
+                lines.push(...writeBlock(member, `${indent}${INDENT}`));
+            } else {
+                lines.push(`${indent}${writeKey(key)}: ${writeScalar(member)}`);
+            }
+        });
+        return lines;
+    }
+
+    function isCollection(value) {
+        return value !== null && typeof value === 'object';
+    }
+
+    function isEmptyCollection(value) {
+        return Array.isArray(value) ? value.length === 0 : Object.keys(value).filter(key => value[key] !== undefined).length === 0;
+    }
+
+    function writeKey(key) {
+        return PLAIN_KEY_PATTERN.test(key) && !needsQuotes(key) ? key : JSON.stringify(key);
+    }
+
+    function writeScalar(value) {
+        if (value === null || value === undefined) {
+            return 'null';
+        }
+        if (Array.isArray(value)) {
+            return '[]';
+        }
+        if (typeof value === 'object') {
+            return '{}';
+        }
+        if (typeof value === 'number') {
+            // JSON has no NaN or Infinity either
+            return Number.isFinite(value) ? String(value) : 'null';
+        }
+        if (typeof value === 'boolean') {
+            return String(value);
+        }
+        return needsQuotes(value) ? JSON.stringify(value) : value;
+    }
+
+    // Whether a string written plain would read back as something else
+    function needsQuotes(text) {
+        return text === '' ||
+            text !== text.trim() ||
+            NULL_PATTERN.test(text) || BOOLEAN_PATTERN.test(text) ||
+            INTEGER_PATTERN.test(text) || FLOAT_PATTERN.test(text) || SPECIAL_NUMBER_PATTERN.test(text) ||
+            /^(yes|no|on|off|y|n)$/i.test(text) ||
+            /^[-?:,[\]{}#&*!|>'"%@`]/.test(text) ||
+            /: |:$| #|[\u0000-\u001f\u007f\u0085\u2028\u2029]/.test(text);
+    }
+
+    return {
+        parse,
+        stringify
+    };
+}));